@@ -0,0 +1,38 @@
+// Single-use tickets for /api/stream (CommonJS)
+//
+// EventSource can't send an Authorization header, and a JWT in the query
+// string ends up in proxy and access logs. Signed-in callers trade their JWT
+// for a ticket (POST /api/streamTicket) that opens one stream and expires fast.
+//
+// Table: stream_tickets (ticket text primary key, user_id uuid, expires_at timestamptz)
+const crypto = require("crypto");
+const { getSupabase } = require("./tracks/_supabase");
+
+const TICKET_TTL_MS = 60 * 1000;
+
+async function mintTicket(user) {
+  const ticket = crypto.randomBytes(24).toString("base64url");
+  const expires_at = new Date(Date.now() + TICKET_TTL_MS).toISOString();
+  const supabase = getSupabase();
+  // Sweep expired ones while we're here
+  await supabase.from("stream_tickets").delete().lt("expires_at", new Date().toISOString());
+  const { error } = await supabase.from("stream_tickets").insert([{ ticket, user_id: user.id, expires_at }]);
+  if (error) throw error;
+  return { ticket, expires_at };
+}
+
+/** Use up a ticket; resolves with its user_id, or null when unknown, spent or expired */
+async function redeemTicket(ticket) {
+  if (!ticket) return null;
+  // delete ... returning: of two concurrent redeems only one gets the row
+  const { data, error } = await getSupabase()
+    .from("stream_tickets")
+    .delete()
+    .eq("ticket", String(ticket))
+    .gt("expires_at", new Date().toISOString())
+    .select("user_id");
+  if (error) throw error;
+  return data?.[0]?.user_id || null;
+}
+
+module.exports = { mintTicket, redeemTicket };
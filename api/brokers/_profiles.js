@@ -0,0 +1,74 @@
+// MQTT broker profiles, stored server-side so credentials never reach the browser (CommonJS)
+//
+// Table broker_profiles:
+//   id                  text primary key   (what clients pass as ?profile=)
+//   name                text
+//   host                text
+//   port                int                (null -> 8883 with TLS, 1883 without)
+//   ssl                 boolean
+//   username            text
+//   password            text
+//   ca_pem              text               (extra CA for private brokers)
+//   reject_unauthorized boolean default true
+//   topic_prefixes      text[]             (allowlist; empty = nothing allowed)
+//   is_default          boolean            (used when no profile is given)
+const { getSupabase } = require("../tracks/_supabase");
+
+const CACHE_MS = 60 * 1000;
+let _cache = { at: 0, rows: null };
+
+async function loadProfiles() {
+  if (_cache.rows && Date.now() - _cache.at < CACHE_MS) return _cache.rows;
+  const { data, error } = await getSupabase().from("broker_profiles").select("*").order("name");
+  if (error) throw error;
+  _cache = { at: Date.now(), rows: data || [] };
+  return _cache.rows;
+}
+
+/** Full profile (with secrets) by id, or the default one when id is empty. */
+async function getProfile(id) {
+  const rows = await loadProfiles();
+  if (id) return rows.find((p) => p.id === id) || null;
+  return rows.find((p) => p.is_default) || null;
+}
+
+// What the browser may see
+function publicProfile(p) {
+  return {
+    id: p.id,
+    name: p.name || p.id,
+    host: p.host,
+    port: p.port || (p.ssl ? 8883 : 1883),
+    ssl: !!p.ssl,
+    topic_prefixes: p.topic_prefixes || [],
+    is_default: !!p.is_default,
+  };
+}
+
+/**
+ * A topic is allowed when it sits under one of the profile's prefixes.
+ * Prefixes match whole levels ("devices" allows "devices/#" but not
+ * "devicesX/#"), and wildcards can only appear after the prefix.
+ */
+function topicAllowed(profile, topic) {
+  if (!topic || typeof topic !== "string" || topic.startsWith("$")) return false;
+  return (profile.topic_prefixes || []).some((raw) => {
+    const prefix = String(raw).replace(/\/+$/, "");
+    if (!prefix || /[#+]/.test(prefix)) return false;
+    return topic === prefix || topic.startsWith(`${prefix}/`);
+  });
+}
+
+/** mqtt.connect() url + options for a profile. */
+function connectOptions(profile) {
+  const ssl = !!profile.ssl;
+  const port = Number(profile.port) || (ssl ? 8883 : 1883);
+  const opts = {};
+  if (profile.username) opts.username = profile.username;
+  if (profile.password) opts.password = profile.password;
+  if (ssl && profile.ca_pem) opts.ca = profile.ca_pem;
+  if (ssl && profile.reject_unauthorized === false) opts.rejectUnauthorized = false;
+  return { url: `${ssl ? "mqtts" : "mqtt"}://${profile.host}:${port}`, opts };
+}
+
+module.exports = { loadProfiles, getProfile, publicProfile, topicAllowed, connectOptions };
@@ -0,0 +1,23 @@
+// api/brokers/list.js
+const { requireUser } = require("../tracks/_auth");
+const { loadProfiles, publicProfile } = require("./_profiles");
+
+// GET /api/brokers/list -> { profiles: [{ id, name, host, port, ssl, topic_prefixes, is_default }] }
+// Credentials and CA material stay on the server.
+module.exports = async (req, res) => {
+  if (req.method !== "GET") {
+    res.statusCode = 405;
+    return res.json({ error: "Method not allowed" });
+  }
+
+  try {
+    if (!(await requireUser(req, res))) return;
+    const rows = await loadProfiles();
+    res.statusCode = 200;
+    return res.json({ profiles: rows.map(publicProfile) });
+  } catch (e) {
+    console.error("brokers/list error:", e);
+    res.statusCode = 500;
+    return res.json({ error: String(e.message || e) });
+  }
+};
@@ -1,5 +1,7 @@
 // api/forms/report.js
 const { createClient } = require("@supabase/supabase-js");
+const { requireUser } = require("../tracks/_auth");
+const { OUTCOMES } = require("../reports/_stats");
 
 function need(name) {
   const v = process.env[name];
@@ -16,6 +18,8 @@ module.exports = async (req, res) => {
 
   let supabase;
   try {
+    if (!(await requireUser(req, res, ["operator", "admin"]))) return;
+
     const url = need("SUPABASE_URL");
     const serviceKey = need("SUPABASE_SERVICE_ROLE");
     supabase = createClient(url, serviceKey, { auth: { persistSession: false } });
@@ -32,6 +36,7 @@ module.exports = async (req, res) => {
       dog,             // required
       email,           // optional
       notes,           // optional
+      outcome,         // optional: find | no_find | training
       track_id,        // optional (uuid)
       attachment_url   // optional
       // DO NOT send department_name / logo_url unless you added those columns
@@ -41,6 +46,10 @@ module.exports = async (req, res) => {
       res.statusCode = 400;
       return res.end(JSON.stringify({ error: "handler and dog are required" }));
     }
+    if (outcome && !OUTCOMES.includes(outcome)) {
+      res.statusCode = 400;
+      return res.end(JSON.stringify({ error: `outcome must be one of ${OUTCOMES.join(", ")}` }));
+    }
     if (track_id && !/^[0-9a-f-]{36}$/i.test(track_id)) {
       res.statusCode = 400;
       return res.end(JSON.stringify({ error: "track_id must be a UUID" }));
@@ -51,6 +60,7 @@ module.exports = async (req, res) => {
       dog,
       email: email || null,
       notes: notes || null,
+      outcome: outcome || null,
       track_id: track_id || null,
       attachment_url: attachment_url || null,
     };
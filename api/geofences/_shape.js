@@ -0,0 +1,29 @@
+// Geofence shape validation shared by the geofence routes and tracks/finish (CommonJS)
+// Shapes match src/lib/geofence.js.
+
+const isLatLon = (p) =>
+  Array.isArray(p) && p.length >= 2 && Number.isFinite(p[0]) && Number.isFinite(p[1]) &&
+  Math.abs(p[0]) <= 90 && Math.abs(p[1]) <= 180;
+
+/** Returns an error message, or null when the fence is usable. */
+function validFence(f) {
+  if (!f || typeof f !== "object") return "fence must be an object";
+  if (!f.name || !String(f.name).trim()) return "name is required";
+  if (!["keep_in", "keep_out"].includes(f.rule)) return "rule must be keep_in or keep_out";
+  const s = f.shape;
+  if (!s || typeof s !== "object") return "shape is required";
+  if (s.type === "circle") {
+    if (!isLatLon(s.center)) return "circle center must be [lat, lon]";
+    if (!(Number(s.radius_m) > 0)) return "circle radius_m must be > 0";
+    return null;
+  }
+  if (s.type === "polygon") {
+    if (!Array.isArray(s.points) || s.points.length < 3 || !s.points.every(isLatLon)) {
+      return "polygon needs at least 3 [lat, lon] points";
+    }
+    return null;
+  }
+  return "shape.type must be polygon or circle";
+}
+
+module.exports = { validFence };
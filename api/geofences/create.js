@@ -0,0 +1,39 @@
+// api/geofences/create.js
+const { getSupabase } = require("../tracks/_supabase");
+const { requireUser } = require("../tracks/_auth");
+const { validFence } = require("./_shape");
+
+// POST /api/geofences/create
+// Body: { name, rule: "keep_in" | "keep_out", shape }
+module.exports = async (req, res) => {
+  if (req.method !== "POST") {
+    res.statusCode = 405;
+    return res.json({ error: "Method not allowed" });
+  }
+
+  try {
+    const body = typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+    const problem = validFence(body);
+    if (problem) {
+      res.statusCode = 400;
+      return res.json({ error: problem });
+    }
+
+    const user = await requireUser(req, res, ["operator", "admin"]);
+    if (!user) return;
+
+    const { data, error } = await getSupabase()
+      .from("geofences")
+      .insert([{ name: String(body.name).trim(), rule: body.rule, shape: body.shape, owner_id: user.id }])
+      .select("id, name, rule, shape, owner_id, created_at")
+      .single();
+    if (error) throw error;
+
+    res.statusCode = 200;
+    return res.json({ ok: true, area: data });
+  } catch (e) {
+    console.error("geofences/create error:", e);
+    res.statusCode = 500;
+    return res.json({ error: String(e.message || e) });
+  }
+};
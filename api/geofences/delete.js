@@ -0,0 +1,44 @@
+// api/geofences/delete.js
+const { getSupabase } = require("../tracks/_supabase");
+const { requireUser, canWrite } = require("../tracks/_auth");
+
+// POST /api/geofences/delete   Body: { id }
+// Operators can delete the areas they saved; admins any.
+module.exports = async (req, res) => {
+  if (req.method !== "POST") {
+    res.statusCode = 405;
+    return res.json({ error: "Method not allowed" });
+  }
+
+  try {
+    const body = typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+    if (!body.id) {
+      res.statusCode = 400;
+      return res.json({ error: "missing id" });
+    }
+
+    const user = await requireUser(req, res, ["operator", "admin"]);
+    if (!user) return;
+
+    const supabase = getSupabase();
+    const { data: area, error: aErr } = await supabase.from("geofences").select("id, owner_id").eq("id", body.id).maybeSingle();
+    if (aErr) throw aErr;
+    if (!area) {
+      res.statusCode = 404;
+      return res.json({ error: "Not found" });
+    }
+    if (!canWrite(user, area)) {
+      res.statusCode = 403;
+      return res.json({ error: "Not your area" });
+    }
+
+    const { error } = await supabase.from("geofences").delete().eq("id", body.id);
+    if (error) throw error;
+    res.statusCode = 200;
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("geofences/delete error:", e);
+    res.statusCode = 500;
+    return res.json({ error: String(e.message || e) });
+  }
+};
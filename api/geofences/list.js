@@ -0,0 +1,31 @@
+// api/geofences/list.js
+const { getSupabase } = require("../tracks/_supabase");
+const { requireUser } = require("../tracks/_auth");
+
+// GET /api/geofences/list -> { areas: [{ id, name, rule, shape, owner_id, created_at }] }
+// Reusable areas (sectors, roads, water) that can be loaded onto any track.
+//
+// Table geofences: id uuid default gen_random_uuid(), name text, rule text
+// ('keep_in' | 'keep_out'), shape jsonb (see src/lib/geofence.js),
+// owner_id uuid, created_at timestamptz default now()
+module.exports = async (req, res) => {
+  if (req.method !== "GET") {
+    res.statusCode = 405;
+    return res.json({ error: "Method not allowed" });
+  }
+
+  try {
+    if (!(await requireUser(req, res))) return;
+    const { data, error } = await getSupabase()
+      .from("geofences")
+      .select("id, name, rule, shape, owner_id, created_at")
+      .order("name");
+    if (error) throw error;
+    res.statusCode = 200;
+    return res.json({ areas: data || [] });
+  } catch (e) {
+    console.error("geofences/list error:", e);
+    res.statusCode = 500;
+    return res.json({ error: String(e.message || e) });
+  }
+};
@@ -0,0 +1,101 @@
+// api/reports/_stats.js
+// Training log aggregation over reports + their tracks (CommonJS, server only)
+const { trackAgeMs } = require("../tracks/_laying");
+
+const GROUPS = ["dog", "handler", "month"];
+const OUTCOMES = ["find", "no_find", "training"];
+
+// Report outcome; older reports without one count as a find when the track
+// has an "article found" waypoint
+function outcomeOf(report) {
+  if (OUTCOMES.includes(report.outcome)) return report.outcome;
+  const wps = report.tracks?.waypoints;
+  if (Array.isArray(wps) && wps.some((w) => w && w.type === "article")) return "find";
+  return null;
+}
+
+function keyPart(report, dim) {
+  if (dim === "month") {
+    const t = report.tracks?.started_at || report.created_at;
+    return t ? new Date(t).toISOString().slice(0, 7) : "unknown";
+  }
+  return String(report[dim] || "").trim() || "unknown";
+}
+
+const round = (v, d = 1) => (Number.isFinite(v) ? Number(v.toFixed(d)) : null);
+
+function summarize(g) {
+  const km = g.distance_m / 1000;
+  const min = g.duration_ms / 60000;
+  const judged = g.finds + g.no_finds;
+  return {
+    ...g.key,
+    tracks: g.tracks,
+    distance_m: round(g.distance_m),
+    duration_ms: g.duration_ms,
+    hours: round(g.duration_ms / 3600000, 2),
+    avg_pace_min_per_km: km > 0 && min > 0 ? round(min / km, 2) : null,
+    finds: g.finds,
+    no_finds: g.no_finds,
+    find_rate_pct: judged ? round((g.finds / judged) * 100) : null,
+    avg_temp_c: g.temps.length ? round(g.temps.reduce((a, b) => a + b, 0) / g.temps.length) : null,
+    min_temp_c: g.temps.length ? Math.min(...g.temps) : null,
+    max_temp_c: g.temps.length ? Math.max(...g.temps) : null,
+    avg_wind_kmh: g.winds.length ? round(g.winds.reduce((a, b) => a + b, 0) / g.winds.length) : null,
+    avg_track_age_min: g.ages.length ? round(g.ages.reduce((a, b) => a + b, 0) / g.ages.length / 60000) : null,
+    max_track_age_min: g.ages.length ? round(Math.max(...g.ages) / 60000) : null,
+  };
+}
+
+/**
+ * Totals per group. `rows` are reports with an embedded `tracks` row;
+ * `by` is a list of GROUPS. An empty `by` yields a single overall row.
+ */
+function aggregate(rows, by) {
+  const groups = new Map();
+  for (const r of rows || []) {
+    const key = Object.fromEntries(by.map((dim) => [dim, keyPart(r, dim)]));
+    const id = by.map((dim) => key[dim]).join("\u0000");
+    let g = groups.get(id);
+    if (!g) {
+      g = { key, tracks: 0, distance_m: 0, duration_ms: 0, finds: 0, no_finds: 0, temps: [], winds: [], ages: [] };
+      groups.set(id, g);
+    }
+    const t = r.tracks || {};
+    g.tracks += 1;
+    g.distance_m += Number(t.distance_m) || 0;
+    g.duration_ms += Number(t.duration_ms) || 0;
+    const outcome = outcomeOf(r);
+    if (outcome === "find") g.finds += 1;
+    if (outcome === "no_find") g.no_finds += 1;
+    if (Number.isFinite(t.weather?.temperature)) g.temps.push(t.weather.temperature);
+    if (Number.isFinite(t.weather?.windspeed)) g.winds.push(t.weather.windspeed);
+    const age = trackAgeMs(t.laying, t.started_at);
+    if (age != null) g.ages.push(age);
+  }
+  return [...groups.values()]
+    .map(summarize)
+    .sort((a, b) => by.map((dim) => String(a[dim]).localeCompare(String(b[dim]))).find((c) => c !== 0) || 0);
+}
+
+const CSV_COLUMNS = [
+  "tracks", "distance_m", "hours", "avg_pace_min_per_km", "finds", "no_finds",
+  "find_rate_pct", "avg_track_age_min", "max_track_age_min",
+  "avg_temp_c", "min_temp_c", "max_temp_c", "avg_wind_kmh",
+];
+
+const csvCell = (v) => {
+  let s = v == null ? "" : String(v);
+  // Names starting with = + - @ would run as formulas in a spreadsheet
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+function toCsv(stats, by) {
+  const cols = [...by, ...CSV_COLUMNS];
+  const lines = [cols.join(",")];
+  for (const s of stats) lines.push(cols.map((c) => csvCell(s[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = { GROUPS, OUTCOMES, aggregate, toCsv };
@@ -0,0 +1,51 @@
+// api/reports/get.js
+const { getSupabase } = require("../tracks/_supabase");
+const { requireUser } = require("../tracks/_auth");
+
+// GET /api/reports/get?id=<report uuid>
+// Returns the report plus its linked track row (including points).
+module.exports = async (req, res) => {
+  if (req.method !== "GET") {
+    res.statusCode = 405;
+    return res.json({ error: "Method not allowed" });
+  }
+
+  const id = req.query?.id ? String(req.query.id) : "";
+  if (!/^[0-9a-f-]{36}$/i.test(id)) {
+    res.statusCode = 400;
+    return res.json({ error: "id must be a UUID" });
+  }
+
+  try {
+    if (!(await requireUser(req, res))) return;
+    const supabase = getSupabase();
+    const { data: report, error } = await supabase
+      .from("reports")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!report) {
+      res.statusCode = 404;
+      return res.json({ error: "Not found" });
+    }
+
+    let track = null;
+    if (report.track_id) {
+      const { data: t, error: tErr } = await supabase
+        .from("tracks")
+        .select("*")
+        .eq("id", report.track_id)
+        .maybeSingle();
+      if (tErr) throw tErr;
+      track = t || null;
+    }
+
+    res.statusCode = 200;
+    return res.json({ ok: true, report, track });
+  } catch (e) {
+    console.error("reports/get error:", e);
+    res.statusCode = 500;
+    return res.json({ error: String(e.message || e) });
+  }
+};
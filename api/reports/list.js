@@ -0,0 +1,84 @@
+// api/reports/list.js
+const { getSupabase } = require("../tracks/_supabase");
+const { requireUser } = require("../tracks/_auth");
+
+const SORTS = {
+  created_at: "created_at",
+  handler: "handler",
+  dog: "dog",
+  distance: "tracks(distance_m)",
+  duration: "tracks(duration_ms)",
+};
+
+// GET /api/reports/list?q=&from=YYYY-MM-DD&to=YYYY-MM-DD&sort=created_at&dir=desc&page=1&pageSize=20
+// q matches handler, dog (on reports) and report_no, device_id (on the linked track).
+module.exports = async (req, res) => {
+  if (req.method !== "GET") {
+    res.statusCode = 405;
+    return res.json({ error: "Method not allowed" });
+  }
+
+  const q = req.query || {};
+  const search = String(q.q || "").trim().replace(/[,()%*]/g, " ").trim();
+  const sort = SORTS[q.sort] || SORTS.created_at;
+  const ascending = String(q.dir || "desc").toLowerCase() === "asc";
+  const page = Math.max(1, parseInt(q.page, 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(q.pageSize, 10) || 20));
+  const from = q.from ? Date.parse(String(q.from)) : null;
+  const to = q.to ? Date.parse(String(q.to)) : null;
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    res.statusCode = 400;
+    return res.json({ error: "from / to must be dates (YYYY-MM-DD)" });
+  }
+
+  try {
+    if (!(await requireUser(req, res))) return;
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from("reports")
+      .select(
+        "id, created_at, handler, dog, email, notes, track_id, " +
+        "tracks(id, report_no, device_id, started_at, ended_at, distance_m, duration_ms, snapshot_url)",
+        { count: "exact" }
+      );
+
+    if (search) {
+      // PostgREST can't OR across a parent and an embedded table, so look up
+      // matching tracks first and OR their ids in with the report fields.
+      const like = `%${search}%`;
+      const { data: hits, error: tErr } = await supabase
+        .from("tracks")
+        .select("id")
+        .or(`report_no.ilike.${like},device_id.ilike.${like}`)
+        .limit(500);
+      if (tErr) throw tErr;
+
+      const ors = [`handler.ilike.${like}`, `dog.ilike.${like}`];
+      const ids = (hits || []).map((t) => t.id);
+      if (ids.length) ors.push(`track_id.in.(${ids.join(",")})`);
+      query = query.or(ors.join(","));
+    }
+
+    if (from != null) query = query.gte("created_at", new Date(from).toISOString());
+    if (to != null) {
+      // Inclusive end date: everything before the following midnight
+      const end = new Date(to);
+      end.setUTCDate(end.getUTCDate() + 1);
+      query = query.lt("created_at", end.toISOString());
+    }
+
+    const start = (page - 1) * pageSize;
+    const { data, error, count } = await query
+      .order(sort, { ascending, nullsFirst: false })
+      .range(start, start + pageSize - 1);
+    if (error) throw error;
+
+    res.statusCode = 200;
+    return res.json({ ok: true, rows: data || [], total: count ?? 0, page, pageSize });
+  } catch (e) {
+    console.error("reports/list error:", e);
+    res.statusCode = 500;
+    return res.json({ error: String(e.message || e) });
+  }
+};
@@ -0,0 +1,88 @@
+// api/reports/pdf.js
+const { getSupabase } = require("../tracks/_supabase");
+const { requireUser } = require("../tracks/_auth");
+
+// ReportPDF is JSX; `npm run build:ssr` bundles it to an ES module
+let _render = null;
+async function getRenderer() {
+  if (!_render) ({ renderReportPdf: _render } = await import("../_ssr/renderReportPdf.mjs"));
+  return _render;
+}
+
+// GET  /api/reports/pdf?id=<report uuid>   -> application/pdf
+// POST /api/reports/pdf?id=<report uuid>   -> { ok, url } after archiving to storage (operator/admin)
+// Stored PDFs go to the "snapshots" bucket next to the track snapshot and the
+// public URL is saved on reports.pdf_url.
+module.exports = async (req, res) => {
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.statusCode = 405;
+    return res.json({ error: "Method not allowed" });
+  }
+
+  const q = req.query || {};
+  const id = q.id ? String(q.id) : "";
+  if (!/^[0-9a-f-]{36}$/i.test(id)) {
+    res.statusCode = 400;
+    return res.json({ error: "id must be a UUID" });
+  }
+
+  try {
+    const store = req.method === "POST";
+    if (!(await requireUser(req, res, store ? ["operator", "admin"] : undefined))) return;
+    const supabase = getSupabase();
+    const { data: report, error } = await supabase
+      .from("reports")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!report) {
+      res.statusCode = 404;
+      return res.json({ error: "Not found" });
+    }
+
+    let track = null;
+    if (report.track_id) {
+      const { data: t, error: tErr } = await supabase
+        .from("tracks")
+        .select("*")
+        .eq("id", report.track_id)
+        .maybeSingle();
+      if (tErr) throw tErr;
+      track = t || null;
+    }
+
+    const renderReportPdf = await getRenderer();
+    const buffer = await renderReportPdf({ report, track });
+    const filename = `k9-report-${track?.report_no || report.id}.pdf`.replace(/[^\w.-]+/g, "_");
+
+    if (store) {
+      const key = track ? `tracks/${track.id}/report-${report.id}.pdf` : `reports/${report.id}.pdf`;
+      const { error: upErr } = await supabase
+        .storage.from("snapshots")
+        .upload(key, buffer, { contentType: "application/pdf", upsert: true });
+      if (upErr) throw upErr;
+
+      const { data: pub } = supabase.storage.from("snapshots").getPublicUrl(key);
+      const url = pub?.publicUrl || null;
+      const { error: saveErr } = await supabase.from("reports").update({ pdf_url: url }).eq("id", report.id);
+      if (saveErr) {
+        res.statusCode = 500;
+        return res.json({ error: `PDF stored but not saved on the report: ${saveErr.message}` });
+      }
+
+      res.statusCode = 200;
+      return res.json({ ok: true, url });
+    }
+
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+    res.setHeader("Content-Length", buffer.length);
+    return res.end(buffer);
+  } catch (e) {
+    console.error("reports/pdf error:", e);
+    res.statusCode = 500;
+    return res.json({ error: String(e.message || e) });
+  }
+};
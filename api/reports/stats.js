@@ -0,0 +1,72 @@
+// api/reports/stats.js
+const { getSupabase } = require("../tracks/_supabase");
+const { requireUser } = require("../tracks/_auth");
+const { GROUPS, aggregate, toCsv } = require("./_stats");
+
+const BATCH = 1000;
+const MAX_ROWS = 20000;
+
+// GET /api/reports/stats?group=dog,month&from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv
+// Totals per dog / handler / month over reports and their linked tracks.
+module.exports = async (req, res) => {
+  if (req.method !== "GET") {
+    res.statusCode = 405;
+    return res.json({ error: "Method not allowed" });
+  }
+
+  const q = req.query || {};
+  const by = String(q.group || "dog").split(",").map((s) => s.trim()).filter(Boolean);
+  const bad = by.find((g) => !GROUPS.includes(g));
+  if (bad) {
+    res.statusCode = 400;
+    return res.json({ error: `Unknown group: ${bad} (use ${GROUPS.join(", ")})` });
+  }
+
+  const from = q.from ? Date.parse(String(q.from)) : null;
+  const to = q.to ? Date.parse(String(q.to)) : null;
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    res.statusCode = 400;
+    return res.json({ error: "from / to must be dates (YYYY-MM-DD)" });
+  }
+
+  try {
+    if (!(await requireUser(req, res))) return;
+    const supabase = getSupabase();
+
+    const rows = [];
+    for (let start = 0; start < MAX_ROWS; start += BATCH) {
+      let query = supabase
+        .from("reports")
+        .select("id, created_at, handler, dog, outcome, tracks(started_at, distance_m, duration_ms, weather, waypoints, laying)");
+      if (from != null) query = query.gte("created_at", new Date(from).toISOString());
+      if (to != null) {
+        // Inclusive end date, as in reports/list
+        const end = new Date(to);
+        end.setUTCDate(end.getUTCDate() + 1);
+        query = query.lt("created_at", end.toISOString());
+      }
+      const { data, error } = await query.order("created_at", { ascending: true }).range(start, start + BATCH - 1);
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < BATCH) break;
+    }
+
+    const stats = aggregate(rows, by);
+
+    if (String(q.format || "").toLowerCase() === "csv") {
+      const range = [q.from, q.to].filter(Boolean).join("_to_");
+      const name = `k9-training-${by.join("-")}${range ? `-${range}` : ""}`.replace(/[^\w.-]+/g, "_");
+      res.statusCode = 200;
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${name}.csv"`);
+      return res.end(toCsv(stats, by));
+    }
+
+    res.statusCode = 200;
+    return res.json({ ok: true, group: by, rows: stats, totals: aggregate(rows, [])[0] || null });
+  } catch (e) {
+    console.error("reports/stats error:", e);
+    res.statusCode = 500;
+    return res.json({ error: String(e.message || e) });
+  }
+};
@@ -1,39 +1,79 @@
 // api/stream.js
 const mqtt = require("mqtt");
+const { getProfile, topicAllowed, connectOptions } = require("./brokers/_profiles");
+const { getSupabase } = require("./tracks/_supabase");
+const { checkShare } = require("./tracks/_share");
+const { redeemTicket } = require("./_streamTickets");
 
-module.exports = (req, res) => {
-  res.writeHead(200, {
-    "Content-Type": "text/event-stream",
-    "Cache-Control": "no-cache, no-transform",
-    "Connection": "keep-alive"
-  });
-
-  // Query params
+// GET /api/stream?profile=<broker profile id>&topic=<topic>&ticket=<stream ticket>
+// GET /api/stream?share=<share code>
+// Host, credentials and TLS settings come from the profile (see brokers/_profiles.js);
+// topics outside the profile's allowlist are refused before we connect.
+// EventSource can't send headers, so signed-in callers pass a single-use
+// ticket from POST /api/streamTicket. Share viewers get only the shared
+// track's own topic, while it is live.
+module.exports = async (req, res) => {
   const {
-    host = "broker.emqx.io",
-    port = "",
-    topic = "devices/#",
-    ssl = "0",          // "1" -> MQTT over TLS (mqtts), "0" -> plain TCP (mqtt)
-    user = "",
-    pass = "",
-    insecure = "0",     // "1" -> allow self-signed (testing only)
+    share = "",
+    ticket = "",
     keepalive = "30",
     clientId = ""
   } = req.query || {};
+  let { profile: profileId = "", topic = "" } = req.query || {};
 
-  const isTLS = ssl === "1";
-  const p = Number(port) || (isTLS ? 8883 : 1883);
-  const url = `${isTLS ? "mqtts" : "mqtt"}://${host}:${p}`;
+  let profile;
+  try {
+    if (share) {
+      const { data: track, error } = await getSupabase()
+        .from("tracks")
+        .select("topic, broker_profile, share_code, share_scope, share_expires_at, ended_at")
+        .eq("share_code", String(share))
+        .limit(1)
+        .maybeSingle();
+      if (error) throw error;
+      const denied = checkShare(track, "live");
+      if (denied) {
+        res.statusCode = denied.status;
+        return res.json({ error: denied.error });
+      }
+      if (track.ended_at) {
+        res.statusCode = 410;
+        return res.json({ error: "This track has ended" });
+      }
+      profileId = track.broker_profile || "";
+      topic = track.topic;
+    } else if (!(await redeemTicket(ticket))) {
+      res.statusCode = 401;
+      return res.json({ error: "Sign-in required (missing, used or expired stream ticket)" });
+    }
+    profile = await getProfile(String(profileId));
+  } catch (e) {
+    res.statusCode = 500;
+    return res.json({ error: String(e.message || e) });
+  }
+  if (!profile) {
+    res.statusCode = 404;
+    return res.json({ error: profileId ? `Unknown broker profile: ${profileId}` : "No default broker profile" });
+  }
+  if (!topicAllowed(profile, String(topic))) {
+    res.statusCode = 403;
+    return res.json({ error: `Topic not allowed for profile ${profile.id}` });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    "Connection": "keep-alive"
+  });
 
+  const { url, opts: profileOpts } = connectOptions(profile);
   const opts = {
     protocolVersion: 4,
     clean: true,
     keepalive: Number(keepalive) || 30,
-    clientId: clientId || `sse-${Math.random().toString(16).slice(2)}`
+    clientId: clientId || `sse-${Math.random().toString(16).slice(2)}`,
+    ...profileOpts
   };
-  if (user) opts.username = user;
-  if (pass) opts.password = pass;
-  if (isTLS && insecure === "1") opts.rejectUnauthorized = false;
 
   const send = (obj, event) => {
     if (event) res.write(`event: ${event}\n`);
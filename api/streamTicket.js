@@ -0,0 +1,22 @@
+// api/streamTicket.js
+const { requireUser } = require("./tracks/_auth");
+const { mintTicket } = require("./_streamTickets");
+
+// POST /api/streamTicket -> { ticket, expires_at }
+// A single-use ticket for /api/stream?ticket=... (see _streamTickets.js)
+module.exports = async (req, res) => {
+  if (req.method !== "POST") {
+    res.statusCode = 405;
+    return res.json({ error: "Method not allowed" });
+  }
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+    res.statusCode = 200;
+    res.setHeader("Cache-Control", "no-store");
+    return res.json(await mintTicket(user));
+  } catch (e) {
+    res.statusCode = 500;
+    return res.json({ error: String(e.message || e) });
+  }
+};
@@ -0,0 +1,66 @@
+// Supabase JWT verification + role checks for API routes (CommonJS)
+//
+// Roles live in the user's app_metadata.role (set by an admin via the
+// Supabase dashboard or service API; users can't edit app_metadata):
+//   admin    - everything
+//   operator - create tracks, write own tracks, read everything
+//   viewer   - read-only
+// Tracks carry owner_id (uuid, auth.users.id of the operator who created them).
+const { getSupabase } = require("./_supabase");
+
+const ROLES = ["viewer", "operator", "admin"];
+
+function bearer(req) {
+  const h = req.headers?.authorization || req.headers?.Authorization || "";
+  const m = /^Bearer\s+(.+)$/i.exec(String(h));
+  return m ? m[1].trim() : null;
+}
+
+/**
+ * Resolve the caller from the Authorization header.
+ * @returns {Promise<null | { id, email, role }>}
+ */
+async function getUser(req) {
+  const token = bearer(req);
+  if (!token) return null;
+  const { data, error } = await getSupabase().auth.getUser(token);
+  if (error || !data?.user) return null;
+  const role = data.user.app_metadata?.role;
+  return {
+    id: data.user.id,
+    email: data.user.email || null,
+    role: ROLES.includes(role) ? role : "viewer",
+  };
+}
+
+function deny(res, status, error) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify({ error }));
+  return null;
+}
+
+/**
+ * Require a signed-in caller with one of `roles` (default: any role).
+ * Sends 401/403 and returns null when not allowed.
+ */
+async function requireUser(req, res, roles = ROLES) {
+  const user = await getUser(req);
+  if (!user) return deny(res, 401, "Sign-in required");
+  if (!roles.includes(user.role)) return deny(res, 403, `Requires role: ${roles.join(" or ")}`);
+  return user;
+}
+
+// Public tracks are readable by anyone; the rest need a signed-in user
+function canRead(user, track) {
+  return !!track && (track.is_public === true || !!user);
+}
+
+// Admins write anything; operators only the tracks they created
+function canWrite(user, track) {
+  if (!user || !track) return false;
+  if (user.role === "admin") return true;
+  return user.role === "operator" && track.owner_id === user.id;
+}
+
+module.exports = { getUser, requireUser, canRead, canWrite, ROLES };
@@ -0,0 +1,295 @@
+// Offline elevation from local DEM tiles (CommonJS, server only).
+//
+// Tiles live in DEM_DIR (default ./dem), WGS84 lat/lon grids:
+//   - SRTM .hgt: N47E008.hgt, 1201x1201 (3") or 3601x3601 (1"), big-endian int16
+//   - GeoTIFF (.tif/.tiff): EPSG:4326, one band, int16/int32/float32, stripped or
+//     tiled, uncompressed or Deflate (convert LZW files with
+//     `gdal_translate -co COMPRESS=DEFLATE in.tif out.tif`)
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { haversine } = require("./_geo");
+
+const DEM_DIR = process.env.DEM_DIR || path.join(process.cwd(), "dem");
+const MAX_OPEN = 4; // decoded GeoTIFF rasters kept in memory
+const PROFILE_SAMPLES = 300; // stored on the track row for the chart
+const HGT_VOID = -32768;
+
+/* ---------- SRTM .hgt ---------- */
+
+function hgtName(lat, lon) {
+  const la = Math.floor(lat), lo = Math.floor(lon);
+  return `${la < 0 ? "S" : "N"}${String(Math.abs(la)).padStart(2, "0")}` +
+    `${lo < 0 ? "W" : "E"}${String(Math.abs(lo)).padStart(3, "0")}.hgt`;
+}
+
+function openHgt(file, lat, lon) {
+  const buf = fs.readFileSync(file);
+  const size = Math.round(Math.sqrt(buf.length / 2));
+  if (size * size * 2 !== buf.length) throw new Error(`${path.basename(file)}: not a square .hgt grid`);
+  const step = 1 / (size - 1);
+  return {
+    north: Math.floor(lat) + 1,
+    west: Math.floor(lon),
+    dLat: step,
+    dLon: step,
+    rows: size,
+    cols: size,
+    get(r, c) {
+      const v = buf.readInt16BE((r * size + c) * 2);
+      return v === HGT_VOID ? null : v;
+    },
+  };
+}
+
+/* ---------- GeoTIFF ---------- */
+
+const TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 11: 4, 12: 8 };
+
+// Positional reads so indexing a directory doesn't load whole rasters
+function fileReader(file) {
+  const fd = fs.openSync(file, "r");
+  return {
+    read(offset, length) {
+      const b = Buffer.alloc(length);
+      fs.readSync(fd, b, 0, length, offset);
+      return b;
+    },
+    close: () => fs.closeSync(fd),
+  };
+}
+
+function readTiffTags(io) {
+  const head = io.read(0, 8);
+  const le = head.toString("ascii", 0, 2) === "II";
+  if (!le && head.toString("ascii", 0, 2) !== "MM") throw new Error("not a TIFF");
+  const u16 = (b, o) => (le ? b.readUInt16LE(o) : b.readUInt16BE(o));
+  const u32 = (b, o) => (le ? b.readUInt32LE(o) : b.readUInt32BE(o));
+  if (u16(head, 2) !== 42) throw new Error("BigTIFF is not supported");
+
+  const ifd = u32(head, 4);
+  const n = u16(io.read(ifd, 2), 0);
+  const entries = io.read(ifd + 2, n * 12);
+  const tags = {};
+  for (let i = 0; i < n; i++) {
+    const e = i * 12;
+    const tag = u16(entries, e), type = u16(entries, e + 2), count = u32(entries, e + 4);
+    const size = (TYPE_SIZE[type] || 1) * count;
+    const b = size <= 4 ? entries.subarray(e + 8, e + 12) : io.read(u32(entries, e + 8), size);
+    if (type === 2) { tags[tag] = b.toString("ascii", 0, count).replace(/\0+$/, ""); continue; }
+    const vals = [];
+    for (let k = 0; k < count; k++) {
+      const o = k * (TYPE_SIZE[type] || 1);
+      if (type === 1) vals.push(b[o]);
+      else if (type === 3) vals.push(u16(b, o));
+      else if (type === 4) vals.push(u32(b, o));
+      else if (type === 11) vals.push(le ? b.readFloatLE(o) : b.readFloatBE(o));
+      else if (type === 12) vals.push(le ? b.readDoubleLE(o) : b.readDoubleBE(o));
+    }
+    tags[tag] = vals;
+  }
+  return { le, tags };
+}
+
+// Bounds + layout only; the raster is decoded on first lookup
+function indexTiff(file) {
+  const io = fileReader(file);
+  try {
+    const { le, tags } = readTiffTags(io);
+    const cols = tags[256][0], rows = tags[257][0];
+    const [sx, sy] = tags[33550] || [];
+    const [, , , tx, ty] = tags[33922] || [];
+    if (!sx || !sy || tx == null) throw new Error("missing GeoTIFF georeferencing");
+    // GeoKeyDirectory: GTRasterTypeGeoKey (1025) = 2 means pixel-is-point
+    const keys = tags[34735] || [];
+    let pixelIsPoint = false;
+    for (let i = 4; i + 3 < keys.length; i += 4) if (keys[i] === 1025) pixelIsPoint = keys[i + 3] === 2;
+    const half = pixelIsPoint ? 0 : 0.5;
+    return {
+      file, le, tags, rows, cols,
+      dLat: sy,
+      dLon: sx,
+      // Grid of pixel centers
+      north: ty - half * sy,
+      west: tx + half * sx,
+      nodata: tags[42113] != null && tags[42113] !== "" ? Number(tags[42113]) : null,
+    };
+  } finally {
+    io.close();
+  }
+}
+
+function decodeTiff(meta) {
+  const { le, tags, rows, cols } = meta;
+  const bits = (tags[258] || [16])[0];
+  const format = (tags[339] || [1])[0]; // 1 uint, 2 int, 3 float
+  const compression = (tags[259] || [1])[0];
+  const predictor = (tags[317] || [1])[0];
+  if (![1, 8, 32946].includes(compression)) throw new Error(`${path.basename(meta.file)}: compression ${compression} not supported`);
+  if (predictor === 3) throw new Error(`${path.basename(meta.file)}: floating-point predictor not supported`);
+
+  const bytes = bits / 8;
+  const sample = (b, o) => {
+    if (format === 3) return bits === 64 ? (le ? b.readDoubleLE(o) : b.readDoubleBE(o)) : (le ? b.readFloatLE(o) : b.readFloatBE(o));
+    if (bits === 8) return format === 2 ? b.readInt8(o) : b[o];
+    if (bits === 16) return format === 2 ? (le ? b.readInt16LE(o) : b.readInt16BE(o)) : (le ? b.readUInt16LE(o) : b.readUInt16BE(o));
+    return format === 2 ? (le ? b.readInt32LE(o) : b.readInt32BE(o)) : (le ? b.readUInt32LE(o) : b.readUInt32BE(o));
+  };
+
+  const tiled = tags[322] != null;
+  const bw = tiled ? tags[322][0] : cols;
+  const bh = tiled ? tags[323][0] : (tags[278] || [rows])[0];
+  const offsets = tiled ? tags[324] : tags[273];
+  const counts = tiled ? tags[325] : tags[279];
+  const across = Math.ceil(cols / bw);
+  const out = new Float32Array(rows * cols);
+
+  const io = fileReader(meta.file);
+  try {
+    offsets.forEach((off, i) => {
+      let b = io.read(off, counts[i]);
+      if (compression !== 1) b = zlib.inflateSync(b);
+      const r0 = tiled ? Math.floor(i / across) * bh : i * bh;
+      const c0 = tiled ? (i % across) * bw : 0;
+      for (let r = 0; r < bh && r0 + r < rows; r++) {
+        let acc = 0;
+        for (let c = 0; c < bw; c++) {
+          let v = sample(b, (r * bw + c) * bytes);
+          // Horizontal differencing: each sample is a delta from its left neighbour
+          if (predictor === 2) { acc = c === 0 ? v : acc + v; v = acc; }
+          if (c0 + c < cols) out[(r0 + r) * cols + c0 + c] = v;
+        }
+      }
+    });
+  } finally {
+    io.close();
+  }
+
+  const { nodata } = meta;
+  return {
+    ...meta,
+    get(r, c) {
+      const v = out[r * cols + c];
+      return Number.isNaN(v) || (nodata != null && v === nodata) || v <= -32767 ? null : v;
+    },
+  };
+}
+
+/* ---------- Tile lookup ---------- */
+
+let _tiffIndex = null;
+function tiffIndex() {
+  if (_tiffIndex) return _tiffIndex;
+  _tiffIndex = [];
+  let names = [];
+  try { names = fs.readdirSync(DEM_DIR); } catch { return _tiffIndex; }
+  for (const name of names.filter((n) => /\.tiff?$/i.test(n))) {
+    try {
+      _tiffIndex.push(indexTiff(path.join(DEM_DIR, name)));
+    } catch (e) {
+      console.error(`DEM: skipping ${name}:`, e.message);
+    }
+  }
+  return _tiffIndex;
+}
+
+const _open = new Map(); // key -> tile, in least-recently-used order
+function cached(key, load) {
+  if (_open.has(key)) {
+    const t = _open.get(key);
+    _open.delete(key);
+    _open.set(key, t);
+    return t;
+  }
+  const t = load();
+  _open.set(key, t);
+  if (_open.size > MAX_OPEN) _open.delete(_open.keys().next().value);
+  return t;
+}
+
+const covers = (t, lat, lon) =>
+  lat <= t.north && lat >= t.north - (t.rows - 1) * t.dLat &&
+  lon >= t.west && lon <= t.west + (t.cols - 1) * t.dLon;
+
+function tileFor(lat, lon) {
+  const hgt = path.join(DEM_DIR, hgtName(lat, lon));
+  if (fs.existsSync(hgt)) return cached(hgt, () => openHgt(hgt, lat, lon));
+  const meta = tiffIndex().find((t) => covers(t, lat, lon));
+  return meta ? cached(meta.file, () => decodeTiff(meta)) : null;
+}
+
+// Bilinear interpolation between the four surrounding posts; voids are
+// dropped and the remaining weights renormalized
+function interpolate(t, lat, lon) {
+  const y = (t.north - lat) / t.dLat, x = (lon - t.west) / t.dLon;
+  const r0 = Math.min(Math.max(Math.floor(y), 0), t.rows - 1), c0 = Math.min(Math.max(Math.floor(x), 0), t.cols - 1);
+  const r1 = Math.min(r0 + 1, t.rows - 1), c1 = Math.min(c0 + 1, t.cols - 1);
+  const fy = Math.min(Math.max(y - r0, 0), 1), fx = Math.min(Math.max(x - c0, 0), 1);
+  let sum = 0, wsum = 0;
+  for (const [r, c, w] of [[r0, c0, (1 - fy) * (1 - fx)], [r0, c1, (1 - fy) * fx], [r1, c0, fy * (1 - fx)], [r1, c1, fy * fx]]) {
+    const v = t.get(r, c);
+    if (v != null && w > 0) { sum += v * w; wsum += w; }
+  }
+  return wsum > 0 ? sum / wsum : null;
+}
+
+function elevationAt(lat, lon) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  try {
+    const t = tileFor(lat, lon);
+    return t ? interpolate(t, lat, lon) : null;
+  } catch (e) {
+    console.error("DEM lookup failed:", e.message);
+    return null;
+  }
+}
+
+// Evenly spaced picks, always keeping the first and last sample
+function downsample(list, n) {
+  if (list.length <= n) return list;
+  const out = [];
+  for (let i = 0; i < n; i++) out.push(list[Math.round((i * (list.length - 1)) / (n - 1))]);
+  return out;
+}
+
+/**
+ * Elevation for every point: { gain, loss, min, max, coverage, profile }
+ * where profile is [{ d (m along track), ele (m), ts }], thinned to
+ * PROFILE_SAMPLES. Returns null when no point falls on a local tile.
+ */
+function elevationProfile(points) {
+  const pts = Array.isArray(points) ? points : [];
+  const profile = [];
+  let d = 0, prev = null, found = 0;
+  for (const p of pts) {
+    if (prev) d += haversine(prev, p);
+    prev = p;
+    const ele = elevationAt(Number(p.lat), Number(p.lon));
+    if (ele != null) found++;
+    profile.push({ d: Number(d.toFixed(1)), ele: ele != null ? Number(ele.toFixed(1)) : null, ts: p.ts ?? null });
+  }
+  if (!found) return null;
+
+  // Totals from every sample; only the stored profile is thinned
+  let gain = 0, loss = 0, min = Infinity, max = -Infinity, last = null;
+  for (const { ele } of profile) {
+    if (ele == null) continue;
+    if (last != null) {
+      if (ele > last) gain += ele - last; else loss += last - ele;
+    }
+    last = ele;
+    if (ele < min) min = ele;
+    if (ele > max) max = ele;
+  }
+  return {
+    source: "dem",
+    gain: Number(gain.toFixed(1)),
+    loss: Number(loss.toFixed(1)),
+    min,
+    max,
+    coverage: Number((found / pts.length).toFixed(3)),
+    profile: downsample(profile, PROFILE_SAMPLES),
+  };
+}
+
+module.exports = { elevationAt, elevationProfile };
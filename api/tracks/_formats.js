@@ -0,0 +1,189 @@
+// Track serializers: GPX 1.1, KML 2.2 and GeoJSON (CommonJS, server only)
+
+const xmlEscape = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const isoTime = (ts) => {
+  if (ts == null) return null;
+  const d = new Date(ts);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+};
+
+// Keep only points with usable coordinates
+function cleanPoints(points) {
+  return (Array.isArray(points) ? points : []).filter(
+    (p) => p && Number.isFinite(Number(p.lat)) && Number.isFinite(Number(p.lon))
+  ).map((p) => ({ ...p, lat: Number(p.lat), lon: Number(p.lon) }));
+}
+
+function trackName(track) {
+  return track.report_no ? `K9 Track ${track.report_no}` : `K9 Track ${track.id}`;
+}
+
+// Flat key/value metadata shared by every format
+function trackMeta(track) {
+  return {
+    id: track.id,
+    report_no: track.report_no || null,
+    device_id: track.device_id || null,
+    topic: track.topic || null,
+    started_at: track.started_at || null,
+    ended_at: track.ended_at || null,
+    distance_m: track.distance_m ?? null,
+    duration_ms: track.duration_ms ?? null,
+    pace_min_per_km: track.pace_min_per_km ?? null,
+    avg_speed_kmh: track.avg_speed_kmh ?? null,
+  };
+}
+
+function toGPX(track) {
+  const pts = cleanPoints(track.points);
+  const name = xmlEscape(trackName(track));
+  const meta = trackMeta(track);
+  const first = pts[0];
+  const last = pts[pts.length - 1];
+
+  const wpt = (p, label) => {
+    const t = isoTime(p.ts);
+    return `  <wpt lat="${p.lat}" lon="${p.lon}">${t ? `<time>${t}</time>` : ""}<name>${label}</name></wpt>`;
+  };
+
+  const trkpts = pts.map((p) => {
+    const t = isoTime(p.ts);
+    const ele = Number.isFinite(Number(p.ele)) ? `<ele>${Number(p.ele)}</ele>` : "";
+    return `      <trkpt lat="${p.lat}" lon="${p.lon}">${ele}${t ? `<time>${t}</time>` : ""}</trkpt>`;
+  });
+
+  const desc = Object.entries(meta)
+    .filter(([, v]) => v != null)
+    .map(([k, v]) => `${k}=${v}`)
+    .join("; ");
+  const metaTime = isoTime(track.started_at);
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<gpx version="1.1" creator="K9 Live Tracker" xmlns="http://www.topografix.com/GPX/1/1">`,
+    `  <metadata>`,
+    `    <name>${name}</name>`,
+    `    <desc>${xmlEscape(desc)}</desc>`,
+    metaTime ? `    <time>${metaTime}</time>` : null,
+    `  </metadata>`,
+    first ? wpt(first, "Start") : null,
+    last && pts.length > 1 ? wpt(last, "End") : null,
+    `  <trk>`,
+    `    <name>${name}</name>`,
+    track.device_id ? `    <src>${xmlEscape(track.device_id)}</src>` : null,
+    `    <trkseg>`,
+    ...trkpts,
+    `    </trkseg>`,
+    `  </trk>`,
+    `</gpx>`,
+    ``,
+  ].filter((l) => l != null).join("\n");
+}
+
+function toKML(track) {
+  const pts = cleanPoints(track.points);
+  const name = xmlEscape(trackName(track));
+  const meta = trackMeta(track);
+  const first = pts[0];
+  const last = pts[pts.length - 1];
+
+  const extData = Object.entries(meta)
+    .filter(([, v]) => v != null)
+    .map(([k, v]) => `        <Data name="${k}"><value>${xmlEscape(v)}</value></Data>`);
+
+  const placemark = (p, label, style) => {
+    const t = isoTime(p.ts);
+    return [
+      `    <Placemark>`,
+      `      <name>${label}</name>`,
+      `      <styleUrl>#${style}</styleUrl>`,
+      t ? `      <TimeStamp><when>${t}</when></TimeStamp>` : null,
+      `      <Point><coordinates>${p.lon},${p.lat}</coordinates></Point>`,
+      `    </Placemark>`,
+    ].filter((l) => l != null).join("\n");
+  };
+
+  // gx:Track keeps per-point timestamps; only usable if every point has one
+  const timed = pts.length > 0 && pts.every((p) => isoTime(p.ts));
+  const geometry = timed
+    ? [
+        `      <gx:Track>`,
+        ...pts.map((p) => `        <when>${isoTime(p.ts)}</when>`),
+        ...pts.map((p) => `        <gx:coord>${p.lon} ${p.lat} ${Number(p.ele) || 0}</gx:coord>`),
+        `      </gx:Track>`,
+      ]
+    : [
+        `      <LineString>`,
+        `        <tessellate>1</tessellate>`,
+        `        <coordinates>${pts.map((p) => `${p.lon},${p.lat}`).join(" ")}</coordinates>`,
+        `      </LineString>`,
+      ];
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">`,
+    `  <Document>`,
+    `    <name>${name}</name>`,
+    `    <Style id="track"><LineStyle><color>ffeb6325</color><width>4</width></LineStyle></Style>`,
+    `    <Style id="start"><IconStyle><color>ff699605</color></IconStyle></Style>`,
+    `    <Style id="end"><IconStyle><color>ff2626dc</color></IconStyle></Style>`,
+    `    <Placemark>`,
+    `      <name>${name}</name>`,
+    `      <styleUrl>#track</styleUrl>`,
+    `      <ExtendedData>`,
+    ...extData,
+    `      </ExtendedData>`,
+    ...geometry,
+    `    </Placemark>`,
+    first ? placemark(first, "Start", "start") : null,
+    last && pts.length > 1 ? placemark(last, "End", "end") : null,
+    `  </Document>`,
+    `</kml>`,
+    ``,
+  ].filter((l) => l != null).join("\n");
+}
+
+function toGeoJSON(track) {
+  const pts = cleanPoints(track.points);
+  const meta = trackMeta(track);
+  const first = pts[0];
+  const last = pts[pts.length - 1];
+
+  const point = (p, role) => ({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [p.lon, p.lat] },
+    properties: { role, time: isoTime(p.ts), track_id: track.id },
+  });
+
+  const features = [
+    {
+      type: "Feature",
+      geometry: { type: "LineString", coordinates: pts.map((p) => [p.lon, p.lat]) },
+      properties: {
+        ...meta,
+        name: trackName(track),
+        // Parallel to the coordinates array, like the GeoJSON "coordTimes" convention
+        coordTimes: pts.map((p) => isoTime(p.ts)),
+      },
+    },
+  ];
+  if (first) features.push(point(first, "start"));
+  if (last && pts.length > 1) features.push(point(last, "end"));
+
+  return JSON.stringify({ type: "FeatureCollection", features }, null, 2);
+}
+
+const FORMATS = {
+  gpx: { ext: "gpx", contentType: "application/gpx+xml", render: toGPX },
+  kml: { ext: "kml", contentType: "application/vnd.google-earth.kml+xml", render: toKML },
+  geojson: { ext: "geojson", contentType: "application/geo+json", render: toGeoJSON },
+};
+
+module.exports = { FORMATS, toGPX, toKML, toGeoJSON, cleanPoints };
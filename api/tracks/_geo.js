@@ -0,0 +1,56 @@
+// Server-side geo helpers (CommonJS). Mirrors src/lib/geo.js.
+
+const haversine = (a, b) => {
+  if (!a || !b) return 0;
+  const R = 6371000;
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const lat1 = toRad(a.lat);
+  const lat2 = toRad(b.lat);
+  const x =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(x), Math.sqrt(1 - x));
+};
+
+const pathLength = (pts) => {
+  let d = 0;
+  for (let i = 1; i < (pts?.length || 0); i++) d += haversine(pts[i - 1], pts[i]);
+  return d;
+};
+
+// Empty / invalid settings use the default, as normalizeFilter() does in the browser
+const setting = (v, dflt) => (v === "" || v == null || !Number.isFinite(Number(v)) || Number(v) < 0 ? dflt : Number(v));
+
+/**
+ * Fix quality gate + speed gate + minimum movement, the server equivalent of
+ * the browser filter's core steps (src/lib/gpsFilter.js). `cfg` uses the same keys.
+ */
+function filterPoints(points, cfg = {}) {
+  const maxSpeedKmh = setting(cfg.maxSpeedKmh, 40) || 40;
+  const minMoveM = setting(cfg.minMoveM, 3);
+  const maxHdop = setting(cfg.maxHdop, 5);
+  const minSats = setting(cfg.minSats, 4);
+  if (cfg.enabled === false) return points.map(({ lat, lon, ts }) => ({ lat, lon, ts }));
+
+  const out = [];
+  let anchor = null;
+  let rejects = 0;
+  for (const p of points) {
+    if (Number.isFinite(p.sats) && p.sats > 0 && p.sats < minSats) continue;
+    if (Number.isFinite(p.hdop) && p.hdop > maxHdop) continue;
+    if (anchor) {
+      const dt = (p.ts - anchor.ts) / 1000;
+      if (dt > 0 && (haversine(anchor, p) / dt) * 3.6 > maxSpeedKmh && ++rejects < 5) continue;
+    }
+    rejects = 0;
+    anchor = p;
+    const prev = out[out.length - 1];
+    if (prev && haversine(prev, p) < minMoveM) continue;
+    out.push({ lat: p.lat, lon: p.lon, ts: p.ts });
+  }
+  return out;
+}
+
+module.exports = { haversine, pathLength, filterPoints };
@@ -0,0 +1,53 @@
+// Laying metadata (CommonJS). Stored as tracks.laying (jsonb):
+// { laid_at, tracklayer, surfaces: [...], turns, articles, difficulty }
+// Track age is started_at - laid_at.
+
+const SURFACES = ["grass", "field", "forest", "gravel", "asphalt", "concrete", "sand", "snow", "mixed"];
+const DIFFICULTIES = [1, 2, 3, 4, 5];
+
+const count = (v) => {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 && n <= 1000 ? n : NaN;
+};
+
+/** Returns { laying } or { error } for a request body's `laying` object. */
+function parseLaying(raw) {
+  if (raw == null) return { laying: null };
+  if (typeof raw !== "object" || Array.isArray(raw)) return { error: "laying must be an object" };
+
+  let laid_at = null;
+  if (raw.laid_at) {
+    const t = Date.parse(raw.laid_at);
+    if (Number.isNaN(t)) return { error: "laying.laid_at must be an ISO date" };
+    if (t > Date.now() + 5 * 60 * 1000) return { error: "laying.laid_at is in the future" };
+    laid_at = new Date(t).toISOString();
+  }
+  const surfaces = Array.isArray(raw.surfaces) ? [...new Set(raw.surfaces.map(String))] : [];
+  const bad = surfaces.find((s) => !SURFACES.includes(s));
+  if (bad) return { error: `Unknown surface: ${bad}` };
+  const turns = count(raw.turns), articles = count(raw.articles);
+  if (Number.isNaN(turns) || Number.isNaN(articles)) return { error: "turns and articles must be whole numbers" };
+  const difficulty = raw.difficulty == null || raw.difficulty === "" ? null : Number(raw.difficulty);
+  if (difficulty != null && !DIFFICULTIES.includes(difficulty)) return { error: "difficulty must be 1-5" };
+
+  return {
+    laying: {
+      laid_at,
+      tracklayer: String(raw.tracklayer || "").trim().slice(0, 120) || null,
+      surfaces,
+      turns,
+      articles,
+      difficulty,
+    },
+  };
+}
+
+// Milliseconds between laying and running, or null
+function trackAgeMs(laying, startedAt) {
+  const laid = Date.parse(laying?.laid_at || "");
+  const run = Date.parse(startedAt || "");
+  return Number.isNaN(laid) || Number.isNaN(run) || run < laid ? null : run - laid;
+}
+
+module.exports = { SURFACES, DIFFICULTIES, parseLaying, trackAgeMs };
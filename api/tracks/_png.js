@@ -0,0 +1,134 @@
+// Minimal PNG codec for the static map renderer (CommonJS, server only).
+// Decodes non-interlaced PNGs (gray, RGB, palette, gray+alpha, RGBA; 1-16 bit)
+// to RGBA and encodes RGBA back to PNG.
+const zlib = require("zlib");
+
+const SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/** @returns {{ width, height, data: Uint8Array }} RGBA, 4 bytes per pixel */
+function decodePng(buf) {
+  if (!Buffer.isBuffer(buf) || !buf.subarray(0, 8).equals(SIGNATURE)) throw new Error("not a PNG");
+  let width = 0, height = 0, depth = 8, type = 0, interlace = 0;
+  let palette = null, trns = null;
+  const idat = [];
+  for (let o = 8; o < buf.length; ) {
+    const len = buf.readUInt32BE(o);
+    const kind = buf.toString("ascii", o + 4, o + 8);
+    const body = buf.subarray(o + 8, o + 8 + len);
+    if (kind === "IHDR") {
+      width = body.readUInt32BE(0); height = body.readUInt32BE(4);
+      depth = body[8]; type = body[9]; interlace = body[12];
+    } else if (kind === "PLTE") palette = body;
+    else if (kind === "tRNS") trns = body;
+    else if (kind === "IDAT") idat.push(body);
+    else if (kind === "IEND") break;
+    o += 12 + len;
+  }
+  if (interlace) throw new Error("interlaced PNG not supported");
+  const channels = CHANNELS[type];
+  if (!channels) throw new Error(`PNG color type ${type} not supported`);
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const bpp = Math.max(1, (channels * depth) >> 3); // filter unit in bytes
+  const stride = Math.ceil((width * channels * depth) / 8);
+  const lines = Buffer.alloc(stride * height);
+  let prev = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const cur = lines.subarray(y * stride, (y + 1) * stride);
+    for (let i = 0; i < stride; i++) {
+      const a = i >= bpp ? cur[i - bpp] : 0, b = prev[i], c = i >= bpp ? prev[i - bpp] : 0;
+      const pred = filter === 1 ? a : filter === 2 ? b : filter === 3 ? (a + b) >> 1 : filter === 4 ? paeth(a, b, c) : 0;
+      cur[i] = (src[i] + pred) & 0xff;
+    }
+    prev = cur;
+  }
+
+  // Sample n of a row, scaled to 0..255
+  const max = (1 << depth) - 1;
+  const sample = (row, n) => {
+    if (depth === 8) return row[n];
+    if (depth === 16) return row[n * 2];
+    const bit = n * depth;
+    const v = (row[bit >> 3] >> (8 - depth - (bit & 7))) & max;
+    return type === 3 ? v : Math.round((v * 255) / max);
+  };
+  const rawSample = (row, n) => (depth === 16 ? row.readUInt16BE(n * 2) : depth === 8 ? row[n] : (row[(n * depth) >> 3] >> (8 - depth - ((n * depth) & 7))) & max);
+
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const row = lines.subarray(y * stride, (y + 1) * stride);
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      if (type === 3) {
+        const i = sample(row, x);
+        data[o] = palette[i * 3]; data[o + 1] = palette[i * 3 + 1]; data[o + 2] = palette[i * 3 + 2];
+        data[o + 3] = trns && i < trns.length ? trns[i] : 255;
+      } else if (type === 0 || type === 4) {
+        const g = sample(row, x * channels);
+        data[o] = data[o + 1] = data[o + 2] = g;
+        data[o + 3] = type === 4 ? sample(row, x * 2 + 1)
+          : trns && rawSample(row, x) === trns.readUInt16BE(0) ? 0 : 255;
+      } else {
+        data[o] = sample(row, x * channels);
+        data[o + 1] = sample(row, x * channels + 1);
+        data[o + 2] = sample(row, x * channels + 2);
+        data[o + 3] = type === 6 ? sample(row, x * 4 + 3) : 255;
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+const CRC_TABLE = (() => {
+  const t = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = -1;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ -1) >>> 0;
+}
+
+function chunk(kind, body) {
+  const out = Buffer.alloc(12 + body.length);
+  out.writeUInt32BE(body.length, 0);
+  out.write(kind, 4, "ascii");
+  body.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + body.length)), 8 + body.length);
+  return out;
+}
+
+/** RGBA image -> PNG Buffer (8-bit RGBA, no filtering) */
+function encodePng({ width, height, data }) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; ihdr[9] = 6; // 8-bit RGBA
+  const raw = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    Buffer.from(data.buffer, data.byteOffset + y * width * 4, width * 4).copy(raw, y * (width * 4 + 1) + 1);
+  }
+  return Buffer.concat([
+    SIGNATURE,
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlib.deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+module.exports = { decodePng, encodePng };
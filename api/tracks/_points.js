@@ -0,0 +1,30 @@
+// Server-recorded breadcrumbs (track_points, see ingest.js) (CommonJS)
+const BATCH = 1000;       // PostgREST max-rows default; a bigger .limit() is silently capped
+const MAX_POINTS = 20000;
+
+/**
+ * All track_points for a track in time order, paged past the row cap.
+ * `since` (ISO time) returns only newer points.
+ * @returns {Promise<Array<{ lat, lon, ts, sats, hdop }>>} ts in ms
+ */
+async function loadTrackPoints(supabase, trackId, since = null) {
+  const rows = [];
+  for (let start = 0; start < MAX_POINTS; start += BATCH) {
+    let q = supabase
+      .from("track_points")
+      .select("lat, lon, ts, sats, hdop")
+      .eq("track_id", trackId);
+    if (since) q = q.gt("ts", since);
+    // id breaks ties between fixes with the same ts so pages don't overlap
+    const { data, error } = await q
+      .order("ts", { ascending: true })
+      .order("id", { ascending: true })
+      .range(start, Math.min(start + BATCH, MAX_POINTS) - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < BATCH) break;
+  }
+  return rows.map((r) => ({ lat: r.lat, lon: r.lon, ts: Date.parse(r.ts), sats: r.sats, hdop: r.hdop }));
+}
+
+module.exports = { loadTrackPoints };
@@ -0,0 +1,102 @@
+// Share codes for /view/:code (CommonJS)
+//
+// Columns on tracks:
+//   share_code       text unique   (null = no link / revoked)
+//   share_expires_at timestamptz   (null = never expires)
+//   share_scope      text          'live' | 'track' | 'report' (default 'track')
+//
+// Scopes are cumulative:
+//   live   - follow the track while it is being recorded, nothing afterwards
+//   track  - live, plus the finished track (points, stats, exports)
+//   report - track, plus the handler's report
+const crypto = require("crypto");
+
+const SHARE_SCOPES = ["live", "track", "report"];
+const DEFAULT_SCOPE = "track";
+
+// No 0/O, 1/I/L so codes survive being read out over a radio
+const ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LEN = 8;
+
+function randomCode() {
+  const bytes = crypto.randomBytes(CODE_LEN);
+  let out = "";
+  // 256 % 31 leaves a tiny bias; reject the tail to keep codes uniform
+  for (let i = 0; out.length < CODE_LEN; i++) {
+    if (i >= bytes.length) return randomCode();
+    if (bytes[i] < 248) out += ALPHABET[bytes[i] % ALPHABET.length];
+  }
+  return out;
+}
+
+/**
+ * Mint a share code that isn't already on a track.
+ * The unique index on tracks.share_code is the final guard; this just keeps
+ * inserts from tripping over it.
+ */
+async function newShareCode(supabase, attempts = 5) {
+  for (let i = 0; i < attempts; i++) {
+    const code = randomCode();
+    const { data, error } = await supabase.from("tracks").select("id").eq("share_code", code).limit(1);
+    if (error) throw error;
+    if (!data || !data.length) return code;
+  }
+  throw new Error("Could not allocate a unique share code");
+}
+
+const normalizeScope = (s) => (SHARE_SCOPES.includes(s) ? s : DEFAULT_SCOPE);
+
+/**
+ * Parse an expiry from { expires_at } (ISO) or { expires_in_hours }.
+ * Returns undefined when neither is given, null for "never", or an ISO string.
+ */
+function parseExpiry(body = {}) {
+  if (body.expires_at === null || body.expires_in_hours === null) return null;
+  if (body.expires_at) {
+    const t = Date.parse(body.expires_at);
+    if (!Number.isFinite(t)) throw new Error("expires_at must be an ISO date");
+    return new Date(t).toISOString();
+  }
+  if (body.expires_in_hours != null) {
+    const h = Number(body.expires_in_hours);
+    if (!Number.isFinite(h) || h <= 0) throw new Error("expires_in_hours must be a positive number");
+    return new Date(Date.now() + h * 3600 * 1000).toISOString();
+  }
+  return undefined;
+}
+
+/**
+ * Check a track looked up by share code against expiry and scope.
+ * `need` is the scope the caller wants: 'live' for the live view,
+ * 'track' for the finished track, 'report' for the report.
+ * Returns null when allowed, otherwise { status, error }.
+ */
+function checkShare(track, need = "live") {
+  if (!track || !track.share_code) return { status: 404, error: "Not found" };
+  if (track.share_expires_at && Date.parse(track.share_expires_at) <= Date.now()) {
+    return { status: 410, error: "This share link has expired" };
+  }
+  const scope = normalizeScope(track.share_scope);
+  if (SHARE_SCOPES.indexOf(scope) < SHARE_SCOPES.indexOf(need)) {
+    return {
+      status: 403,
+      error: need === "track" ? "This link only shows the track while it is live" : "This link does not include the report",
+    };
+  }
+  return null;
+}
+
+// Fields of a shared track that are safe to hand to anyone holding the code.
+// No id: with it, /api/tracks/get?id= would hand back the full row.
+const SHARED_TRACK_FIELDS =
+  "report_no, device_id, started_at, ended_at, distance_m, duration_ms, pace_min_per_km, avg_speed_kmh, weather, elevation, snapshot_url, points";
+
+module.exports = {
+  SHARE_SCOPES,
+  DEFAULT_SCOPE,
+  SHARED_TRACK_FIELDS,
+  newShareCode,
+  normalizeScope,
+  parseExpiry,
+  checkShare,
+};
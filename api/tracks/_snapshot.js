@@ -0,0 +1,28 @@
+// Track snapshot: render a track row to PNG and store it (CommonJS, server only)
+const { renderTrackPng } = require("./_staticmap");
+
+// Columns renderTrack() needs
+const SNAPSHOT_FIELDS = "id, points, raw_points, laid_track, handler_points, waypoints";
+
+function renderTrack(track) {
+  const points = track.points?.length ? track.points : track.raw_points || [];
+  return renderTrackPng({
+    points,
+    laid: track.laid_track?.points || [],
+    handler: track.handler_points || [],
+    waypoints: track.waypoints || [],
+  });
+}
+
+/** Upload a PNG to the snapshots bucket; returns its public URL */
+async function storeSnapshot(supabase, trackId, png) {
+  const key = `tracks/${trackId}/${Date.now()}.png`;
+  const { error } = await supabase.storage
+    .from("snapshots")
+    .upload(key, png, { contentType: "image/png", upsert: true });
+  if (error) throw error;
+  const { data: pub } = supabase.storage.from("snapshots").getPublicUrl(key);
+  return pub?.publicUrl || null;
+}
+
+module.exports = { SNAPSHOT_FIELDS, renderTrack, storeSnapshot };
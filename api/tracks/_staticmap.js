@@ -0,0 +1,216 @@
+// Static track map renderer (CommonJS, server only): web-mercator tiles +
+// track, laid track, handler path and markers drawn into a PNG.
+//
+// Tiles come from TILE_DIR ({dir}/{z}/{x}/{y}.png, e.g. for tests or
+// air-gapped installs) or TILE_URL (default OpenStreetMap). Missing tiles are
+// left blank rather than failing the render.
+const fs = require("fs");
+const path = require("path");
+const { decodePng, encodePng } = require("./_png");
+
+const TILE_SIZE = 256;
+const TILE_URL = process.env.TILE_URL || "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+const TILE_DIR = process.env.TILE_DIR || null;
+const USER_AGENT = process.env.TILE_USER_AGENT || "k9-tracker static map";
+const BACKGROUND = [248, 250, 252];
+
+// Mirrors the colors used on the live map (src/App.jsx, src/lib/waypoints.js)
+const COLORS = {
+  track: [37, 99, 235],
+  laid: [249, 115, 22],
+  handler: [13, 148, 136],
+  start: [5, 150, 105],
+  end: [220, 38, 38],
+  white: [255, 255, 255],
+};
+const WAYPOINT_COLORS = {
+  article: [220, 38, 38],
+  indication: [124, 58, 237],
+  scent_loss: [245, 158, 11],
+  reward: [22, 163, 74],
+  water: [2, 132, 199],
+  custom: [71, 85, 105],
+};
+
+/* ---------- projection ---------- */
+
+const worldPx = (z) => TILE_SIZE * 2 ** z;
+function project(lat, lon, z) {
+  const s = Math.sin((Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI) / 180);
+  return {
+    x: ((lon + 180) / 360) * worldPx(z),
+    y: (0.5 - Math.log((1 + s) / (1 - s)) / (4 * Math.PI)) * worldPx(z),
+  };
+}
+
+// Pixel bounding box of the points at zoom z (a loop: spreading a long track
+// into Math.min/max overflows the stack)
+function pixelBounds(pts, z) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const p of pts) {
+    const q = project(p.lat, p.lon, z);
+    if (q.x < minX) minX = q.x;
+    if (q.x > maxX) maxX = q.x;
+    if (q.y < minY) minY = q.y;
+    if (q.y > maxY) maxY = q.y;
+  }
+  return { minX, minY, maxX, maxY };
+}
+
+// Highest zoom (<= maxZoom) at which all points fit inside the padded frame
+function fitZoom(pts, width, height, padding, maxZoom) {
+  for (let z = maxZoom; z > 0; z--) {
+    const b = pixelBounds(pts, z);
+    if (b.maxX - b.minX <= width - 2 * padding && b.maxY - b.minY <= height - 2 * padding) return z;
+  }
+  return 1;
+}
+
+/* ---------- tiles ---------- */
+
+async function loadTile(z, x, y) {
+  const n = 2 ** z;
+  if (y < 0 || y >= n) return null;
+  x = ((x % n) + n) % n;
+  try {
+    if (TILE_DIR) return decodePng(fs.readFileSync(path.join(TILE_DIR, String(z), String(x), `${y}.png`)));
+    const url = TILE_URL.replace("{s}", "abc"[(x + y) % 3]).replace("{z}", z).replace("{x}", x).replace("{y}", y);
+    const r = await fetch(url, { headers: { "User-Agent": USER_AGENT }, signal: AbortSignal.timeout(8000) });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    return decodePng(Buffer.from(await r.arrayBuffer()));
+  } catch (e) {
+    console.error(`tile ${z}/${x}/${y} unavailable:`, e.message);
+    return null;
+  }
+}
+
+/* ---------- raster drawing ---------- */
+
+function createImage(width, height) {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = BACKGROUND[0]; data[i + 1] = BACKGROUND[1]; data[i + 2] = BACKGROUND[2]; data[i + 3] = 255;
+  }
+  return { width, height, data };
+}
+
+function blend(img, x, y, [r, g, b], a) {
+  if (x < 0 || y < 0 || x >= img.width || y >= img.height || a <= 0) return;
+  const o = (y * img.width + x) * 4, d = img.data;
+  d[o] = d[o] + (r - d[o]) * a;
+  d[o + 1] = d[o + 1] + (g - d[o + 1]) * a;
+  d[o + 2] = d[o + 2] + (b - d[o + 2]) * a;
+}
+
+function drawTile(img, tile, ox, oy) {
+  for (let y = 0; y < tile.height; y++) {
+    const iy = oy + y;
+    if (iy < 0 || iy >= img.height) continue;
+    for (let x = 0; x < tile.width; x++) {
+      const ix = ox + x;
+      if (ix < 0 || ix >= img.width) continue;
+      const s = (y * tile.width + x) * 4;
+      blend(img, ix, iy, [tile.data[s], tile.data[s + 1], tile.data[s + 2]], tile.data[s + 3] / 255);
+    }
+  }
+}
+
+/**
+ * Anti-aliased polyline. `dash` = [on, off] in pixels along the line.
+ * Each pixel takes its strongest coverage so joints don't double up.
+ */
+function drawPolyline(img, xy, { color, width = 4, opacity = 0.9, dash = null }) {
+  if (xy.length < 2) return;
+  const half = width / 2;
+  const cover = new Map(); // pixel index -> coverage
+  let along = 0;
+  for (let i = 1; i < xy.length; i++) {
+    const a = xy[i - 1], b = xy[i];
+    const dx = b.x - a.x, dy = b.y - a.y, len2 = dx * dx + dy * dy, len = Math.sqrt(len2);
+    const x0 = Math.max(0, Math.floor(Math.min(a.x, b.x) - half - 1)), x1 = Math.min(img.width - 1, Math.ceil(Math.max(a.x, b.x) + half + 1));
+    const y0 = Math.max(0, Math.floor(Math.min(a.y, b.y) - half - 1)), y1 = Math.min(img.height - 1, Math.ceil(Math.max(a.y, b.y) + half + 1));
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const px = x + 0.5, py = y + 0.5;
+        const t = len2 ? Math.max(0, Math.min(1, ((px - a.x) * dx + (py - a.y) * dy) / len2)) : 0;
+        if (dash && ((along + t * len) % (dash[0] + dash[1])) >= dash[0]) continue;
+        const dist = Math.hypot(px - (a.x + t * dx), py - (a.y + t * dy));
+        const c = Math.min(1, half + 0.5 - dist);
+        if (c <= 0) continue;
+        const k = y * img.width + x;
+        if (!(cover.get(k) >= c)) cover.set(k, c);
+      }
+    }
+    along += len;
+  }
+  for (const [k, c] of cover) blend(img, k % img.width, Math.floor(k / img.width), color, c * opacity);
+}
+
+function drawCircle(img, cx, cy, radius, fill, stroke = null, strokeWidth = 2) {
+  const r = radius + strokeWidth;
+  for (let y = Math.floor(cy - r - 1); y <= Math.ceil(cy + r + 1); y++) {
+    for (let x = Math.floor(cx - r - 1); x <= Math.ceil(cx + r + 1); x++) {
+      const d = Math.hypot(x + 0.5 - cx, y + 0.5 - cy);
+      if (stroke) blend(img, x, y, stroke, Math.max(0, Math.min(1, r + 0.5 - d)));
+      blend(img, x, y, fill, Math.max(0, Math.min(1, radius + 0.5 - d)));
+    }
+  }
+}
+
+/* ---------- render ---------- */
+
+const usable = (pts) =>
+  (Array.isArray(pts) ? pts : [])
+    .map((p) => ({ ...p, lat: Number(p.lat), lon: Number(p.lon) }))
+    .filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+
+/**
+ * PNG of a track: { points, laid, handler, waypoints } (arrays of {lat, lon}).
+ * Fits everything like the old browser snapshot (40 px padding, max zoom 17).
+ */
+async function renderTrackPng({ points = [], laid = [], handler = [], waypoints = [], width = 900, height = 600, padding = 40, maxZoom = 17 }) {
+  const track = usable(points), laidPts = usable(laid), handlerPts = usable(handler), wps = usable(waypoints);
+  const all = [...track, ...laidPts, ...handlerPts, ...wps];
+  if (!all.length) throw new Error("track has no points to draw");
+
+  const z = all.length > 1 ? fitZoom(all, width, height, padding, maxZoom) : 15;
+  const b = pixelBounds(all, z);
+  const cx = (b.minX + b.maxX) / 2;
+  const cy = (b.minY + b.maxY) / 2;
+  const left = cx - width / 2, top = cy - height / 2;
+  const toImg = (p) => {
+    const q = project(p.lat, p.lon, z);
+    return { x: q.x - left, y: q.y - top };
+  };
+
+  const img = createImage(width, height);
+  const tiles = [];
+  for (let ty = Math.floor(top / TILE_SIZE); ty <= Math.floor((top + height) / TILE_SIZE); ty++) {
+    for (let tx = Math.floor(left / TILE_SIZE); tx <= Math.floor((left + width) / TILE_SIZE); tx++) tiles.push({ tx, ty });
+  }
+  // A few at a time: be polite to public tile servers
+  for (let i = 0; i < tiles.length; i += 4) {
+    const batch = tiles.slice(i, i + 4);
+    const loaded = await Promise.all(batch.map(({ tx, ty }) => loadTile(z, tx, ty)));
+    loaded.forEach((tile, k) => {
+      if (tile) drawTile(img, tile, Math.round(batch[k].tx * TILE_SIZE - left), Math.round(batch[k].ty * TILE_SIZE - top));
+    });
+  }
+
+  drawPolyline(img, laidPts.map(toImg), { color: COLORS.laid, width: 3, dash: [6, 6] });
+  drawPolyline(img, handlerPts.map(toImg), { color: COLORS.handler, width: 3, dash: [2, 6] });
+  drawPolyline(img, track.map(toImg), { color: COLORS.track, width: 4 });
+  if (track.length) {
+    const s = toImg(track[0]), e = toImg(track[track.length - 1]);
+    drawCircle(img, s.x, s.y, 6, COLORS.start, COLORS.white);
+    drawCircle(img, e.x, e.y, 6, COLORS.end, COLORS.white);
+  }
+  for (const w of wps) {
+    const p = toImg(w);
+    drawCircle(img, p.x, p.y, 7, WAYPOINT_COLORS[w.type] || WAYPOINT_COLORS.custom, COLORS.white);
+  }
+
+  return encodePng(img);
+}
+
+module.exports = { renderTrackPng };
@@ -0,0 +1,195 @@
+// Scent-condition weather as a time series (CommonJS, server only).
+//
+// A provider is { name, series({ lat, lon, from, to }) -> Promise<[sample]> }
+// with samples { ts, temperature (°C), humidity (%), wind_speed (km/h),
+// wind_dir (° the wind blows from), precipitation (mm/h), cloud_cover (%) }.
+// WEATHER_PROVIDERS picks and orders them (default "open-meteo,cache"); the
+// first one that returns samples wins:
+//   open-meteo - hourly forecast/archive API; every fetched day is also cached
+//   cache      - days previously fetched by open-meteo (WEATHER_CACHE_DIR)
+//   file       - a local series exported from a station logger (WEATHER_FILE)
+//   stub       - constant conditions from WEATHER_STUB (JSON), for offline demos
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const CACHE_DIR = process.env.WEATHER_CACHE_DIR || path.join(os.tmpdir(), "k9-weather");
+const HOUR = 3600 * 1000;
+
+const dayOf = (ts) => new Date(ts).toISOString().slice(0, 10);
+const cell = (v) => (Math.round(v * 10) / 10).toFixed(1); // ~10 km cache grid
+
+function daysBetween(from, to) {
+  const out = [];
+  for (let t = Date.parse(dayOf(from)); t <= to; t += 24 * HOUR) out.push(dayOf(t));
+  return out;
+}
+
+// Hourly samples bracketing [from, to]
+const within = (series, from, to) =>
+  series.filter((s) => s.ts >= Math.floor(from / HOUR) * HOUR && s.ts <= Math.ceil(to / HOUR) * HOUR);
+
+/* ---------- providers ---------- */
+
+const cacheFile = (lat, lon, day) => path.join(CACHE_DIR, `${cell(lat)}_${cell(lon)}_${day}.json`);
+
+const cacheProvider = {
+  name: "cache",
+  async series({ lat, lon, from, to }) {
+    const out = [];
+    for (const day of daysBetween(from, to)) {
+      try { out.push(...JSON.parse(fs.readFileSync(cacheFile(lat, lon, day), "utf8"))); } catch {}
+    }
+    return within(out, from, to);
+  },
+};
+
+const openMeteoProvider = {
+  name: "open-meteo",
+  async series({ lat, lon, from, to }) {
+    const days = daysBetween(from, to);
+    // The forecast API keeps roughly the last three months; older runs need the archive
+    const old = Date.now() - to > 60 * 24 * HOUR;
+    const base = old ? "https://archive-api.open-meteo.com/v1/archive" : "https://api.open-meteo.com/v1/forecast";
+    const qs = new URLSearchParams({
+      latitude: String(lat),
+      longitude: String(lon),
+      hourly: "temperature_2m,relative_humidity_2m,wind_speed_10m,wind_direction_10m,precipitation,cloud_cover",
+      start_date: days[0],
+      end_date: days[days.length - 1],
+      timezone: "UTC",
+    });
+    const r = await fetch(`${base}?${qs}`, { signal: AbortSignal.timeout(8000) });
+    if (!r.ok) throw new Error(`open-meteo HTTP ${r.status}`);
+    const h = (await r.json())?.hourly;
+    if (!h?.time) return [];
+
+    const all = h.time.map((t, i) => ({
+      ts: Date.parse(`${t}:00Z`),
+      temperature: h.temperature_2m?.[i] ?? null,
+      humidity: h.relative_humidity_2m?.[i] ?? null,
+      wind_speed: h.wind_speed_10m?.[i] ?? null,
+      wind_dir: h.wind_direction_10m?.[i] ?? null,
+      precipitation: h.precipitation?.[i] ?? null,
+      cloud_cover: h.cloud_cover?.[i] ?? null,
+    }));
+    try {
+      fs.mkdirSync(CACHE_DIR, { recursive: true });
+      for (const day of days) {
+        const rows = all.filter((s) => dayOf(s.ts) === day && s.temperature != null);
+        if (rows.length) fs.writeFileSync(cacheFile(lat, lon, day), JSON.stringify(rows));
+      }
+    } catch (e) {
+      console.error("weather cache write failed:", e.message);
+    }
+    return within(all, from, to);
+  },
+};
+
+const fileProvider = {
+  name: "file",
+  async series({ from, to }) {
+    if (!process.env.WEATHER_FILE) return [];
+    const js = JSON.parse(fs.readFileSync(process.env.WEATHER_FILE, "utf8"));
+    const rows = (Array.isArray(js) ? js : js.series || []).map((s) => ({ ...s, ts: typeof s.ts === "number" ? s.ts : Date.parse(s.ts) }));
+    return within(rows.filter((s) => Number.isFinite(s.ts)).sort((a, b) => a.ts - b.ts), from, to);
+  },
+};
+
+const stubProvider = {
+  name: "stub",
+  async series({ from, to }) {
+    const base = { temperature: 15, humidity: 70, wind_speed: 10, wind_dir: 270, precipitation: 0, cloud_cover: 50, ...JSON.parse(process.env.WEATHER_STUB || "{}") };
+    const out = [];
+    for (let t = Math.floor(from / HOUR) * HOUR; t <= Math.ceil(to / HOUR) * HOUR; t += HOUR) out.push({ ts: t, ...base });
+    return out;
+  },
+};
+
+const providers = {
+  "open-meteo": openMeteoProvider,
+  cache: cacheProvider,
+  file: fileProvider,
+  stub: stubProvider,
+};
+
+function registerWeatherProvider(provider) {
+  if (!provider?.name || typeof provider.series !== "function") throw new Error("provider needs name and series()");
+  providers[provider.name] = provider;
+}
+
+const chain = () =>
+  String(process.env.WEATHER_PROVIDERS || "open-meteo,cache").split(",").map((s) => providers[s.trim()]).filter(Boolean);
+
+async function fetchSeries(where) {
+  for (const p of chain()) {
+    try {
+      const series = await p.series(where);
+      if (series.length) return { provider: p.name, series };
+    } catch (e) {
+      console.error(`weather provider ${p.name} failed:`, e.message);
+    }
+  }
+  return null;
+}
+
+/* ---------- summaries ---------- */
+
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+const r1 = (v) => (v == null ? null : Math.round(v * 10) / 10);
+
+// Wind direction needs a vector mean (350° and 10° average to 0°, not 180°)
+function meanDirection(series) {
+  let x = 0, y = 0, n = 0;
+  for (const s of series) {
+    if (s.wind_dir == null) continue;
+    const w = Number.isFinite(s.wind_speed) && s.wind_speed > 0 ? s.wind_speed : 1;
+    x += Math.sin((s.wind_dir * Math.PI) / 180) * w;
+    y += Math.cos((s.wind_dir * Math.PI) / 180) * w;
+    n++;
+  }
+  return n ? Math.round(((Math.atan2(x, y) * 180) / Math.PI + 360) % 360) : null;
+}
+
+function summarize(series) {
+  const vals = (k) => series.map((s) => s[k]).filter(Number.isFinite);
+  const precip = vals("precipitation");
+  return {
+    temperature: r1(mean(vals("temperature"))),
+    humidity: r1(mean(vals("humidity"))),
+    wind_speed: r1(mean(vals("wind_speed"))),
+    wind_dir: meanDirection(series),
+    precipitation: precip.length ? r1(precip.reduce((a, b) => a + b, 0)) : null,
+    cloud_cover: r1(mean(vals("cloud_cover"))),
+  };
+}
+
+async function conditionsBetween(lat, lon, from, to) {
+  if (!Number.isFinite(from) || !Number.isFinite(to)) return null;
+  const got = await fetchSeries({ lat, lon, from, to: Math.max(from, to) });
+  return got ? { provider: got.provider, from, to, series: got.series, ...summarize(got.series) } : null;
+}
+
+/**
+ * Conditions while the track was run and (when laid times are known) while
+ * it was laid. Top-level temperature / windspeed / winddirection keep the
+ * shape of the old single Open-Meteo reading for existing readers.
+ */
+async function weatherRecord({ lat, lon, startedAt, endedAt, laidFrom = null, laidTo = null }) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  const [run, laid] = await Promise.all([
+    conditionsBetween(lat, lon, startedAt, endedAt),
+    laidFrom != null ? conditionsBetween(lat, lon, laidFrom, laidTo ?? laidFrom) : null,
+  ]);
+  if (!run && !laid) return null;
+  const cur = run || laid;
+  return {
+    temperature: cur.temperature,
+    windspeed: cur.wind_speed,
+    winddirection: cur.wind_dir,
+    run,
+    laid,
+  };
+}
+
+module.exports = { registerWeatherProvider, fetchSeries, summarize, weatherRecord };
@@ -1,5 +1,7 @@
 // /api/tracks/active.js
 const { createClient } = require("@supabase/supabase-js");
+const { getUser } = require("./_auth");
+const { checkShare } = require("./_share");
 
 function need(name) {
   const v = process.env[name];
@@ -22,9 +24,31 @@ module.exports = async (req, res) => {
   }
 
   try {
+    // Topic lookups are for operators; a share code that passes checkShare is
+    // enough on its own, public track or not
+    const user = await getUser(req);
+    if (topic && !user) {
+      res.statusCode = 401;
+      return res.json({ error: "Sign-in required" });
+    }
+
     const supabase = createClient(need("SUPABASE_URL"), need("SUPABASE_SERVICE_ROLE"));
-    let q = supabase.from("tracks").select("id, started_at, ended_at").is("ended_at", null);
 
+    if (code) {
+      const { data: shared, error: sErr } = await supabase
+        .from("tracks")
+        .select("share_code, share_scope, share_expires_at")
+        .eq("share_code", code)
+        .maybeSingle();
+      if (sErr) throw sErr;
+      const denied = checkShare(shared, "live");
+      if (denied) {
+        res.statusCode = denied.status;
+        return res.json({ error: denied.error });
+      }
+    }
+
+    let q = supabase.from("tracks").select("id, started_at, ended_at").is("ended_at", null);
     if (code) q = q.eq("share_code", code);
     if (topic) q = q.eq("topic", topic);
 
@@ -34,7 +58,8 @@ module.exports = async (req, res) => {
     const row = data && data[0];
     const active = !!row;
     res.statusCode = 200;
-    return res.json({ active, id: row?.id || null, startedAt: row?.started_at || null });
+    // Share-code callers don't get the track id (see _share.js)
+    return res.json({ active, id: code ? null : row?.id || null, startedAt: row?.started_at || null });
   } catch (e) {
     res.statusCode = 500;
     return res.json({ error: String(e.message || e) });
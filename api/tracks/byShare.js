@@ -1,5 +1,6 @@
 // /api/tracks/byShare.js
 const { createClient } = require("@supabase/supabase-js");
+const { checkShare, normalizeScope } = require("./_share");
 
 function need(name) {
   const v = process.env[name];
@@ -23,7 +24,7 @@ module.exports = async (req, res) => {
     const supabase = createClient(need("SUPABASE_URL"), need("SUPABASE_SERVICE_ROLE"));
     const { data, error } = await supabase
       .from("tracks")
-      .select("id, topic, host, port, ssl, share_code")
+      .select("id, topic, device_id, broker_profile, share_code, share_scope, share_expires_at, ended_at")
       .eq("share_code", code)
       .limit(1)
       .maybeSingle();
@@ -33,15 +34,22 @@ module.exports = async (req, res) => {
       res.statusCode = 404;
       return res.json({ error: "Not found" });
     }
+    // The code itself grants access, public track or not
+    const denied = checkShare(data, "live");
+    if (denied) {
+      res.statusCode = denied.status;
+      return res.json({ error: denied.error });
+    }
 
     // Only return safe fields
     res.statusCode = 200;
     return res.json({
-      id: data.id,
       topic: data.topic,
-      host: data.host || null,
-      port: data.port || null,
-      ssl: typeof data.ssl === "boolean" ? data.ssl : null
+      device_id: data.device_id || null,
+      profile: data.broker_profile || null,
+      scope: normalizeScope(data.share_scope),
+      expires_at: data.share_expires_at || null,
+      ended: !!data.ended_at,
     });
   } catch (e) {
     res.statusCode = 500;
@@ -1,5 +1,8 @@
 // api/tracks/create.js
 const { createClient } = require("@supabase/supabase-js");
+const { requireUser } = require("./_auth");
+const { newShareCode, normalizeScope, parseExpiry } = require("./_share");
+const { parseLaying, trackAgeMs } = require("./_laying");
 
 function need(name) {
   const v = process.env[name];
@@ -7,6 +10,33 @@ function need(name) {
   return v;
 }
 
+// Outbox replays can resend a create whose first response was lost.
+// tracks.client_ref (text, unique index) holds the client's local id so the
+// replay gets the original row back instead of a second track.
+async function byClientRef(supabase, client_ref) {
+  const { data, error } = await supabase.from("tracks").select().eq("client_ref", client_ref).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+function sendCreated(res, user, data) {
+  if (data.owner_id !== user.id) {
+    res.statusCode = 409;
+    return res.json({ error: "client_ref already used" });
+  }
+  res.status(200).json({
+    ok: true,
+    id: data.id,
+    report_no: data.report_no,
+    share_code: data.share_code,
+    share_scope: data.share_scope,
+    share_expires_at: data.share_expires_at,
+    started_at: data.started_at,
+    laying: data.laying,
+    track_age_ms: trackAgeMs(data.laying, data.started_at),
+  });
+}
+
 module.exports = async (req, res) => {
   if (req.method !== "POST") {
     res.statusCode = 405;
@@ -14,42 +44,76 @@ module.exports = async (req, res) => {
   }
 
   try {
+    const user = await requireUser(req, res, ["operator", "admin"]);
+    if (!user) return;
+
     const supabase = createClient(need("SUPABASE_URL"), need("SUPABASE_SERVICE_ROLE"));
 
-    // Expect body like: { device_id, topic, is_public }
-    const { device_id, topic, is_public = true } = req.body || {};
+    // Expect body like: { device_id, topic, broker_profile, is_public, share_scope, expires_in_hours | expires_at, laying, started_at?, client_ref? }
+    const body = req.body || {};
+    const client_ref = body.client_ref ? String(body.client_ref).slice(0, 64) : null;
+    if (client_ref) {
+      const existing = await byClientRef(supabase, client_ref);
+      if (existing) return sendCreated(res, user, existing);
+    }
+
+    const { device_id, topic } = body;
+    // Private unless asked for: anonymous access goes through share codes
+    const is_public = body.is_public === true;
+    let share_expires_at;
+    try {
+      share_expires_at = parseExpiry(body) || null;
+    } catch (e) {
+      res.statusCode = 400;
+      return res.json({ error: e.message });
+    }
+    const { laying, error: layingErr } = parseLaying(body.laying);
+    if (layingErr) {
+      res.statusCode = 400;
+      return res.json({ error: layingErr });
+    }
 
     // Mint the monthly report number first (YYYY-MM-XXX)
     const { data: nextNo, error: rpcErr } = await supabase.rpc("next_track_report_no");
     if (rpcErr) throw rpcErr;
 
-    // Optional: generate a short share code (6–8 chars)
-    const share_code = Math.random().toString(36).slice(2, 8).toUpperCase();
+    const share_code = await newShareCode(supabase);
 
-    const started_at = new Date().toISOString();
+    // Creates replayed from the client's offline outbox carry their real start
+    // time; anything unparseable or in the future falls back to now
+    const now = Date.now();
+    const claimed = Date.parse(body.started_at);
+    const started_at = new Date(Number.isFinite(claimed) && claimed <= now + 60000 ? Math.min(claimed, now) : now).toISOString();
 
     const { data, error } = await supabase
       .from("tracks")
       .insert([{
         device_id,
         topic,
+        broker_profile: body.broker_profile || null,
         started_at,
         is_public,
+        owner_id: user.id,
         share_code,
+        share_scope: normalizeScope(body.share_scope),
+        share_expires_at,
+        laying,
         report_no: nextNo,  // <-- assign here on create
+        client_ref,
       }])
       .select()
       .single();
 
-    if (error) throw error;
+    if (error) {
+      // Lost the race with a concurrent replay of the same create
+      if (error.code === "23505" && client_ref) {
+        const existing = await byClientRef(supabase, client_ref);
+        if (existing) return sendCreated(res, user, existing);
+      }
+      throw error;
+    }
 
-    res.status(200).json({
-      ok: true,
-      id: data.id,
-      report_no: data.report_no,
-      share_code: data.share_code,
-      started_at: data.started_at,
-    });
+    return sendCreated(res, user, data);
   } catch (e) {
     res.status(500).json({ error: String(e.message || e) });
   }
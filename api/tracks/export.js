@@ -0,0 +1,73 @@
+// api/tracks/export.js
+const { getSupabase } = require("./_supabase");
+const { FORMATS } = require("./_formats");
+const { getUser, canRead } = require("./_auth");
+const { checkShare } = require("./_share");
+
+// GET /api/tracks/export?id=<uuid>&format=gpx
+// GET /api/tracks/export?share=ABC123&format=kml
+// GET /api/tracks/export?report_no=2025-01-001&format=geojson
+module.exports = async (req, res) => {
+  if (req.method !== "GET") {
+    res.statusCode = 405;
+    res.setHeader("Content-Type", "application/json");
+    return res.end(JSON.stringify({ error: "Method not allowed" }));
+  }
+
+  const q = req.query || {};
+  const format = String(q.format || "gpx").toLowerCase();
+  const fmt = FORMATS[format];
+  if (!fmt) {
+    res.statusCode = 400;
+    res.setHeader("Content-Type", "application/json");
+    return res.end(JSON.stringify({ error: `Unknown format: ${format} (use gpx, kml or geojson)` }));
+  }
+
+  try {
+    const supabase = getSupabase();
+    let query = supabase
+      .from("tracks")
+      .select("id, is_public, share_code, share_scope, share_expires_at, report_no, device_id, topic, started_at, ended_at, distance_m, duration_ms, pace_min_per_km, avg_speed_kmh, points")
+      .limit(1);
+    if (q.id) query = query.eq("id", String(q.id));
+    else if (q.share) query = query.eq("share_code", String(q.share));
+    else if (q.report_no) query = query.eq("report_no", String(q.report_no));
+    else {
+      res.statusCode = 400;
+      res.setHeader("Content-Type", "application/json");
+      return res.end(JSON.stringify({ error: "Provide id, share or report_no" }));
+    }
+
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      res.statusCode = 404;
+      res.setHeader("Content-Type", "application/json");
+      return res.end(JSON.stringify({ error: "Not found" }));
+    }
+    // With a share code, checkShare decides; is_public is for ?id= lookups
+    const viaShare = q.share && !q.id;
+    if (!viaShare && !canRead(await getUser(req), data)) {
+      res.statusCode = 401;
+      res.setHeader("Content-Type", "application/json");
+      return res.end(JSON.stringify({ error: "Sign-in required" }));
+    }
+    const denied = viaShare ? checkShare(data, "track") : null;
+    if (denied) {
+      res.statusCode = denied.status;
+      res.setHeader("Content-Type", "application/json");
+      return res.end(JSON.stringify({ error: denied.error }));
+    }
+
+    const base = `k9-track-${data.report_no || data.id}`.replace(/[^\w.-]+/g, "_");
+    res.statusCode = 200;
+    res.setHeader("Content-Type", `${fmt.contentType}; charset=utf-8`);
+    res.setHeader("Content-Disposition", `attachment; filename="${base}.${fmt.ext}"`);
+    return res.end(fmt.render(data));
+  } catch (e) {
+    console.error("tracks/export exception:", e);
+    res.statusCode = 500;
+    res.setHeader("Content-Type", "application/json");
+    return res.end(JSON.stringify({ error: String(e?.message || e) }));
+  }
+};
@@ -1,62 +1,149 @@
 // api/tracks/finish.js
 import { createClient } from "@supabase/supabase-js";
+import { filterPoints, pathLength } from "./_geo";
+import { elevationProfile } from "./_dem";
+import { weatherRecord } from "./_weather";
+import { trackAgeMs } from "./_laying";
+import { renderTrack, storeSnapshot } from "./_snapshot";
+import { loadTrackPoints } from "./_points";
+import { requireUser, canWrite } from "./_auth";
+import { validFence } from "../geofences/_shape";
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE
 );
 
+// Upper bound on the whole snapshot render (tile fetches included)
+const SNAPSHOT_DEADLINE_MS = 10000;
+
+function withDeadline(promise, ms) {
+  let timer;
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
 export default async function handler(req, res) {
   if (req.method !== "POST") {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
   try {
-    const {
+    let {
       track_id,
       distance_m,
       duration_ms,
       pace_min_per_km,
       avg_speed_kmh,
-      weather,
-      elevation,
+      weather,         // legacy: client-side reading; used only when no weather provider answers
+      elevation,       // legacy: client-side { gain, loss }; used only when no DEM tile covers the track
       points,
-      snapshotDataUrl, // "data:image/png;base64,...."
+      raw_points,      // optional: unfiltered fixes
+      filter,          // optional: filter settings + stats (see src/lib/gpsFilter.js)
+      laid_track,      // optional { source, name, laid_track_id?, points }
+      deviation,       // optional stats from compareToLaid()
+      geofences,       // optional fences active on this track (see src/lib/geofence.js)
+      geofence_events, // optional [{ fence_id, name, rule, type, violation, ts, lat, lon }]
+      handler_points,  // optional handler (phone) breadcrumbs [{ lat, lon, acc, ts }]
+      handler_stats,   // optional stats from handlerStats() (see src/lib/handler.js)
+      waypoints,       // optional [{ id, type, label, note, ts, lat, lon, source, photoDataUrl? }]
+      snapshotDataUrl, // legacy: browser-captured PNG; used only when the server render fails
+      ended_at,        // optional ISO time; defaults to now (recovered tracks end at their last fix)
     } = await req.body || req.json?.(); // supports Edge/Node
 
     if (!track_id) return res.status(400).json({ error: "missing track_id" });
 
-    // 1) Upload snapshot if provided
-    let snapshot_url = null;
+    const user = await requireUser(req, res, ["operator", "admin"]);
+    if (!user) return;
+    const { data: owned } = await supabase.from("tracks").select("id, owner_id").eq("id", track_id).maybeSingle();
+    if (!owned) return res.status(404).json({ error: "Not found" });
+    if (!canWrite(user, owned)) return res.status(403).json({ error: "Not your track" });
+
+    // 1) Waypoint photos: upload to the snapshots bucket, keep only the URL
+    if (Array.isArray(waypoints)) {
+      waypoints = await Promise.all(waypoints.map(async ({ photoDataUrl, ...w }) => {
+        if (!photoDataUrl?.startsWith("data:image")) return w;
+        try {
+          const bytes = Buffer.from(photoDataUrl.split(",")[1], "base64");
+          const key = `tracks/${track_id}/waypoint-${String(w.id).replace(/[^\w-]/g, "")}.jpg`;
+          const { error: upErr } = await supabase.storage
+            .from("snapshots")
+            .upload(key, bytes, { contentType: "image/jpeg", upsert: true });
+          if (upErr) throw upErr;
+          const { data: pub } = supabase.storage.from("snapshots").getPublicUrl(key);
+          return { ...w, photo_url: pub?.publicUrl || null };
+        } catch (e) {
+          console.error("waypoint photo upload failed", e);
+          // Keep the photo inline rather than lose it
+          return { ...w, photoDataUrl };
+        }
+      }));
+    }
+
+    // 2) Canonical breadcrumbs: server-recorded points (track_points, see
+    //    ingest.js) win when they cover more of the track than the browser did
+    const endedAt = ended_at && !Number.isNaN(Date.parse(ended_at)) ? ended_at : new Date().toISOString();
+    let points_source = "client";
+    let startedAt = null;
+    let laying = null;
     try {
-      if (snapshotDataUrl?.startsWith("data:image")) {
-        const base64 = snapshotDataUrl.split(",")[1];
-        const bytes = Buffer.from(base64, "base64");
-        const key = `tracks/${track_id}/${Date.now()}.png`;
-
-        const { error: upErr } = await supabase
-          .storage
-          .from("snapshots")
-          .upload(key, bytes, { contentType: "image/png", upsert: true });
-        if (upErr) throw upErr;
-
-        const { data: pub } = supabase
-          .storage
-          .from("snapshots")
-          .getPublicUrl(key);
-
-        snapshot_url = pub?.publicUrl || null;
+      const [{ data: row }, serverPts] = await Promise.all([
+        supabase.from("tracks").select("started_at, laying").eq("id", track_id).maybeSingle(),
+        loadTrackPoints(supabase, track_id),
+      ]);
+      startedAt = row?.started_at || null;
+      laying = row?.laying || null;
+
+      const clientCount = (raw_points || points || []).length;
+      if (serverPts.length > clientCount) {
+        points_source = "server";
+        raw_points = serverPts;
+        points = filterPoints(serverPts, filter || {});
+        distance_m = pathLength(points);
+        if (!(duration_ms > 0) && row?.started_at) duration_ms = Date.parse(endedAt) - Date.parse(row.started_at);
+        const km = distance_m / 1000;
+        const h = (duration_ms || 0) / 3600000;
+        pace_min_per_km = km > 0 && h > 0 ? Number(((h * 60) / km).toFixed(3)) : null;
+        avg_speed_kmh = km > 0 && h > 0 ? Number((km / h).toFixed(3)) : null;
+        filter = filter ? { ...filter, raw_distance_m: Number(pathLength(serverPts).toFixed(1)) } : null;
       }
     } catch (e) {
-      console.error("snapshot upload failed", e);
-      // continue without snapshot
+      console.error("server points lookup failed", e);
+      // continue with the client's points
+    }
+
+    // 2b) Elevation profile from local DEM tiles (see _dem.js)
+    try {
+      elevation = elevationProfile(points) || elevation || null;
+    } catch (e) {
+      console.error("elevation profile failed", e);
     }
 
-    // 2) Update track row with summary + snapshot_url
+    // 2c) Conditions over the run (and the laying, when its times are known)
+    try {
+      const mid = points?.length ? points[Math.floor(points.length / 2)] : null;
+      const laidTs = (laid_track?.points || []).map((p) => Number(p.ts)).filter((t) => Number.isFinite(t) && t > 0);
+      if (laying?.laid_at) laidTs.push(Date.parse(laying.laid_at));
+      const record = mid && await weatherRecord({
+        lat: Number(mid.lat),
+        lon: Number(mid.lon),
+        startedAt: startedAt ? Date.parse(startedAt) : Number(points[0]?.ts) || Date.parse(endedAt),
+        endedAt: Date.parse(endedAt),
+        laidFrom: laidTs.length ? laidTs.reduce((a, t) => Math.min(a, t)) : null,
+        laidTo: laidTs.length ? laidTs.reduce((a, t) => Math.max(a, t)) : null,
+      });
+      weather = record || weather || null;
+    } catch (e) {
+      console.error("weather record failed", e);
+    }
+
+    // 3) Update track row with the summary
     const { data, error } = await supabase
       .from("tracks")
       .update({
-        ended_at: new Date().toISOString(),
+        ended_at: endedAt,
         distance_m,
         duration_ms,
         pace_min_per_km,
@@ -64,18 +151,63 @@ export default async function handler(req, res) {
         weather,
         elevation,
         points,
-        snapshot_url, // <- public URL we just generated (or null)
+        ...(raw_points !== undefined ? { raw_points, filter: filter ?? null } : {}),
+        points_source,
+        ...(laid_track !== undefined ? { laid_track, deviation: deviation ?? null } : {}),
+        ...(Array.isArray(geofences)
+          ? {
+              geofences: geofences.filter((f) => !validFence(f)),
+              geofence_events: Array.isArray(geofence_events) ? geofence_events : [],
+            }
+          : {}),
+        ...(Array.isArray(handler_points) ? { handler_points, handler_stats: handler_stats ?? null } : {}),
+        ...(Array.isArray(waypoints) ? { waypoints } : {}),
       })
       .eq("id", track_id)
-      .select("id, snapshot_url")
+      .select("id, snapshot_url, distance_m, duration_ms, pace_min_per_km, avg_speed_kmh, points_source")
       .single();
 
     if (error) return res.status(500).json({ error: error.message });
 
+    // 4) Map snapshot rendered from the final points (see _snapshot.js). Runs
+    //    after the row is saved and under a deadline, so slow tile servers can
+    //    only cost the picture, never the track
+    let snapshot_url = data.snapshot_url || null;
+    try {
+      const png = await withDeadline(renderTrack({ points, raw_points, laid_track, handler_points, waypoints }), SNAPSHOT_DEADLINE_MS);
+      snapshot_url = await storeSnapshot(supabase, track_id, png);
+    } catch (e) {
+      console.error("snapshot render failed", e);
+      try {
+        if (snapshotDataUrl?.startsWith("data:image")) {
+          snapshot_url = await storeSnapshot(supabase, track_id, Buffer.from(snapshotDataUrl.split(",")[1], "base64"));
+        }
+      } catch (e2) {
+        console.error("snapshot upload failed", e2);
+        // continue without snapshot
+      }
+    }
+    if (snapshot_url && snapshot_url !== data.snapshot_url) {
+      const { error: snapErr } = await supabase.from("tracks").update({ snapshot_url }).eq("id", track_id);
+      if (snapErr) {
+        console.error("snapshot_url update failed", snapErr);
+        snapshot_url = data.snapshot_url || null;
+      }
+    }
+
     return res.json({
       ok: true,
       id: data.id,
-      snapshot_url: data.snapshot_url,
+      snapshot_url,
+      points_source: data.points_source,
+      distance_m: data.distance_m,
+      duration_ms: data.duration_ms,
+      pace_min_per_km: data.pace_min_per_km,
+      avg_speed_kmh: data.avg_speed_kmh,
+      elevation: elevation ?? null,
+      weather: weather ?? null,
+      track_age_ms: trackAgeMs(laying, startedAt),
+      ...(Array.isArray(waypoints) ? { waypoints } : {}),
     });
   } catch (e) {
     console.error("finish handler error", e);
@@ -1,5 +1,10 @@
 const { getSupabase } = require('./_supabase');
+const { getUser, canRead } = require('./_auth');
+const { checkShare, normalizeScope, SHARED_TRACK_FIELDS } = require('./_share');
 
+// GET /api/tracks/get?id=<uuid>      -> full track row
+// GET /api/tracks/get?share=<code>   -> shared fields only, limited by the code's scope
+//                                       (+ report when the scope is "report")
 module.exports = async (req, res) => {
   try {
     const supabase = await getSupabase();
@@ -7,16 +12,39 @@ module.exports = async (req, res) => {
     const id = q.id || null;
     const share = q.share || null;
 
-    let query = supabase.from('tracks').select('*').limit(1);
-    if (id) query = query.eq('id', id);
-    else if (share) query = query.eq('share_code', share);
+    let query = supabase.from('tracks').limit(1);
+    if (id) query = query.select('*').eq('id', id);
+    else if (share) query = query.select(`id, ${SHARED_TRACK_FIELDS}, is_public, share_code, share_scope, share_expires_at`).eq('share_code', share);
     else { res.statusCode = 400; return res.end(JSON.stringify({ error: 'Provide id or share' })); }
 
     const { data, error } = await query.single();
     if (error) { res.statusCode = 404; return res.end(JSON.stringify({ error: error.message })); }
 
+    // A valid share code is the permission; is_public only matters for ?id=
+    if (id && !canRead(await getUser(req), data)) { res.statusCode = 401; return res.end(JSON.stringify({ error: 'Sign-in required' })); }
+
+    let body = data;
+    if (!id) {
+      const denied = checkShare(data, 'track');
+      if (denied) { res.statusCode = denied.status; return res.end(JSON.stringify({ error: denied.error })); }
+
+      const { id: trackId, is_public, share_code, share_scope, share_expires_at, ...shared } = data;
+      body = { ...shared, scope: normalizeScope(share_scope) };
+      if (body.scope === 'report') {
+        const { data: report, error: rErr } = await supabase
+          .from('reports')
+          .select('handler, dog, notes, created_at')
+          .eq('track_id', trackId)
+          .order('created_at', { ascending: false })
+          .limit(1)
+          .maybeSingle();
+        if (rErr) throw rErr;
+        body.report = report || null;
+      }
+    }
+
     res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify(data));
+    res.end(JSON.stringify(body));
   } catch (e) {
     console.error('tracks/get exception:', e);
     res.statusCode = 500;
@@ -0,0 +1,128 @@
+// api/tracks/ingest.js
+const crypto = require("crypto");
+const { getSupabase } = require("./_supabase");
+
+function need(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env: ${name}`);
+  return v;
+}
+
+// Server-side recording: devices (or scripts/mqtt-ingest-bridge.js) POST
+// telemetry here and it is appended to track_points for the active track.
+//
+// POST /api/tracks/ingest            header: x-ingest-key: <INGEST_KEY>
+// Body: { track_id?, topic?, device_id?, lat, lon, ts?, sats?, hdop? }
+//   or  { track_id?, topic?, device_id?, points: [{ lat, lon, ts?, sats?, hdop? }, ...] }
+//
+// Table: track_points (id bigserial, track_id uuid references tracks, ts timestamptz,
+//                      lat float8, lon float8, sats int, hdop real, raw jsonb,
+//                      received_at timestamptz default now())
+
+function keyOk(given, expected) {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// MQTT topic filter match, as in src/lib/telemetry.js
+function topicMatches(filter, topic) {
+  const f = String(filter).split("/");
+  const t = String(topic).split("/");
+  for (let i = 0; i < f.length; i++) {
+    if (f[i] === "#") return true;
+    if (f[i] !== "+" && f[i] !== t[i]) return false;
+  }
+  return f.length === t.length;
+}
+
+// Tracks are often started on a wildcard topic (devices/#) while fixes
+// arrive on the device's own topic. Best match first: the exact topic, then
+// the device, then a wildcard filter on a track that isn't tied to a device.
+function pickTrack(open, topic, device_id) {
+  return (
+    (topic && open.find((t) => t.topic === topic)) ||
+    (device_id && open.find((t) => t.device_id === String(device_id))) ||
+    (topic && open.find((t) => !t.device_id && t.topic && topicMatches(t.topic, topic))) ||
+    null
+  );
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== "POST") {
+    res.statusCode = 405;
+    return res.json({ error: "Method not allowed" });
+  }
+
+  try {
+    if (!keyOk(req.headers["x-ingest-key"] || "", need("INGEST_KEY"))) {
+      res.statusCode = 401;
+      return res.json({ error: "Invalid ingest key" });
+    }
+
+    const body = typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+    const { track_id, topic, device_id } = body;
+    const list = Array.isArray(body.points) ? body.points : [body];
+
+    const now = Date.now();
+    const rows = list.map((p) => {
+      const lat = Number(p.lat ?? p.latitude);
+      const lon = Number(p.lon ?? p.lng ?? p.longitude);
+      const t = p.ts != null ? (typeof p.ts === "number" ? p.ts : Date.parse(p.ts)) : now;
+      return {
+        lat,
+        lon,
+        ts: new Date(Number.isFinite(t) ? t : now).toISOString(),
+        sats: Number.isFinite(Number(p.sats)) ? Number(p.sats) : null,
+        hdop: Number.isFinite(Number(p.hdop)) ? Number(p.hdop) : null,
+        raw: p,
+      };
+    }).filter((r) => Number.isFinite(r.lat) && Number.isFinite(r.lon));
+
+    if (!rows.length) {
+      res.statusCode = 400;
+      return res.json({ error: "No valid lat/lon in body" });
+    }
+
+    const supabase = getSupabase();
+
+    // Which track is recording? Explicit id, else the open track on this topic / device
+    let id = track_id || null;
+    if (!id) {
+      if (!topic && !device_id) {
+        res.statusCode = 400;
+        return res.json({ error: "Provide track_id, topic or device_id" });
+      }
+      const { data, error } = await supabase
+        .from("tracks")
+        .select("id, topic, device_id")
+        .is("ended_at", null)
+        .order("started_at", { ascending: false })
+        .limit(100);
+      if (error) throw error;
+      id = pickTrack(data || [], topic, device_id)?.id || null;
+    } else {
+      const { data, error } = await supabase.from("tracks").select("id, ended_at").eq("id", id).maybeSingle();
+      if (error) throw error;
+      if (!data || data.ended_at) id = null;
+    }
+
+    if (!id) {
+      // Not an error for devices that report all the time
+      res.statusCode = 202;
+      return res.json({ ok: true, recorded: 0, active: false });
+    }
+
+    const { error: insErr } = await supabase
+      .from("track_points")
+      .insert(rows.map((r) => ({ ...r, track_id: id })));
+    if (insErr) throw insErr;
+
+    res.statusCode = 200;
+    return res.json({ ok: true, recorded: rows.length, active: true, track_id: id });
+  } catch (e) {
+    console.error("tracks/ingest error:", e);
+    res.statusCode = 500;
+    return res.json({ error: String(e.message || e) });
+  }
+};
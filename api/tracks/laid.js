@@ -0,0 +1,58 @@
+// api/tracks/laid.js
+const { getSupabase } = require("./_supabase");
+const { requireUser, canWrite } = require("./_auth");
+
+// POST /api/tracks/laid
+// Body: { track_id, laid_track: { source, name, laid_track_id?, points }, deviation }
+// Attach (or replace) the tracklayer's laid track on an existing dog track.
+// Columns: tracks.laid_track (jsonb), tracks.deviation (jsonb)
+module.exports = async (req, res) => {
+  if (req.method !== "POST") {
+    res.statusCode = 405;
+    return res.json({ error: "Method not allowed" });
+  }
+
+  try {
+    const body = typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+    const { track_id, laid_track = null, deviation = null } = body;
+
+    if (!track_id) {
+      res.statusCode = 400;
+      return res.json({ error: "missing track_id" });
+    }
+    if (laid_track && (!Array.isArray(laid_track.points) || laid_track.points.length < 2)) {
+      res.statusCode = 400;
+      return res.json({ error: "laid_track.points must have at least 2 points" });
+    }
+
+    const user = await requireUser(req, res, ["operator", "admin"]);
+    if (!user) return;
+
+    const supabase = getSupabase();
+    const { data: owned, error: oErr } = await supabase.from("tracks").select("id, owner_id").eq("id", track_id).maybeSingle();
+    if (oErr) throw oErr;
+    if (!owned) {
+      res.statusCode = 404;
+      return res.json({ error: "Not found" });
+    }
+    if (!canWrite(user, owned)) {
+      res.statusCode = 403;
+      return res.json({ error: "Not your track" });
+    }
+
+    const { data, error } = await supabase
+      .from("tracks")
+      .update({ laid_track, deviation })
+      .eq("id", track_id)
+      .select("id")
+      .single();
+
+    if (error) throw error;
+    res.statusCode = 200;
+    return res.json({ ok: true, id: data.id });
+  } catch (e) {
+    console.error("tracks/laid error:", e);
+    res.statusCode = 500;
+    return res.json({ error: String(e.message || e) });
+  }
+};
@@ -0,0 +1,58 @@
+// api/tracks/laying.js
+const { getSupabase } = require("./_supabase");
+const { requireUser, canWrite } = require("./_auth");
+const { parseLaying, trackAgeMs } = require("./_laying");
+
+// POST /api/tracks/laying
+// Body: { track_id, laying: { laid_at, tracklayer, surfaces, turns, articles, difficulty } }
+// Set or correct the laying metadata of an existing track.
+// Column: tracks.laying (jsonb)
+module.exports = async (req, res) => {
+  if (req.method !== "POST") {
+    res.statusCode = 405;
+    return res.json({ error: "Method not allowed" });
+  }
+
+  try {
+    const body = typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+    if (!body.track_id) {
+      res.statusCode = 400;
+      return res.json({ error: "missing track_id" });
+    }
+    const { laying, error: bad } = parseLaying(body.laying);
+    if (bad) {
+      res.statusCode = 400;
+      return res.json({ error: bad });
+    }
+
+    const user = await requireUser(req, res, ["operator", "admin"]);
+    if (!user) return;
+
+    const supabase = getSupabase();
+    const { data: owned, error: oErr } = await supabase.from("tracks").select("id, owner_id").eq("id", body.track_id).maybeSingle();
+    if (oErr) throw oErr;
+    if (!owned) {
+      res.statusCode = 404;
+      return res.json({ error: "Not found" });
+    }
+    if (!canWrite(user, owned)) {
+      res.statusCode = 403;
+      return res.json({ error: "Not your track" });
+    }
+
+    const { data, error } = await supabase
+      .from("tracks")
+      .update({ laying })
+      .eq("id", body.track_id)
+      .select("id, started_at, laying")
+      .single();
+
+    if (error) throw error;
+    res.statusCode = 200;
+    return res.json({ ok: true, id: data.id, laying: data.laying, track_age_ms: trackAgeMs(data.laying, data.started_at) });
+  } catch (e) {
+    console.error("tracks/laying error:", e);
+    res.statusCode = 500;
+    return res.json({ error: String(e.message || e) });
+  }
+};
@@ -0,0 +1,50 @@
+// api/tracks/points.js
+const { getSupabase } = require("./_supabase");
+const { getUser, canRead } = require("./_auth");
+const { checkShare } = require("./_share");
+const { loadTrackPoints } = require("./_points");
+
+// GET /api/tracks/points?id=<uuid>[&since=<ISO time>]
+// GET /api/tracks/points?share=<code>[&since=<ISO time>]
+// Server-recorded points (track_points) in time order, as [{ lat, lon, ts }].
+module.exports = async (req, res) => {
+  if (req.method !== "GET") {
+    res.statusCode = 405;
+    return res.json({ error: "Method not allowed" });
+  }
+  const id = req.query?.id ? String(req.query.id) : "";
+  const share = req.query?.share ? String(req.query.share) : "";
+  const since = req.query?.since ? String(req.query.since) : null;
+  if (!id && !share) {
+    res.statusCode = 400;
+    return res.json({ error: "Provide id or share" });
+  }
+
+  try {
+    const supabase = getSupabase();
+    let tq = supabase.from("tracks").select("id, is_public, ended_at, share_code, share_scope, share_expires_at");
+    tq = id ? tq.eq("id", id) : tq.eq("share_code", share);
+    const { data: track, error: tErr } = await tq.maybeSingle();
+    if (tErr) throw tErr;
+    if (!track) {
+      res.statusCode = 404;
+      return res.json({ error: "Not found" });
+    }
+    // Share lookups are gated by checkShare below, not by is_public
+    if (id && !canRead(await getUser(req), track)) {
+      res.statusCode = 401;
+      return res.json({ error: "Sign-in required" });
+    }
+    const denied = id ? null : checkShare(track, track.ended_at ? "track" : "live");
+    if (denied) {
+      res.statusCode = denied.status;
+      return res.json({ error: denied.error });
+    }
+
+    res.statusCode = 200;
+    return res.json({ ok: true, points: await loadTrackPoints(supabase, track.id, since) });
+  } catch (e) {
+    res.statusCode = 500;
+    return res.json({ error: String(e.message || e) });
+  }
+};
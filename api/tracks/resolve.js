@@ -1,5 +1,6 @@
 // api/tracks/resolve.js
 const { createClient } = require("@supabase/supabase-js");
+const { requireUser } = require("./_auth");
 
 function need(n){ const v=process.env[n]; if(!v) throw new Error(`Missing env: ${n}`); return v; }
 
@@ -7,6 +8,7 @@ module.exports = async (req, res) => {
   try {
     const { report_no } = req.query || {};
     if (!report_no) { res.statusCode = 400; return res.json({ error: "Missing report_no" }); }
+    if (!(await requireUser(req, res))) return;
 
     const s = createClient(need("SUPABASE_URL"), need("SUPABASE_SERVICE_ROLE"));
     const { data, error } = await s
@@ -0,0 +1,86 @@
+// api/tracks/share.js
+const { getSupabase } = require("./_supabase");
+const { requireUser, canWrite } = require("./_auth");
+const { SHARE_SCOPES, newShareCode, parseExpiry } = require("./_share");
+
+// POST /api/tracks/share
+// Body: { track_id, action, scope?, expires_in_hours? | expires_at? }
+//   action "update"     - change scope and/or expiry of the current code
+//   action "regenerate" - issue a new code (the old one stops working)
+//   action "revoke"     - remove the code; /view/<old code> returns 404
+// expires_* set to null clears the expiry.
+module.exports = async (req, res) => {
+  if (req.method !== "POST") {
+    res.statusCode = 405;
+    return res.json({ error: "Method not allowed" });
+  }
+
+  try {
+    const body = typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+    const { track_id, action = "update", scope } = body;
+
+    if (!track_id) {
+      res.statusCode = 400;
+      return res.json({ error: "missing track_id" });
+    }
+    if (!["update", "regenerate", "revoke"].includes(action)) {
+      res.statusCode = 400;
+      return res.json({ error: "action must be update, regenerate or revoke" });
+    }
+    if (scope !== undefined && !SHARE_SCOPES.includes(scope)) {
+      res.statusCode = 400;
+      return res.json({ error: `scope must be one of ${SHARE_SCOPES.join(", ")}` });
+    }
+    let expires;
+    try {
+      expires = parseExpiry(body);
+    } catch (e) {
+      res.statusCode = 400;
+      return res.json({ error: e.message });
+    }
+
+    const user = await requireUser(req, res, ["operator", "admin"]);
+    if (!user) return;
+
+    const supabase = getSupabase();
+    const { data: owned, error: oErr } = await supabase
+      .from("tracks")
+      .select("id, owner_id, share_code")
+      .eq("id", track_id)
+      .maybeSingle();
+    if (oErr) throw oErr;
+    if (!owned) {
+      res.statusCode = 404;
+      return res.json({ error: "Not found" });
+    }
+    if (!canWrite(user, owned)) {
+      res.statusCode = 403;
+      return res.json({ error: "Not your track" });
+    }
+
+    const patch = {};
+    if (action === "revoke") patch.share_code = null;
+    if (action === "regenerate") patch.share_code = await newShareCode(supabase);
+    if (action === "update" && !owned.share_code) {
+      res.statusCode = 409;
+      return res.json({ error: "Track has no share link; regenerate one first" });
+    }
+    if (scope !== undefined) patch.share_scope = scope;
+    if (expires !== undefined) patch.share_expires_at = expires;
+
+    const { data, error } = await supabase
+      .from("tracks")
+      .update(patch)
+      .eq("id", track_id)
+      .select("id, share_code, share_scope, share_expires_at")
+      .single();
+    if (error) throw error;
+
+    res.statusCode = 200;
+    return res.json({ ok: true, ...data });
+  } catch (e) {
+    console.error("tracks/share error:", e);
+    res.statusCode = 500;
+    return res.json({ error: String(e.message || e) });
+  }
+};
@@ -0,0 +1,88 @@
+// api/tracks/snapshot.js
+const { getSupabase } = require("./_supabase");
+const { getUser, requireUser, canRead, canWrite } = require("./_auth");
+const { SNAPSHOT_FIELDS, renderTrack, storeSnapshot } = require("./_snapshot");
+
+// GET  /api/tracks/snapshot?id=<uuid>   -> redirect to the stored PNG; a finished
+//                                          track without one is rendered and stored once
+// POST /api/tracks/snapshot { track_id } -> re-render, store, set tracks.snapshot_url
+// Tiles: TILE_URL / TILE_DIR (see _staticmap.js)
+module.exports = async (req, res) => {
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.statusCode = 405;
+    return res.json({ error: "Method not allowed" });
+  }
+
+  try {
+    const body = typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+    const id = req.method === "GET" ? req.query?.id : body.track_id;
+    if (!id) {
+      res.statusCode = 400;
+      return res.json({ error: req.method === "GET" ? "Provide id" : "missing track_id" });
+    }
+
+    let user = null;
+    if (req.method === "POST") {
+      user = await requireUser(req, res, ["operator", "admin"]);
+      if (!user) return;
+    }
+
+    const supabase = getSupabase();
+    const { data: track, error } = await supabase
+      .from("tracks")
+      .select(`${SNAPSHOT_FIELDS}, owner_id, is_public, ended_at, snapshot_url`)
+      .eq("id", String(id))
+      .maybeSingle();
+    if (error) throw error;
+    if (!track) {
+      res.statusCode = 404;
+      return res.json({ error: "Not found" });
+    }
+
+    if (req.method === "GET") {
+      if (!canRead(await getUser(req), track)) {
+        res.statusCode = 401;
+        return res.json({ error: "Sign-in required" });
+      }
+      if (track.snapshot_url) {
+        res.statusCode = 302;
+        res.setHeader("Location", track.snapshot_url);
+        return res.end();
+      }
+    } else if (!canWrite(user, track)) {
+      res.statusCode = 403;
+      return res.json({ error: "Not your track" });
+    }
+
+    let png;
+    try {
+      png = await renderTrack(track);
+    } catch (e) {
+      res.statusCode = 422;
+      return res.json({ error: e.message });
+    }
+
+    // Live tracks are still changing: serve the render without storing it
+    if (req.method === "GET" && !track.ended_at) {
+      res.statusCode = 200;
+      res.setHeader("Content-Type", "image/png");
+      res.setHeader("Cache-Control", "private, max-age=300");
+      return res.end(png);
+    }
+
+    const snapshot_url = await storeSnapshot(supabase, track.id, png);
+    const { error: upErr } = await supabase.from("tracks").update({ snapshot_url }).eq("id", track.id);
+    if (upErr) throw upErr;
+    if (req.method === "GET") {
+      res.statusCode = 302;
+      res.setHeader("Location", snapshot_url);
+      return res.end();
+    }
+    res.statusCode = 200;
+    return res.json({ ok: true, id: track.id, snapshot_url });
+  } catch (e) {
+    console.error("tracks/snapshot error:", e);
+    res.statusCode = 500;
+    return res.json({ error: String(e.message || e) });
+  }
+};
@@ -1,6 +1,7 @@
 exports.config = { runtime: "nodejs" };
 
 const { getSupabase } = require("./_supabase");
+const { requireUser, canWrite } = require("./_auth");
 
 async function readJson(req) {
   const chunks = [];
@@ -24,7 +25,19 @@ module.exports = async (req, res) => {
       return res.end(JSON.stringify({ error: "Missing id or dataUrl" }));
     }
 
+    const user = await requireUser(req, res, ["operator", "admin"]);
+    if (!user) return;
+
     const supabase = getSupabase();
+    const { data: owned } = await supabase.from("tracks").select("id, owner_id").eq("id", id).maybeSingle();
+    if (!owned) {
+      res.statusCode = 404;
+      return res.end(JSON.stringify({ error: "Not found" }));
+    }
+    if (!canWrite(user, owned)) {
+      res.statusCode = 403;
+      return res.end(JSON.stringify({ error: "Not your track" }));
+    }
 
     // Decode base64 data URL → Buffer
     const base64 = dataUrl.split(",")[1];
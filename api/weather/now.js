@@ -0,0 +1,36 @@
+// api/weather/now.js
+const { requireUser } = require("../tracks/_auth");
+const { fetchSeries, summarize } = require("../tracks/_weather");
+
+// GET /api/weather/now?lat=&lon=
+// Latest conditions (this hour) from the configured weather providers.
+module.exports = async (req, res) => {
+  if (req.method !== "GET") {
+    res.statusCode = 405;
+    return res.json({ error: "Method not allowed" });
+  }
+
+  const lat = Number(req.query?.lat), lon = Number(req.query?.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    res.statusCode = 400;
+    return res.json({ error: "lat and lon are required" });
+  }
+
+  try {
+    if (!(await requireUser(req, res))) return;
+    const now = Date.now();
+    const got = await fetchSeries({ lat, lon, from: now - 3600 * 1000, to: now });
+    if (!got) {
+      res.statusCode = 404;
+      return res.json({ error: "No weather data available" });
+    }
+    // The sample closest to now
+    const latest = got.series.reduce((a, b) => (Math.abs(b.ts - now) < Math.abs(a.ts - now) ? b : a));
+    res.statusCode = 200;
+    return res.json({ ok: true, provider: got.provider, ...summarize([latest]), ts: latest.ts });
+  } catch (e) {
+    console.error("weather/now error:", e);
+    res.statusCode = 500;
+    return res.json({ error: String(e.message || e) });
+  }
+};
@@ -0,0 +1,69 @@
+// public/sw.js
+// App-shell service worker: keeps index.html and the built JS/CSS so the app
+// opens without a network. API calls are never cached (writes go through the
+// outbox in src/lib/outbox.js) and map tiles live in IndexedDB
+// (src/lib/tileCache.js).
+const CACHE = "k9-shell-__BUILD_ID__"; // replaced per build (see vite.config.js)
+const SHELL = ["/", "/index.html", "/manifest.webmanifest", "/icon-192.png", "/icon-512.png"];
+const NAV_TIMEOUT = 4000;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll(SHELL);
+    // Hashed bundles referenced by the current index.html
+    const html = await (await cache.match("/index.html")).text();
+    const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((m) => m[1]);
+    await cache.addAll(assets);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) if (key !== CACHE) await caches.delete(key);
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  const url = new URL(req.url);
+  if (req.method !== "GET" || url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+
+  // Pages: network first so deploys show up; the cached shell when offline or
+  // when a weak field connection takes longer than NAV_TIMEOUT
+  if (req.mode === "navigate") {
+    event.respondWith((async () => {
+      const network = fetch(req).then(async (res) => {
+        if (res.ok) await (await caches.open(CACHE)).put("/index.html", res.clone());
+        return res;
+      });
+      const slow = new Promise((resolve) => setTimeout(resolve, NAV_TIMEOUT));
+      try {
+        const res = await Promise.race([network, slow]);
+        if (res) return res;
+      } catch {}
+      const shell = await caches.match("/index.html");
+      return shell || network.catch(() => Response.error());
+    })());
+    return;
+  }
+
+  // Hashed assets never change; everything else is refreshed in the background
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE);
+    const hit = await cache.match(req);
+    const refresh = fetch(req)
+      .then((res) => {
+        if (res.ok) cache.put(req, res.clone());
+        return res;
+      })
+      .catch(() => null);
+    if (hit) {
+      if (!url.pathname.startsWith("/assets/")) event.waitUntil(refresh);
+      return hit;
+    }
+    return (await refresh) || Response.error();
+  })());
+});
@@ -0,0 +1,157 @@
+// scripts/mqtt-ingest-bridge.js
+// Long-running recorder: subscribes to the collars' MQTT topic and forwards
+// fixes to /api/tracks/ingest, so tracks are recorded even when no Tracker
+// tab is open. Run it on any always-on box:
+//
+//   MQTT_URL=mqtts://broker.emqx.io:8883 MQTT_TOPIC='devices/#' \
+//   INGEST_URL=https://<your-app>/api/tracks/ingest INGEST_KEY=... \
+//   node scripts/mqtt-ingest-bridge.js
+//
+// Optional: MQTT_USER, MQTT_PASS, FLUSH_MS (default 2000),
+//   CSV_COLUMNS (default "lat,lon"; e.g. "device,lat,lon,sats,hdop").
+// Payloads may be JSON, NMEA (GGA/RMC) or CSV, as in the app's "auto" decoder.
+// NMEA parsing is src/lib/nmea.js, loaded as an ES module (Node 20.19+).
+const mqtt = require("mqtt");
+
+function need(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env: ${name}`);
+  return v;
+}
+
+const MQTT_URL = need("MQTT_URL");
+const MQTT_TOPIC = process.env.MQTT_TOPIC || "devices/#";
+const INGEST_URL = need("INGEST_URL");
+const INGEST_KEY = need("INGEST_KEY");
+const FLUSH_MS = Number(process.env.FLUSH_MS) || 2000;
+const CSV_COLUMNS = (process.env.CSV_COLUMNS || "lat,lon").split(",").map((c) => c.trim());
+
+let parseNmea = null;
+const nmeaReady = import("../src/lib/nmea.js")
+  .then((m) => { parseNmea = m.parseNmea; })
+  .catch((e) => console.error("[bridge] NMEA decoder unavailable:", e.message || e));
+
+// "topic\ndevice" -> { topic, device_id, points }; flushed in batches
+const queue = new Map();
+
+const num = (v) => (v === "" || v == null || !Number.isFinite(Number(v)) ? NaN : Number(v));
+
+// Same rule as deviceIdFrom() in src/lib/devices.js, minus the topic fallback
+// (ingest.js matches on the topic itself when there is no device id)
+function deviceOf(topic, js) {
+  const v = js && (js.device_id ?? js.deviceId ?? js.device);
+  if (v != null && v !== "") return String(v);
+  const parts = String(topic).split("/").filter(Boolean);
+  const i = parts.indexOf("devices");
+  return i >= 0 && parts[i + 1] ? parts[i + 1] : null;
+}
+
+function fromObject(js) {
+  if (typeof js.nmea === "string" && parseNmea) {
+    const n = parseNmea(js.nmea);
+    if (n) return { ...n, ts: n.gpsTime };
+  }
+  return {
+    lat: num(js.lat ?? js.latitude ?? js.Latitude ?? js.Lat),
+    lon: num(js.lon ?? js.lng ?? js.longitude ?? js.Longitude ?? js.Lon),
+    fix: !(js.fix === false || js.gpsFix === false),
+    sats: num(js.sats ?? js.satellites),
+    hdop: num(js.hdop ?? js.HDOP),
+  };
+}
+
+function decode(payload) {
+  const s = String(payload).trim();
+  if (s.startsWith("{")) {
+    try {
+      const js = JSON.parse(s);
+      return js && typeof js === "object" ? { ...fromObject(js), raw: js } : null;
+    } catch {
+      return null;
+    }
+  }
+  if (s.startsWith("$") || s.startsWith("!")) {
+    const n = parseNmea && parseNmea(s);
+    return n ? { ...n, ts: n.gpsTime } : null;
+  }
+  if (/^-?\d+(\.\d+)?\s*[,;]\s*-?\d+(\.\d+)?/.test(s) || CSV_COLUMNS[0] !== "lat") {
+    const cells = s.split(/[,;]/).map((c) => c.trim());
+    if (cells.length < 2) return null;
+    const js = {};
+    CSV_COLUMNS.forEach((name, i) => { if (name && cells[i] !== undefined) js[name] = cells[i]; });
+    return { ...fromObject(js), raw: js };
+  }
+  return null;
+}
+
+function parse(topic, payload) {
+  const p = decode(payload);
+  if (!p || !Number.isFinite(p.lat) || !Number.isFinite(p.lon) || p.fix === false) return null;
+  return {
+    device_id: deviceOf(topic, p.raw),
+    point: {
+      lat: p.lat,
+      lon: p.lon,
+      ts: Number.isFinite(p.ts) ? p.ts : Date.now(),
+      sats: num(p.sats),
+      hdop: num(p.hdop),
+    },
+  };
+}
+
+async function flush() {
+  for (const [key, batch] of queue) {
+    const { topic, device_id, points } = batch;
+    if (!points.length) continue;
+    batch.points = [];
+    const label = device_id ? `${topic} (${device_id})` : topic;
+    try {
+      const r = await fetch(INGEST_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "x-ingest-key": INGEST_KEY },
+        body: JSON.stringify({ topic, device_id, points }),
+      });
+      const js = await r.json().catch(() => ({}));
+      if (!r.ok) throw new Error(js.error || `HTTP ${r.status}`);
+      if (js.recorded) console.log(`[bridge] ${label}: +${js.recorded} -> ${js.track_id}`);
+    } catch (e) {
+      console.error(`[bridge] ${label}: ${e.message || e}; requeueing ${points.length}`);
+      batch.points = [...points, ...batch.points].slice(-5000);
+    }
+  }
+}
+
+const client = mqtt.connect(MQTT_URL, {
+  protocolVersion: 4,
+  clean: true,
+  keepalive: 30,
+  clientId: `ingest-${Math.random().toString(16).slice(2)}`,
+  username: process.env.MQTT_USER || undefined,
+  password: process.env.MQTT_PASS || undefined,
+});
+
+client.on("connect", () => {
+  console.log(`[bridge] connected ${MQTT_URL}`);
+  client.subscribe(MQTT_TOPIC, { qos: 0 }, (err) => {
+    if (err) console.error("[bridge] subscribe:", err.message || err);
+    else console.log(`[bridge] subscribed ${MQTT_TOPIC}`);
+  });
+});
+
+client.on("message", async (topic, payload) => {
+  await nmeaReady;
+  const p = parse(topic, payload.toString());
+  if (!p) return;
+  const key = `${topic}\n${p.device_id || ""}`;
+  if (!queue.has(key)) queue.set(key, { topic, device_id: p.device_id, points: [] });
+  queue.get(key).points.push(p.point);
+});
+
+client.on("error", (e) => console.error("[bridge] mqtt:", e.message || e));
+
+let flushing = false;
+setInterval(async () => {
+  if (flushing) return;
+  flushing = true;
+  try { await flush(); } finally { flushing = false; }
+}, FLUSH_MS);
@@ -1,36 +1,52 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { BrowserRouter, Routes, Route, Link } from "react-router-dom";
-import { MapContainer, TileLayer, Polyline, CircleMarker, useMap } from "react-leaflet";
-import * as L from "leaflet";
-import * as htmlToImage from "html-to-image";
+import { MapContainer, Polyline, CircleMarker } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
+import { bearing, compassPoint, haversine, pathLength } from "./lib/geo";
+import { prettyAge, prettyDistance, prettyDuration } from "./lib/format";
+import { apiFetch, downloadApi } from "./lib/api";
+import { useSession } from "./lib/auth";
+import { supabase } from "./lib/supabaseClient";
+import { defaultConn, useSSE } from "./lib/sse";
+import { profileFor, topicAllowed, useBrokerProfiles } from "./lib/brokers";
+import { useDevices } from "./lib/devices";
+import { loadHealthConfig, saveHealthConfig, useHealthAlerts } from "./lib/deviceHealth";
+import { createFenceMonitor, describeCrossing } from "./lib/geofence";
+import { beep } from "./lib/beep";
+import { handlerStats, useHandlerPosition } from "./lib/handler";
+import { useCurrentWeather } from "./lib/weather";
+import { EMPTY_LAYING, describeLaying, trackAgeMs } from "./lib/laying";
+import { DEFAULT_FILTER, createGpsFilter, describeFilter, normalizeFilter } from "./lib/gpsFilter";
+import { clearActiveTrack, loadActiveTrack, saveActiveTrack } from "./lib/trackStore";
+import { discardEntry, isLocalId, listOutbox, newLocalId, resolveLocalId, sendOrQueue, subscribeOutbox } from "./lib/outbox";
+import { compareToLaid } from "./lib/trackCompare";
+import { useReplay } from "./lib/replay";
+import Recenter from "./components/Recenter";
+import OfflineTileLayer from "./components/OfflineTileLayer";
+import { DeviceLayers, DeviceLegend } from "./components/DeviceLayers";
+import FilterSettings from "./components/FilterSettings";
+import LayingPanel from "./components/LayingPanel";
+import DecoderSettings from "./components/DecoderSettings";
+import { DeviceHealthPanel, HealthAlertBanner } from "./components/DeviceHealth";
+import RecoveryBanner from "./components/RecoveryBanner";
+import LaidTrackPanel from "./components/LaidTrackPanel";
+import ReportsPage from "./components/ReportsPage";
+import ReportDetail from "./components/ReportDetail";
+import StatsPage from "./components/StatsPage";
+import OfflineMapsPage from "./components/OfflineMapsPage";
+import ReplayPage, { ReplayControls, ReplayLayers } from "./components/TrackReplay";
+import SharedTrackViewer from "./components/SharedTrackViewer";
+import SyncStatus from "./components/SyncStatus";
+import RequireAuth from "./components/RequireAuth";
+import SharePanel from "./components/SharePanel";
+import { GeofenceAlertBanner, GeofenceDrawer, GeofenceLayers, GeofencePanel } from "./components/Geofences";
+import { WaypointLayers, WaypointPanel } from "./components/Waypoints";
+import ElevationProfile from "./components/ElevationProfile";
+import { WeatherSummary, WindArrow } from "./components/Weather";
 
 /* ===========================
    Small utils
 =========================== */
-const haversine = (a, b) => {
-  if (!a || !b) return 0;
-  const R = 6371000;
-  const toRad = (d) => (d * Math.PI) / 180;
-  const dLat = toRad(b.lat - a.lat);
-  const dLon = toRad(b.lon - a.lon);
-  const lat1 = toRad(a.lat);
-  const lat2 = toRad(b.lat);
-  const x =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
-  const d = 2 * Math.atan2(Math.sqrt(x), Math.sqrt(1 - x));
-  return R * d;
-};
-const prettyDistance = (m) => (m < 1000 ? `${m.toFixed(1)} m` : `${(m / 1000).toFixed(2)} km`);
-const prettyDuration = (ms) => {
-  const s = Math.floor(ms / 1000);
-  const hh = Math.floor(s / 3600);
-  const mm = Math.floor((s % 3600) / 60);
-  const ss = s % 60;
-  const pad = (n) => n.toString().padStart(2, "0");
-  return hh > 0 ? `${hh}:${pad(mm)}:${pad(ss)}` : `${mm}:${pad(ss)}`;
-};
 const paceMinPerKm = (distance_m, duration_ms) => {
   if (!distance_m || !duration_ms) return null;
   const km = distance_m / 1000;
@@ -54,191 +70,34 @@ function useInterval(callback, delay) {
   }, [delay]);
 }
 
-/* ===========================
-   Clean, bounded snapshot
-=========================== */
-async function captureTrackSnapshot({ points = [], last = null, width = 900, height = 600 }) {
-  return new Promise((resolve, reject) => {
-    const off = document.createElement("div");
-    off.style.cssText = `
-      position: fixed; left: -10000px; top: -10000px;
-      width: ${width}px; height: ${height}px;
-      background: #f8fafc; z-index: -1;
-    `;
-    document.body.appendChild(off);
-
-    const map = L.map(off, {
-      zoomControl: false,
-      attributionControl: false,
-      preferCanvas: true,
-    });
-
-    const tiles = L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
-      tileSize: 256,
-      detectRetina: false,
-      crossOrigin: true,
-      updateWhenZooming: false,
-      updateWhenIdle: true,
-    }).addTo(map);
-
-    if (points.length >= 2) {
-      const latlngs = points.map(p => L.latLng(p.lat, p.lon));
-      const line = L.polyline(latlngs, { color: "#2563eb", weight: 4, opacity: 0.9 }).addTo(map);
-      let bounds = line.getBounds();
-      if (bounds.getNorthEast().distanceTo(bounds.getSouthWest()) < 25) bounds = bounds.pad(0.005);
-      map.fitBounds(bounds, { padding: [40, 40], maxZoom: 17 });
-      L.circleMarker(latlngs[0], { radius: 6, color: "#059669", weight: 2, fillOpacity: 1 }).addTo(map);
-      L.circleMarker(latlngs[latlngs.length - 1], { radius: 6, color: "#dc2626", weight: 2, fillOpacity: 1 }).addTo(map);
-    } else {
-      const c = last && Number.isFinite(last.lat) && Number.isFinite(last.lon) ? [last.lat, last.lon] : [30, -97];
-      map.setView(c, 14);
-      L.circleMarker(c, { radius: 8, color: "#111", weight: 3, fillOpacity: 1 }).addTo(map);
-    }
-
-    const snap = async () => {
-      setTimeout(async () => {
-        try {
-          const dataUrl = await htmlToImage.toPng(off, {
-            canvasWidth: width,
-            canvasHeight: height,
-            pixelRatio: 2,
-            backgroundColor: "#f8fafc",
-            cacheBust: true,
-          });
-          map.remove();
-          off.remove();
-          resolve(dataUrl);
-        } catch (e) {
-          map.remove();
-          off.remove();
-          reject(e);
-        }
-      }, 300);
-    };
-
-    tiles.on("load", snap);
-    setTimeout(snap, 2000);
-  });
-}
-
-/* ===========================
-   SSE hook -> /api/stream
-=========================== */
-const defaultConn = {
-  host: "broker.emqx.io",
-  port: 8883,
-  ssl: true,
-  topic: "devices/esp-shelby-01/telemetry",
-};
-function useSSE(conn, onMessage) {
-  const [status, setStatus] = useState("idle");
-  const [msgs, setMsgs] = useState(0);
-  const [errorMsg, setErrorMsg] = useState("");
-  const [lastPayload, setLastPayload] = useState("");
-  const esRef = useRef(null);
-
-  const connect = () => {
-    try { esRef.current?.close(); } catch {}
-    esRef.current = null;
-    setStatus("connecting");
-    setMsgs(0);
-    setErrorMsg("");
-
-    const qs = new URLSearchParams({
-      host: conn.host || "",
-      port: String(conn.port || (conn.ssl ? 8883 : 1883)),
-      topic: conn.topic || "devices/#",
-      ssl: conn.ssl ? "1" : "0",
-    }).toString();
-    const url = `/api/stream?${qs}`;
-    setErrorMsg(`Connecting via SSE: ${url}`);
-
-    let es;
-    try {
-      es = new EventSource(url);
-    } catch (e) {
-      setStatus("error");
-      setErrorMsg((m) => `${m}\nEventSource create: ${e?.message || String(e)}`);
-      return;
-    }
-    esRef.current = es;
-
-    es.onopen = () => setStatus("connected");
-
-    es.onmessage = (ev) => {
-      try {
-        const obj = JSON.parse(ev.data);
-        if (obj.payload != null) setLastPayload(`${obj.topic}: ${obj.payload}`);
-        if (obj.payload) {
-          try {
-            const js = JSON.parse(obj.payload);
-            const lat = Number(js.lat ?? js.latitude ?? js.Latitude ?? js.Lat);
-            const lon = Number(js.lon ?? js.lng ?? js.longitude ?? js.Longitude ?? js.Lon);
-            const fix = Boolean(js.fix ?? js.gpsFix ?? true);
-            const sats = Number(js.sats ?? js.satellites ?? 0);
-            onMessage && onMessage({ lat, lon, fix, sats, raw: js });
-          } catch {}
-        }
-      } catch {}
-      setMsgs((n) => n + 1);
-    };
-
-    es.addEventListener("diag", (ev) => {
-      try {
-        const d = JSON.parse(ev.data);
-        if (d.error) {
-          setStatus("error");
-          setErrorMsg((m) => `${m}\n${d.error}`);
-        }
-      } catch {}
-    });
-
-    es.onerror = () => {
-      setStatus("error");
-      setErrorMsg((m) => `${m}\nSSE error`);
-    };
-  };
-
-  const disconnect = () => {
-    try { esRef.current?.close(); } catch {}
-    esRef.current = null;
-    setStatus("idle");
-  };
-
-  useEffect(() => () => { try { esRef.current?.close(); } catch {} }, []);
-
-  return { status, msgs, errorMsg, lastPayload, connect, disconnect };
-}
-
 /* ===========================
    UI bits
 =========================== */
-function Recenter({ lat, lon }) {
-  const map = useMap();
-  useEffect(() => { if (Number.isFinite(lat) && Number.isFinite(lon)) map.setView([lat, lon]); }, [lat, lon, map]);
-  return null;
-}
-
 function ConnectionPanel({ conn, setConn, onConnect, onDisconnect, status, msgs, errorMsg }) {
+  const { profiles, error: profilesError } = useBrokerProfiles();
+  const profile = profileFor(profiles, conn.profile);
+  const blocked = profile && !topicAllowed(profile, conn.topic);
   return (
     <div style={{padding:12, background:'rgba(255,255,255,0.95)', border:'1px solid #e5e7eb', borderRadius:16, boxShadow:'0 4px 16px rgba(0,0,0,.08)', maxWidth:420}}>
       <div style={{fontSize:12, fontWeight:600, marginBottom:6}}>MQTT (via SSE)</div>
-      <div style={{display:'grid', gridTemplateColumns:'1fr 1fr', gap:8}}>
-        <label style={{fontSize:12}}>Host
-          <input style={{width:'100%'}} value={conn.host} onChange={(e)=>setConn({...conn, host:e.target.value})}/>
-        </label>
-        <label style={{fontSize:12}}>Port
-          <input style={{width:'100%'}} value={conn.port} onChange={(e)=>setConn({...conn, port:Number(e.target.value)})}/>
-        </label>
-        <label style={{fontSize:12, display:'flex', alignItems:'center', gap:6}}>TLS
-          <input type="checkbox" checked={conn.ssl} onChange={(e)=>setConn({...conn, ssl:e.target.checked})}/>
-        </label>
-      </div>
+      <label style={{fontSize:12, display:'block'}}>Broker
+        <select style={{width:'100%'}} value={conn.profile || ""} onChange={(e)=>setConn({...conn, profile:e.target.value})}>
+          <option value="">Default{profile && !conn.profile ? ` (${profile.name})` : ""}</option>
+          {(profiles || []).map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </select>
+      </label>
+      {profile && (
+        <div style={{fontSize:12, color:'#6b7280', marginTop:4}}>
+          {profile.ssl ? "mqtts" : "mqtt"}://{profile.host}:{profile.port} · topics: {profile.topic_prefixes.map((t) => `${t.replace(/\/+$/, "")}/…`).join(", ") || "none"}
+        </div>
+      )}
+      {profilesError && <div style={{fontSize:12, color:'#b91c1c', marginTop:4}}>Broker profiles: {profilesError}</div>}
       <label style={{fontSize:12, display:'block', marginTop:8}}>Topic
         <input style={{width:'100%'}} value={conn.topic} onChange={(e)=>setConn({...conn, topic:e.target.value})}/>
       </label>
+      {blocked && <div style={{fontSize:12, color:'#b91c1c', marginTop:4}}>Topic is outside this broker's allowed prefixes.</div>}
       <div style={{display:'flex', alignItems:'center', gap:8, marginTop:8, fontSize:13}}>
-        <button onClick={onConnect} style={{padding:'6px 10px', borderRadius:10, background:'#111', color:'#fff'}}>Connect</button>
+        <button onClick={onConnect} disabled={blocked} style={{padding:'6px 10px', borderRadius:10, background:'#111', color:'#fff'}}>Connect</button>
         <button onClick={onDisconnect} style={{padding:'6px 10px', borderRadius:10}}>Disconnect</button>
         <span style={{display:'inline-flex', alignItems:'center', gap:8, marginLeft:8}}>
           <span style={{width:10, height:10, borderRadius:'50%', background: status==='connected'?'#22c55e': status==='error'?'#ef4444': status==='reconnecting'?'#f59e0b':'#d1d5db'}}></span>
@@ -249,6 +108,7 @@ function ConnectionPanel({ conn, setConn, onConnect, onDisconnect, status, msgs,
       {status === 'error' && errorMsg && (
         <div style={{marginTop:8, fontSize:12, color:'#b91c1c', whiteSpace:'pre-wrap'}}>{errorMsg}</div>
       )}
+      <DecoderSettings />
     </div>
   );
 }
@@ -262,31 +122,89 @@ function Tracker() {
   const [conn, setConn] = useState(defaultConn);
 
   const [last, setLast] = useState(null);
-  const [points, setPoints] = useState([]);
+  const [points, setPoints] = useState([]);       // filtered breadcrumbs (used for distance)
+  const [rawPoints, setRawPoints] = useState([]); // every fix received while tracking
   const [tracking, setTracking] = useState(false);
   const [startAt, setStartAt] = useState(null);
   const [elapsed, setElapsed] = useState(0);
   const [distance, setDistance] = useState(0);
   const [autoBreadcrumbFixOnly, setAutoBreadcrumbFixOnly] = useState(true);
   const [recenterOnUpdate, setRecenterOnUpdate] = useState(true);
+  const [filterCfg, setFilterCfg] = useState(DEFAULT_FILTER);
+  const filterRef = useRef(createGpsFilter(DEFAULT_FILTER));
 
   const [trackId, setTrackId] = useState(null);
   const [reportNo, setReportNo] = useState(null);
+  const [share, setShare] = useState(null); // { code, scope, expiresAt }
   const [summary, setSummary] = useState(null);
+  const [laidTrack, setLaidTrack] = useState(null);
+  const [replayOn, setReplayOn] = useState(false);
+  const replay = useReplay(summary?.points);
+  const { devices, hidden, follow, update: updateDevice, toggleHidden, toggleFollow } = useDevices();
+  const [healthCfg, setHealthCfg] = useState(loadHealthConfig);
+  const onHealthCfg = (cfg) => { setHealthCfg(cfg); saveHealthConfig(cfg); };
+  const health = useHealthAlerts(devices, healthCfg, tracking);
+  const [fences, setFences] = useState([]);
+  const [fenceDraft, setFenceDraft] = useState(null); // shape being drawn
+  const [fenceEvents, setFenceEvents] = useState([]); // crossings logged for this track
+  const [fenceAlerts, setFenceAlerts] = useState([]); // crossings not yet acknowledged
+  const fenceMonitorRef = useRef(createFenceMonitor());
+  const [handlerOn, setHandlerOn] = useState(false); // record this phone's position
+  const [handlerPoints, setHandlerPoints] = useState([]);
+  const handlerPos = useHandlerPosition(handlerOn);
+  const [waypoints, setWaypoints] = useState([]);
+  const liveWeather = useCurrentWeather(last);
+  const [laying, setLaying] = useState(EMPTY_LAYING);
+  const layingSavedRef = useRef(null); // last laying sent to the server
+
+  // Edits after Start (e.g. laid-at entered late) go to the track row
+  useEffect(() => {
+    if (!trackId || layingSavedRef.current === laying) return;
+    const id = setTimeout(() => {
+      layingSavedRef.current = laying;
+      sendOrQueue({ kind: "laying", label: "Laying details", url: "/api/tracks/laying", body: { track_id: trackId, laying } });
+    }, 800);
+    return () => clearTimeout(id);
+  }, [trackId, laying]);
+
+  // Handler breadcrumbs while tracking; skip poor fixes and standing-still jitter
+  useEffect(() => {
+    const p = handlerPos.pos;
+    if (!p || !tracking || tab !== "k9" || p.acc > 100) return;
+    setHandlerPoints((prev) => {
+      const prevPt = prev[prev.length - 1];
+      if (prevPt && (p.ts <= prevPt.ts || haversine(prevPt, p) < 3)) return prev;
+      return [...prev, p];
+    });
+  }, [handlerPos.pos, tracking, tab]);
 
   const { status, msgs, errorMsg, lastPayload, connect, disconnect } = useSSE(conn, (msg) => {
+    updateDevice(msg);
     if (Number.isFinite(msg.lat) && Number.isFinite(msg.lon)) {
+      // With several collars on the topic, the followed one drives the track
+      if (follow && msg.device !== follow) return;
       setLast(msg);
+      const crossings = fenceMonitorRef.current.check(fences, { lat: msg.lat, lon: msg.lon, ts: msg.receivedAt });
+      if (crossings.length) {
+        if (tracking) setFenceEvents((prev) => [...prev, ...crossings]);
+        setFenceAlerts((prev) => [...prev, ...crossings]);
+        if (healthCfg.sound && crossings.some((c) => c.violation)) beep();
+      }
       if (tab === "k9" && tracking) {
         if (!autoBreadcrumbFixOnly || msg.fix) {
-          setPoints((prev) => {
-            const next = [...prev, { lat: msg.lat, lon: msg.lon, ts: Date.now() }];
-            if (next.length > 1) {
-              const seg = haversine(next[next.length - 2], next[next.length - 1]);
-              setDistance((d) => d + seg);
-            }
-            return next;
-          });
+          const ts = msg.receivedAt;
+          setRawPoints((prev) => [...prev, { lat: msg.lat, lon: msg.lon, ts }]);
+          const res = filterRef.current.push({ lat: msg.lat, lon: msg.lon, ts, sats: msg.sats, hdop: msg.hdop });
+          if (res.accepted) {
+            setPoints((prev) => {
+              const next = [...prev, res.point];
+              if (next.length > 1) {
+                const seg = haversine(next[next.length - 2], next[next.length - 1]);
+                setDistance((d) => d + seg);
+              }
+              return next;
+            });
+          }
         }
       }
     }
@@ -296,112 +214,273 @@ function Tracker() {
     if (tracking && startAt) setElapsed(Date.now() - startAt);
   }, 1000);
 
-  const startTrack = async () => {
-    setPoints([]); setDistance(0); setStartAt(Date.now()); setElapsed(0);
-    setTracking(true); setSummary(null); setReportNo("pending");
+  // Persist the running track locally (IndexedDB) so a reload can resume it
+  const savedRef = useRef({ n: -1, trackId: null });
+  const persistTrack = () => {
+    if (savedRef.current.n === rawPoints.length && savedRef.current.trackId === trackId) return;
+    savedRef.current = { n: rawPoints.length, trackId };
+    saveActiveTrack({
+      trackId, reportNo, share, startAt, topic: conn.topic, profile: conn.profile, deviceId: follow || null,
+      filterCfg, laidTrack, fences, fenceEvents, handlerOn, handlerPoints, waypoints, laying, points, rawPoints, distance,
+    }).catch(() => {});
+  };
+  useInterval(() => { if (tracking) persistTrack(); }, 3000);
+  useEffect(() => { if (tracking && trackId) persistTrack(); }, [tracking, trackId]);
+
+  // Unfinished track from a previous session (local copy and/or open server row)
+  const [recovery, setRecovery] = useState(null); // { local, server }
+  const [recoveryBusy, setRecoveryBusy] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null); // 'resume' | { finalizeAt }
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      const local = await loadActiveTrack().catch(() => null);
+      let server = null;
+      try {
+        const topic = local?.topic || conn.topic;
+        const r = await apiFetch(`/api/tracks/active?topic=${encodeURIComponent(topic)}`);
+        const js = await r.json().catch(() => ({}));
+        if (r.ok && js.active) server = js;
+      } catch {}
+      if (!cancelled && (local || server)) setRecovery({ local, server });
+    })();
+    return () => { cancelled = true; };
+  }, []);
+
+  const restoreLocal = (local) => {
+    setTab("k9");
+    setConn((c) => ({ ...c, topic: local.topic || c.topic, profile: local.profile ?? c.profile }));
+    setTrackId(local.trackId || null);
+    // Its create may have synced from the outbox since
+    if (isLocalId(local.trackId)) resolveLocalId(local.trackId).then((id) => { if (id) setTrackId(id); }).catch(() => {});
+    setShare(local.share || (local.shareCode ? { code: local.shareCode } : null));
+    setReportNo(local.reportNo || (local.trackId ? null : "pending"));
+    setStartAt(local.startAt);
+    setElapsed(Date.now() - local.startAt);
+    setPoints(local.points || []);
+    setRawPoints(local.rawPoints || []);
+    setDistance(local.distance || 0);
+    if (local.filterCfg) setFilterCfg(local.filterCfg);
+    filterRef.current = createGpsFilter(local.filterCfg || filterCfg);
+    setLaidTrack(local.laidTrack || null);
+    setFences(local.fences || []);
+    setFenceEvents(local.fenceEvents || []);
+    setHandlerOn(!!local.handlerOn);
+    setHandlerPoints(local.handlerPoints || []);
+    setWaypoints(local.waypoints || []);
+    setLaying(local.laying || EMPTY_LAYING);
+    layingSavedRef.current = local.laying || EMPTY_LAYING;
+    fenceMonitorRef.current.reset();
+    setSummary(null); setReplayOn(false);
+    savedRef.current = { n: (local.rawPoints || []).length, trackId: local.trackId || null };
+    setTracking(true);
+  };
 
+  // Close an open server row that has no local data. A local id whose create
+  // is still queued has no row yet: drop the create (and what waits on it).
+  const closeServerTrack = async (id) => {
+    if (isLocalId(id)) {
+      const create = (await listOutbox().catch(() => [])).find((e) => e.localId === id);
+      if (create) return discardEntry(create.id).catch(() => {});
+      id = await resolveLocalId(id).catch(() => null);
+      if (!id) return;
+    }
     try {
-      const resp = await fetch("/api/tracks/create", {
+      await apiFetch("/api/tracks/finish", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ device_id: "esp-shelby-01", topic: conn.topic, is_public: true }),
+        body: JSON.stringify({ track_id: id }),
       });
-      const js = await resp.json().catch(() => ({}));
-      if (resp.ok && js.id) {
-        setTrackId(js.id);
-        if (js.report_no) setReportNo(js.report_no);
-      }
     } catch {}
   };
 
-  const stopTrack = async () => {
+  const onRecoveryResume = () => {
+    restoreLocal(recovery.local);
+    setRecovery(null);
+    setPendingAction("resume");
+  };
+  const onRecoveryFinalize = () => {
+    const local = recovery.local;
+    const raw = local.rawPoints || [];
+    restoreLocal(local);
+    setRecovery(null);
+    // End at the last fix we saw, not now
+    setPendingAction({ finalizeAt: raw.length ? raw[raw.length - 1].ts : local.updatedAt });
+  };
+  const onRecoveryDiscard = async () => {
+    setRecoveryBusy(true);
+    await clearActiveTrack().catch(() => {});
+    // Discarding the local copy also closes its now data-less server row
+    if (recovery.local?.trackId) await closeServerTrack(recovery.local.trackId);
+    setRecoveryBusy(false);
+    setRecovery(null);
+  };
+  const onRecoveryCloseServer = async () => {
+    setRecoveryBusy(true);
+    await closeServerTrack(recovery.server.id);
+    setRecoveryBusy(false);
+    setRecovery(null);
+  };
+
+  // Runs after restoreLocal's state has landed
+  useEffect(() => {
+    if (!pendingAction || !tracking) return;
+    const action = pendingAction;
+    setPendingAction(null);
+    if (action === "resume") connect();
+    else stopTrack({ endAt: action.finalizeAt });
+  }, [pendingAction, tracking]);
+
+  const startTrack = async () => {
+    const now = Date.now();
+    setPoints([]); setRawPoints([]); setDistance(0); setStartAt(now); setElapsed(0);
+    filterRef.current = createGpsFilter(filterCfg);
+    savedRef.current = { n: -1, trackId: null };
+    setTracking(true); setSummary(null); setReportNo("pending"); setReplayOn(false); setShare(null);
+    setFenceEvents([]); setFenceAlerts([]); fenceMonitorRef.current.reset(); setHandlerPoints([]); setWaypoints([]);
+
+    // Offline: the create waits in the outbox and the track runs under a local id
+    const localId = newLocalId();
+    const res = await sendOrQueue({
+      kind: "create",
+      label: `Start track ${new Date(now).toLocaleTimeString()}`,
+      url: "/api/tracks/create",
+      body: { device_id: follow || null, topic: conn.topic, broker_profile: conn.profile || null, laying, started_at: new Date(now).toISOString(), client_ref: localId },
+      localId,
+    });
+    if (res.ok && res.js.id) {
+      layingSavedRef.current = laying;
+      onTrackCreated(res.js);
+    } else if (res.queued) {
+      layingSavedRef.current = laying;
+      setTrackId(localId);
+      setReportNo("waiting to sync");
+    }
+  };
+
+  const onTrackCreated = (js) => {
+    setTrackId(js.id);
+    if (js.report_no) setReportNo(js.report_no);
+    setShare(js.share_code ? { code: js.share_code, scope: js.share_scope, expiresAt: js.share_expires_at } : null);
+  };
+
+  // Summary fields refined by the server's finish response
+  const fromFinish = (js) => ({
+    ...(js.points_source === "server"
+      ? { distance: js.distance_m, paceMinPerKm: js.pace_min_per_km, avgSpeedKmh: js.avg_speed_kmh, pointsSource: "server" }
+      : {}),
+    weather: js.weather || null,
+    elevation: js.elevation || null,
+    snapshotUrl: js.snapshot_url || null,
+    ...(js.track_age_ms != null ? { trackAgeMs: js.track_age_ms } : {}),
+    ...(js.id ? { trackId: js.id } : {}),
+    queued: false,
+  });
+
+  // Requests that went through the outbox after the fact
+  useEffect(() => subscribeOutbox(({ type, entry, js }) => {
+    if (type !== "sent") return;
+    if (entry.kind === "create" && entry.localId === trackId) onTrackCreated(js);
+    if (entry.kind === "create" && entry.localId === summary?.trackId) {
+      setSummary((s) => ({ ...s, trackId: js.id, report_no: js.report_no || s.report_no }));
+      if (js.report_no) setReportNo(js.report_no);
+    }
+    const forSummary = summary && [entry.body?.track_id, js?.id].includes(summary.trackId);
+    if (entry.kind === "finish" && forSummary) {
+      setSummary((s) => ({ ...s, ...fromFinish(js) }));
+      if (Array.isArray(js.waypoints)) setWaypoints(js.waypoints);
+    }
+    if (entry.kind === "snapshot" && forSummary) setSummary((s) => ({ ...s, snapshotUrl: js.snapshot_url }));
+  }), [trackId, summary?.trackId]);
+
+  const stopTrack = async ({ endAt = Date.now() } = {}) => {
     setTracking(false);
-    const durMs = startAt ? Date.now() - startAt : 0;
+    clearActiveTrack().catch(() => {});
+    const durMs = startAt ? Math.max(0, endAt - startAt) : 0;
     const distM = distance || 0;
     const pMinPerKm = paceMinPerKm(distM, durMs);
     const avgKmh = avgSpeedKmh(distM, durMs);
 
-    let weather = null;
-    try {
-      const center = points.length ? points[Math.floor(points.length / 2)] : last;
-      if (center && Number.isFinite(center.lat) && Number.isFinite(center.lon)) {
-        const w = await fetch(
-          `https://api.open-meteo.com/v1/forecast?latitude=${center.lat}&longitude=${center.lon}&current_weather=true`
-        ).then(r => r.json());
-        weather = w?.current_weather || null;
-      }
-    } catch {}
-
-    let elevation = null;
-    try {
-      if (points.length) {
-        const sample = points.filter((_, i) => i % Math.max(1, Math.floor(points.length / 100)) === 0);
-        const locs = sample.map(p => `${p.lat},${p.lon}`).join("|");
-        const e = await fetch(
-          `https://api.open-elevation.com/api/v1/lookup?locations=${encodeURIComponent(locs)}`
-        ).then(r => r.json());
-        const els = e?.results?.map(r => r.elevation).filter(Number.isFinite) || [];
-        if (els.length) {
-          let gain = 0, loss = 0;
-          for (let i = 1; i < els.length; i++) {
-            const d = els[i] - els[i - 1];
-            if (d > 0) gain += d; else loss += Math.abs(d);
-          }
-          elevation = { gain, loss };
-        }
-      }
-    } catch {}
+    const deviation = laidTrack ? compareToLaid(points, laidTrack.points) : null;
+    const filter = {
+      ...normalizeFilter(filterCfg),
+      stats: { ...filterRef.current.stats },
+      raw_distance_m: Number(pathLength(rawPoints).toFixed(1)),
+    };
 
-    let snapshotDataUrl = null;
-    try {
-      snapshotDataUrl = await captureTrackSnapshot({ points, last });
-    } catch {}
+    const handler = handlerStats(handlerPoints, points);
 
     const payload = {
       id: trackId || null,
-      device_id: "esp-shelby-01",
+      track_id: trackId || null,
+      device_id: follow || null,
       topic: conn.topic,
       started_at: startAt ? new Date(startAt).toISOString() : null,
-      ended_at: new Date().toISOString(),
+      ended_at: new Date(endAt).toISOString(),
       distance_m: Number.isFinite(distM) ? distM : 0,
       duration_ms: Number.isFinite(durMs) ? durMs : 0,
       pace_min_per_km: pMinPerKm != null ? Number(pMinPerKm.toFixed(3)) : null,
       avg_speed_kmh:  avgKmh    != null ? Number(avgKmh.toFixed(3))    : null,
-      weather,
-      elevation,
       points,
-      snapshotDataUrl,
+      raw_points: rawPoints,
+      filter,
+      ...(laidTrack ? { laid_track: laidTrack, deviation } : {}),
+      ...(fences.length ? { geofences: fences, geofence_events: fenceEvents } : {}),
+      ...(handler ? { handler_points: handlerPoints, handler_stats: handler } : {}),
+      ...(waypoints.length ? { waypoints } : {}),
     };
 
-    let snapshot_url = null;
-    let returned_report_no = null;
-    try {
-      const resp2 = await fetch("/api/tracks/finish", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
-      const js2 = await resp2.json().catch(() => ({}));
-      if (resp2.ok) {
-        snapshot_url = js2?.snapshot_url || null;
-        returned_report_no = js2?.report_no || reportNo;
-      }
-    } catch {}
+    // Kept in the outbox (and finished later) when the network is down
+    const res = await sendOrQueue({
+      kind: "finish",
+      label: `Finish track ${reportNo && !isLocalId(trackId) ? reportNo : new Date(endAt).toLocaleTimeString()}`,
+      url: "/api/tracks/finish",
+      body: payload,
+    });
+    if (res.ok && Array.isArray(res.js.waypoints)) setWaypoints(res.js.waypoints); // photos now uploaded
 
     setSummary({
       distance: distM,
       durationMs: durMs,
       paceMinPerKm: pMinPerKm,
       avgSpeedKmh: avgKmh,
-      weather,
-      elevation,
+      pointsSource: "client",
+      weather: null,   // run/laid time series from the server weather service
+      elevation: null, // computed by finish from local DEM tiles
       points,
-      snapshotUrl: snapshot_url,
-      snapshotDataUrl,
-      report_no: returned_report_no || reportNo || "pending",
+      snapshotUrl: null, // rendered by finish (see api/tracks/_staticmap.js)
+      trackId,
+      deviation,
+      filter,
+      geofenceEvents: fences.length ? fenceEvents : null,
+      laying,
+      trackAgeMs: trackAgeMs(laying, startAt),
+      handler,
+      handlerPoints,
+      report_no: reportNo || "pending",
+      ...(res.ok ? fromFinish(res.js) : {}),
+      queued: !!res.queued,
     });
   };
 
+  const regenerateSnapshot = async () => {
+    const res = await sendOrQueue({ kind: "snapshot", label: "Track snapshot", url: "/api/tracks/snapshot", body: { track_id: summary.trackId } });
+    if (res.queued) return alert("Offline: the snapshot will be rendered once the connection is back.");
+    if (!res.ok) return alert(`Snapshot failed: ${res.js.error || `HTTP ${res.status}`}`);
+    setSummary((s) => (s ? { ...s, snapshotUrl: res.js.snapshot_url } : s));
+  };
+
+  // Attaching/removing a laid track after Stop re-scores the finished run
+  const onLaidTrackChange = async (lt) => {
+    setLaidTrack(lt);
+    if (!summary) return;
+    const deviation = lt ? compareToLaid(summary.points, lt.points) : null;
+    setSummary((s) => (s ? { ...s, deviation } : s));
+    if (!summary.trackId) return;
+    sendOrQueue({ kind: "laid", label: "Laid track", url: "/api/tracks/laid", body: { track_id: summary.trackId, laid_track: lt, deviation } });
+  };
+
   const center = useMemo(() => {
     if (last && Number.isFinite(last.lat) && Number.isFinite(last.lon)) return [last.lat, last.lon];
     return [30, -97];
@@ -415,13 +494,20 @@ function Tracker() {
           <button onClick={()=>setTab("live")} style={{padding:'6px 10px', borderRadius:10, background: tab==='live'?'#fff':'transparent', boxShadow: tab==='live'?'0 2px 8px rgba(0,0,0,.06)':'none'}}>Live Map</button>
           <button onClick={()=>setTab("k9")} style={{padding:'6px 10px', borderRadius:10, background: tab==='k9'?'#fff':'transparent', boxShadow: tab==='k9'?'0 2px 8px rgba(0,0,0,.06)':'none'}}>K9 Track</button>
         </div>
-        <button onClick={() => setPanelOpen(o => !o)} style={{marginLeft:'auto', padding:'6px 10px', borderRadius:10, background:'#111', color:'#fff'}}>
+        {health.unacked.length > 0 && (
+          <button onClick={() => setPanelOpen(true)} style={{marginLeft:'auto', padding:'6px 10px', borderRadius:10, background:'#dc2626', color:'#fff'}}>
+            ⚠ {health.unacked.length} alert{health.unacked.length === 1 ? "" : "s"}
+          </button>
+        )}
+        <button onClick={() => setPanelOpen(o => !o)} style={{marginLeft: health.unacked.length ? 0 : 'auto', padding:'6px 10px', borderRadius:10, background:'#111', color:'#fff'}}>
           {panelOpen ? 'Hide' : 'Connect'}
         </button>
       </div>
 
       {panelOpen && (
         <div style={{position:'fixed', top:16, left:16, zIndex:1000}}>
+          <HealthAlertBanner alerts={health.unacked} onAcknowledge={health.acknowledge} />
+          <GeofenceAlertBanner alerts={fenceAlerts} onAcknowledge={() => setFenceAlerts([])} />
           <ConnectionPanel
             conn={conn}
             setConn={setConn}
@@ -432,11 +518,32 @@ function Tracker() {
             errorMsg={errorMsg}
           />
 
+          {recovery && (
+            <RecoveryBanner
+              local={recovery.local}
+              server={recovery.server}
+              busy={recoveryBusy}
+              onResume={onRecoveryResume}
+              onFinalize={onRecoveryFinalize}
+              onDiscard={onRecoveryDiscard}
+              onCloseServer={onRecoveryCloseServer}
+            />
+          )}
+
           {last && (
             <div style={{marginTop:8, padding:12, background:'rgba(255,255,255,0.95)', border:'1px solid #e5e7eb', borderRadius:16, boxShadow:'0 4px 16px rgba(0,0,0,.08)', fontSize:12, maxWidth:420}}>
               <div style={{fontWeight:600}}>Last fix</div>
               <div>lat: {Number.isFinite(last.lat)? last.lat.toFixed(6): '—'} lon: {Number.isFinite(last.lon)? last.lon.toFixed(6): '—'}</div>
-              <div>fix: {String(last.fix)} sats: {Number.isFinite(last.sats)? last.sats: '—'}</div>
+              <div>fix: {String(last.fix)} sats: {Number.isFinite(last.sats)? last.sats: '—'} hdop: {Number.isFinite(last.hdop)? last.hdop: '—'}</div>
+              <div>
+                speed: {Number.isFinite(last.speedKmh)? `${last.speedKmh.toFixed(1)} km/h`: '—'}
+                {' '}heading: {Number.isFinite(last.heading)? `${Math.round(last.heading)}°`: '—'}
+                {' '}alt: {Number.isFinite(last.alt)? `${Math.round(last.alt)} m`: '—'}
+              </div>
+              <div>
+                battery: {Number.isFinite(last.battery)? `${Math.round(last.battery)}%`: '—'}
+                {' '}GPS time: {last.gpsTime ? new Date(last.gpsTime).toLocaleTimeString() : '—'} · {last.decoder}
+              </div>
               <label style={{display:'flex', alignItems:'center', gap:6}}>
                 <input type="checkbox" checked={recenterOnUpdate} onChange={(e)=>setRecenterOnUpdate(e.target.checked)} /> Recenter on update
               </label>
@@ -452,6 +559,22 @@ function Tracker() {
             </div>
           )}
 
+          <DeviceLegend
+            devices={devices}
+            hidden={hidden}
+            follow={follow}
+            onToggleHidden={toggleHidden}
+            onToggleFollow={toggleFollow}
+          />
+
+          <DeviceHealthPanel
+            devices={devices}
+            now={health.now}
+            alerts={health.alerts}
+            config={healthCfg}
+            onConfigChange={onHealthCfg}
+          />
+
           {tab === 'k9' && (
             <div style={{marginTop:8, padding:12, background:'rgba(255,255,255,0.95)', border:'1px solid #e5e7eb', borderRadius:16, boxShadow:'0 4px 16px rgba(0,0,0,.08)', fontSize:12, maxWidth:420}}>
               <div style={{fontWeight:600, marginBottom:6}}>K9 Track Controls</div>
@@ -459,42 +582,159 @@ function Tracker() {
                 {!tracking ? (
                   <button onClick={startTrack} style={{padding:'6px 10px', borderRadius:10, background:'#16a34a', color:'#fff'}}>Start</button>
                 ) : (
-                  <button onClick={stopTrack} style={{padding:'6px 10px', borderRadius:10, background:'#dc2626', color:'#fff'}}>Stop</button>
+                  <button onClick={() => stopTrack()} style={{padding:'6px 10px', borderRadius:10, background:'#dc2626', color:'#fff'}}>Stop</button>
                 )}
                 <button
                   onClick={()=>{
-                    setPoints([]); setDistance(0); setElapsed(0); setStartAt(null);
-                    setSummary(null); setTrackId(null); setReportNo(null);
+                    setPoints([]); setRawPoints([]); setDistance(0); setElapsed(0); setStartAt(null);
+                    setSummary(null); setTrackId(null); setReportNo(null); setShare(null); setLaidTrack(null); setReplayOn(false);
+                    setFences([]); setFenceDraft(null); setFenceEvents([]); setFenceAlerts([]); fenceMonitorRef.current.reset();
+                    setHandlerPoints([]); setWaypoints([]); setLaying(EMPTY_LAYING); layingSavedRef.current = null;
+                    clearActiveTrack().catch(() => {});
                   }}
                   style={{padding:'6px 10px', borderRadius:10}}
                 >Clear</button>
               </div>
+              <LayingPanel
+                laying={laying}
+                onChange={setLaying}
+                ageLabel={trackAgeMs(laying, startAt || Date.now()) != null ? prettyAge(trackAgeMs(laying, startAt || Date.now())) : null}
+              />
               <div>Time: {prettyDuration(elapsed)}</div>
               <div>Distance: {prettyDistance(distance)}</div>
               <label style={{display:'flex', alignItems:'center', gap:6}}>
                 <input type="checkbox" checked={autoBreadcrumbFixOnly} onChange={(e)=>setAutoBreadcrumbFixOnly(e.target.checked)} />
                 Only add crumbs when fix=true
               </label>
+              <label style={{display:'flex', alignItems:'center', gap:6}}>
+                <input type="checkbox" checked={handlerOn} onChange={(e)=>setHandlerOn(e.target.checked)} />
+                Record my position (handler)
+              </label>
+              {handlerOn && (
+                <div style={{color: handlerPos.error ? '#b91c1c' : undefined}}>
+                  {handlerPos.error
+                    ? `Handler: ${handlerPos.error}`
+                    : !handlerPos.pos
+                      ? "Handler: waiting for location…"
+                      : last && Number.isFinite(last.lat)
+                        ? `Handler → dog: ${prettyDistance(haversine(handlerPos.pos, last))} ${compassPoint(bearing(handlerPos.pos, last))} (${Math.round(bearing(handlerPos.pos, last))}°), ±${Math.round(handlerPos.pos.acc)} m`
+                        : `Handler: ±${Math.round(handlerPos.pos.acc)} m, no dog position yet`}
+                </div>
+              )}
+              <FilterSettings
+                config={filterCfg}
+                onChange={setFilterCfg}
+                disabled={tracking}
+                stats={tracking || summary ? filterRef.current.stats : null}
+              />
+
+              <LaidTrackPanel laidTrack={laidTrack} onChange={onLaidTrackChange} />
+
+              {(tracking || waypoints.length > 0) && (
+                <WaypointPanel
+                  waypoints={waypoints}
+                  onChange={setWaypoints}
+                  dogPos={last}
+                  handlerPos={handlerPos.pos}
+                  disabled={!tracking}
+                />
+              )}
+
+              <GeofencePanel fences={fences} onChange={setFences} draft={fenceDraft} setDraft={setFenceDraft} events={fenceEvents} />
+
+              {trackId && !isLocalId(trackId) && <SharePanel trackId={trackId} share={share} onChange={setShare} />}
 
               {summary && (
                 <div style={{marginTop:8, padding:8, background:'#f1f5f9', borderRadius:8}}>
                   <div style={{fontWeight:600, marginBottom:4}}>Summary</div>
                   <div>Report #: <b>{summary.report_no || "pending"}</b></div>
                   <div>Distance: {prettyDistance(summary.distance)}</div>
+                  <div>Track age: {summary.trackAgeMs != null ? prettyAge(summary.trackAgeMs) : '—'}</div>
+                  <div>Laying: {describeLaying(summary.laying)}</div>
+                  {summary.filter && (
+                    <div>
+                      Track data: {summary.pointsSource === "server" ? "server-recorded, " : ""}{summary.filter.enabled ? "filtered" : "raw"}
+                      {summary.filter.enabled && ` (${describeFilter(summary.filter)}; raw ${prettyDistance(summary.filter.raw_distance_m)}, kept ${summary.filter.stats.accepted}/${summary.filter.stats.received} fixes)`}
+                    </div>
+                  )}
                   <div>Duration: {prettyDuration(summary.durationMs)}</div>
                   <div>Pace: {summary.paceMinPerKm ? `${summary.paceMinPerKm.toFixed(2)} min/km` : '—'}</div>
                   <div>Avg speed: {summary.avgSpeedKmh ? `${summary.avgSpeedKmh.toFixed(2)} km/h` : '—'}</div>
-                  <div>Weather: {summary.weather ? `${summary.weather.temperature}°C, wind ${summary.weather.windspeed} km/h` : '—'}</div>
+                  <WeatherSummary weather={summary.weather} />
                   <div>Elevation: {summary.elevation ? `gain ${Math.round(summary.elevation.gain)} m, loss ${Math.round(summary.elevation.loss)} m` : '—'}</div>
-                  {(summary.snapshotUrl || summary.snapshotDataUrl) && (
+                  {summary.elevation?.profile && <ElevationProfile elevation={summary.elevation} />}
+                  {summary.deviation && (
+                    <div style={{marginTop:6}}>
+                      <div style={{fontWeight:600}}>Vs. laid track</div>
+                      <div>Off-track: mean {summary.deviation.mean_offset_m} m, max {summary.deviation.max_offset_m} m</div>
+                      <div>Laid track covered: {summary.deviation.coverage_pct}% of {prettyDistance(summary.deviation.laid_length_m)}</div>
+                      <div>
+                        Overshoots: {summary.deviation.events.filter(e => e.type === "overshoot").length} ·
+                        {" "}Cut corners: {summary.deviation.events.filter(e => e.type === "cut").length}
+                      </div>
+                    </div>
+                  )}
+                  {summary.handler && (
+                    <div>
+                      Handler: walked {prettyDistance(summary.handler.distance_m)}
+                      {summary.handler.max_separation_m != null && `, dog mean ${prettyDistance(summary.handler.mean_separation_m)} / max ${prettyDistance(summary.handler.max_separation_m)} away`}
+                    </div>
+                  )}
+                  {waypoints.length > 0 && (
+                    <div>Waypoints: {waypoints.length}</div>
+                  )}
+                  {summary.geofenceEvents && (
+                    <div style={{marginTop:6}}>
+                      <div style={{fontWeight:600}}>Geofence crossings</div>
+                      {!summary.geofenceEvents.length && <div>None</div>}
+                      {summary.geofenceEvents.map((e, i) => (
+                        <div key={i} style={{color: e.violation ? '#b91c1c' : undefined}}>
+                          {new Date(e.ts).toLocaleTimeString()} · {describeCrossing(e)}{e.violation ? " (violation)" : ""}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {summary.points?.length > 1 && (
+                    <div style={{marginTop:6}}>
+                      <div style={{display:'flex', alignItems:'center', gap:6}}>
+                        <button onClick={() => { replay.pause(); setReplayOn((o) => !o); }} style={{padding:'4px 8px', borderRadius:8}}>
+                          {replayOn ? "Close replay" : "Replay"}
+                        </button>
+                        {summary.trackId && !summary.queued && <Link to={`/replay/${summary.trackId}`}>Open replay page</Link>}
+                      </div>
+                      {replayOn && <div style={{marginTop:6}}><ReplayControls replay={replay} /></div>}
+                    </div>
+                  )}
+                  {summary.queued && (
+                    <div style={{marginTop:6, color:'#b45309'}}>Saved on this device — the track uploads automatically when the connection is back.</div>
+                  )}
+                  {summary.trackId && !summary.queued && (
+                    <div style={{display:'flex', alignItems:'center', gap:6, marginTop:6}}>
+                      <span>Export:</span>
+                      {["gpx", "kml", "geojson"].map((f) => (
+                        <button
+                          key={f}
+                          onClick={() => downloadApi(`/api/tracks/export?id=${encodeURIComponent(summary.trackId)}&format=${f}`, `track.${f}`).catch((e) => alert(e.message))}
+                          style={{padding:'4px 8px', borderRadius:8, background:'#fff', border:'1px solid #e5e7eb', color:'#111'}}
+                        >{f.toUpperCase()}</button>
+                      ))}
+                    </div>
+                  )}
+                  {summary.snapshotUrl && (
                     <div style={{marginTop:8}}>
                       <img
-                        src={summary.snapshotUrl || summary.snapshotDataUrl}
+                        src={summary.snapshotUrl}
                         alt="track snapshot"
                         style={{maxWidth:'100%', borderRadius:8, border:'1px solid #e5e7eb'}}
                       />
                     </div>
                   )}
+                  {summary.trackId && !summary.queued && (
+                    <button
+                      onClick={regenerateSnapshot}
+                      style={{marginTop:6, padding:'4px 8px', borderRadius:8, background:'#fff', border:'1px solid #e5e7eb', color:'#111'}}
+                    >{summary.snapshotUrl ? "Regenerate snapshot" : "Render snapshot"}</button>
+                  )}
                 </div>
               )}
             </div>
@@ -502,21 +742,38 @@ function Tracker() {
         </div>
       )}
 
-      <div style={{height:'100%'}}>
+      <div style={{height:'100%', position:'relative'}}>
+        {summary?.weather?.winddirection != null
+          ? <WindArrow dir={summary.weather.winddirection} speed={summary.weather.windspeed} label="Wind (run)" />
+          : liveWeather && <WindArrow dir={liveWeather.wind_dir} speed={liveWeather.wind_speed} />}
         <MapContainer center={useMemo(() => {
           if (last && Number.isFinite(last.lat) && Number.isFinite(last.lon)) return [last.lat, last.lon];
           return [30, -97];
         }, [last])} zoom={13} style={{height:'100%', width:'100%'}}>
-          <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" attribution="&copy; OpenStreetMap" />
+          <OfflineTileLayer />
           {recenterOnUpdate && last && Number.isFinite(last.lat) && Number.isFinite(last.lon) && (
             <Recenter lat={last.lat} lon={last.lon} />
           )}
-          {last && Number.isFinite(last.lat) && Number.isFinite(last.lon) && (
-            <CircleMarker center={[last.lat, last.lon]} radius={8} pathOptions={{ color: "#111" }} />
+          <DeviceLayers devices={devices} hidden={hidden} follow={follow} />
+          <GeofenceLayers fences={fences} draft={fenceDraft} />
+          {tab === 'k9' && <WaypointLayers waypoints={waypoints} />}
+          {fenceDraft && <GeofenceDrawer draft={fenceDraft} setDraft={setFenceDraft} />}
+          {tab === 'k9' && laidTrack && (
+            <Polyline positions={laidTrack.points.map(p=>[p.lat, p.lon])} pathOptions={{ color: "#f97316", weight: 3, opacity: 0.9, dashArray: "6 6" }} />
+          )}
+          {tab === 'k9' && replayOn && summary && <ReplayLayers replay={replay} />}
+          {tab === 'k9' && (summary ? summary.handlerPoints : handlerPoints).length > 1 && (
+            <Polyline positions={(summary ? summary.handlerPoints : handlerPoints).map(p=>[p.lat, p.lon])} pathOptions={{ color: "#0d9488", weight: 3, opacity: 0.9, dashArray: "2 6" }} />
+          )}
+          {handlerPos.pos && (
+            <CircleMarker center={[handlerPos.pos.lat, handlerPos.pos.lon]} radius={7} pathOptions={{ color: "#0d9488", weight: 3, fillColor: "#fff", fillOpacity: 1 }} />
           )}
-          {(tab === 'k9' ? points : []).length > 0 && (
+          {(tab === 'k9' && !replayOn ? points : []).length > 0 && (
             <Polyline positions={points.map(p=>[p.lat, p.lon])} pathOptions={{ color: "#2563eb", weight: 4, opacity: 0.9 }} />
           )}
+          {tab === 'k9' && summary?.deviation?.events.map((ev, i) => (
+            <CircleMarker key={`dev-${i}`} center={[ev.lat, ev.lon]} radius={6} pathOptions={{ color: ev.type === "cut" ? "#7c3aed" : "#f97316", fillOpacity: 0.6 }} />
+          ))}
         </MapContainer>
       </div>
     </div>
@@ -527,16 +784,26 @@ function Tracker() {
    Viewer (read-only live map)
 =========================== */
 function Viewer() {
-  const [conn, setConn] = useState(defaultConn);
+  const [conn] = useState(defaultConn);
+  const { profiles } = useBrokerProfiles();
+  const viewerProfile = profileFor(profiles, conn.profile);
   const [last, setLast] = useState(null);
+  const { devices, hidden, follow, update: updateDevice, toggleHidden, toggleFollow } = useDevices();
+  const [healthCfg, setHealthCfg] = useState(loadHealthConfig);
+  const onHealthCfg = (cfg) => { setHealthCfg(cfg); saveHealthConfig(cfg); };
+  const health = useHealthAlerts(devices, healthCfg, false);
   const { status, msgs, errorMsg, lastPayload, connect, disconnect } = useSSE(conn, (msg) => {
-    if (Number.isFinite(msg.lat) && Number.isFinite(msg.lon)) setLast(msg);
+    updateDevice(msg);
+    if (Number.isFinite(msg.lat) && Number.isFinite(msg.lon)) {
+      setLast(msg);
+    }
   });
 
   const center = useMemo(() => {
     if (last && Number.isFinite(last.lat) && Number.isFinite(last.lon)) return [last.lat, last.lon];
     return [30, -97];
   }, [last]);
+  const followed = follow ? devices[follow]?.last : null;
 
   useEffect(() => { connect(); return () => disconnect(); }, []); // auto-connect
 
@@ -552,36 +819,51 @@ function Viewer() {
         <div style={{padding:12, background:'rgba(255,255,255,0.95)', border:'1px solid #e5e7eb', borderRadius:16, boxShadow:'0 4px 16px rgba(0,0,0,.08)', maxWidth:360}}>
           <div style={{fontSize:12, fontWeight:600, marginBottom:6}}>Connected to</div>
           <div style={{fontSize:12, color:'#334155'}}>
-            {conn.ssl ? "mqtts" : "mqtt"}://{conn.host}:{conn.port}
+            {viewerProfile ? `${viewerProfile.ssl ? "mqtts" : "mqtt"}://${viewerProfile.host}:${viewerProfile.port}` : conn.profile || "default broker"}
             <div style={{marginTop:4}}>Topic: <code>{conn.topic}</code></div>
           </div>
           {status === 'error' && errorMsg && (
             <div style={{marginTop:8, fontSize:12, color:'#b91c1c', whiteSpace:'pre-wrap'}}>{errorMsg}</div>
           )}
         </div>
+
+        <DeviceLegend
+          devices={devices}
+          hidden={hidden}
+          follow={follow}
+          onToggleHidden={toggleHidden}
+          onToggleFollow={toggleFollow}
+        />
+        <HealthAlertBanner alerts={health.unacked} onAcknowledge={health.acknowledge} />
+        <DeviceHealthPanel
+          devices={devices}
+          now={health.now}
+          alerts={health.alerts}
+          config={healthCfg}
+          onConfigChange={onHealthCfg}
+        />
       </div>
 
       <div style={{height:'100%'}}>
         <MapContainer center={center} zoom={13} style={{height:'100%', width:'100%'}}>
-          <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" attribution="&copy; OpenStreetMap" />
-          {last && Number.isFinite(last.lat) && Number.isFinite(last.lon) && (
-            <CircleMarker center={[last.lat, last.lon]} radius={8} pathOptions={{ color: "#111" }} />
-          )}
+          <OfflineTileLayer />
+          {followed && <Recenter lat={followed.lat} lon={followed.lon} />}
+          <DeviceLayers devices={devices} hidden={hidden} follow={follow} />
         </MapContainer>
       </div>
     </div>
   );
 }
 
-/* ===========================
-   Reports stub (placeholder)
-=========================== */
-function Reports() {
+// Signed-in user + role, with sign out
+function SessionBadge() {
+  const { user, role } = useSession();
+  if (!user) return null;
   return (
-    <div style={{padding:16}}>
-      <h2 style={{fontWeight:700, fontSize:20, marginBottom:8}}>Reports</h2>
-      <p>This is a placeholder page. Hook up your Supabase list + PDF links here.</p>
-    </div>
+    <span style={{display:'flex', alignItems:'center', gap:8, fontSize:12, color:'#475569'}}>
+      {user.email} · {role}
+      <button onClick={() => supabase.auth.signOut()} style={{padding:'2px 8px', borderRadius:8}}>Sign out</button>
+    </span>
   );
 }
 
@@ -597,12 +879,23 @@ export default function App() {
           <Link to="/">Live</Link>
           <Link to="/view">Viewer</Link>
           <Link to="/reports">Reports</Link>
+          <Link to="/stats">Training log</Link>
+          <Link to="/offline">Offline maps</Link>
+          <span style={{marginLeft:'auto', display:'flex', alignItems:'center', gap:12}}>
+            <SyncStatus />
+            <SessionBadge />
+          </span>
         </nav>
         <div style={{flex:1, minHeight:0}}>
           <Routes>
-            <Route path="/" element={<Tracker />} />
-            <Route path="/view" element={<Viewer />} />
-            <Route path="/reports" element={<Reports />} />
+            <Route path="/" element={<RequireAuth roles={["admin", "operator"]}><Tracker /></RequireAuth>} />
+            <Route path="/view" element={<RequireAuth><Viewer /></RequireAuth>} />
+            <Route path="/view/:code" element={<SharedTrackViewer />} />
+            <Route path="/reports" element={<RequireAuth><ReportsPage /></RequireAuth>} />
+            <Route path="/reports/:id" element={<RequireAuth><ReportDetail /></RequireAuth>} />
+            <Route path="/stats" element={<RequireAuth><StatsPage /></RequireAuth>} />
+            <Route path="/offline" element={<RequireAuth><OfflineMapsPage /></RequireAuth>} />
+            <Route path="/replay/:id" element={<ReplayPage />} />
           </Routes>
         </div>
       </div>
@@ -0,0 +1,79 @@
+import React, { useState } from "react";
+import { decodeMessage, decoderNames, loadDecoderProfiles, saveDecoderProfiles } from "../lib/telemetry";
+
+const EXAMPLE = [
+  { name: "Vendor A (nested JSON)", match: { topic: "devices/+/telemetry" }, decoder: "json",
+    fields: { lat: "gps.la", lon: "gps.lo", speedKmh: { path: "gps.spd", scale: 3.6 }, battery: "pwr.pct" } },
+  { name: "Vendor B (NMEA)", match: { device: "collar-07" }, decoder: "nmea" },
+  { name: "Vendor C (CSV)", match: { topic: "vendorc/#" }, decoder: "csv", columns: ["lat", "lon", "sats", "hdop", "battery"] },
+];
+
+// Per-device payload mapping profiles (see lib/telemetry). Applied on the next connect.
+export default function DecoderSettings() {
+  const [text, setText] = useState(() => JSON.stringify(loadDecoderProfiles(), null, 2));
+  const [error, setError] = useState("");
+  const [saved, setSaved] = useState(false);
+  const [sample, setSample] = useState({ topic: "devices/esp-shelby-01/telemetry", payload: "" });
+
+  const parse = () => {
+    const v = JSON.parse(text || "[]");
+    if (!Array.isArray(v)) throw new Error("Profiles must be a JSON array");
+    return v;
+  };
+
+  const onSave = () => {
+    try {
+      saveDecoderProfiles(parse());
+      setError(""); setSaved(true);
+    } catch (e) {
+      setError(e.message || String(e)); setSaved(false);
+    }
+  };
+
+  let preview = null;
+  if (sample.payload.trim()) {
+    try {
+      preview = decodeMessage(sample.topic, sample.payload, parse());
+    } catch (e) {
+      preview = { error: e.message || String(e) };
+    }
+  }
+
+  return (
+    <details style={{marginTop:8, fontSize:12}}>
+      <summary style={{cursor:'pointer', fontWeight:600}}>Payload decoders</summary>
+      <div style={{color:'#6b7280', marginTop:4}}>
+        Decoders: {decoderNames().join(", ")}. Unmatched topics use "auto" (JSON, NMEA GGA/RMC or lat,lon CSV).
+      </div>
+      <textarea
+        value={text}
+        onChange={(e) => { setText(e.target.value); setSaved(false); }}
+        rows={8}
+        spellCheck={false}
+        style={{width:'100%', fontFamily:'monospace', fontSize:11, marginTop:6}}
+      />
+      <div style={{display:'flex', gap:6, alignItems:'center'}}>
+        <button onClick={onSave} style={{padding:'2px 8px', borderRadius:8}}>Save</button>
+        <button onClick={() => { setText(JSON.stringify(EXAMPLE, null, 2)); setSaved(false); }} style={{padding:'2px 8px', borderRadius:8}}>Example</button>
+        {saved && <span style={{color:'#059669'}}>Saved — reconnect to apply</span>}
+      </div>
+      {error && <div style={{color:'#b91c1c', marginTop:4}}>{error}</div>}
+
+      <div style={{marginTop:6, fontWeight:600}}>Test a payload</div>
+      <input value={sample.topic} onChange={(e) => setSample({ ...sample, topic: e.target.value })} style={{width:'100%'}} />
+      <textarea
+        value={sample.payload}
+        onChange={(e) => setSample({ ...sample, payload: e.target.value })}
+        rows={2}
+        placeholder="$GPGGA,... or {...} or 30.1,-97.2"
+        style={{width:'100%', fontFamily:'monospace', fontSize:11}}
+      />
+      {preview && (
+        <pre style={{margin:0, padding:6, background:'#f1f5f9', borderRadius:6, whiteSpace:'pre-wrap', fontSize:11}}>
+          {JSON.stringify(preview.error ? preview : { ...preview, raw: undefined }, null, 1)}
+        </pre>
+      )}
+      {sample.payload.trim() && !preview && <div style={{color:'#b91c1c'}}>No decoder understood that payload.</div>}
+    </details>
+  );
+}
@@ -0,0 +1,91 @@
+import React from "react";
+import { prettyAge } from "../lib/format";
+import { fixQuality, lastBattery, msgRate } from "../lib/deviceHealth";
+
+const QUALITY_COLOR = { none: "#ef4444", poor: "#f97316", fair: "#eab308", good: "#22c55e" };
+
+// Tiny inline SVG line for the last N samples of one metric
+export function Sparkline({ values, width = 56, height = 16, color = "#2563eb" }) {
+  const v = values.filter(Number.isFinite);
+  if (v.length < 2) return <span style={{display:'inline-block', width, color:'#cbd5e1'}}>—</span>;
+  const min = Math.min(...v), max = Math.max(...v);
+  const span = max - min || 1;
+  const pts = v.map((y, i) => `${(i / (v.length - 1)) * width},${height - 1 - ((y - min) / span) * (height - 2)}`).join(" ");
+  return (
+    <svg width={width} height={height} style={{verticalAlign:'middle'}}>
+      <polyline points={pts} fill="none" stroke={color} strokeWidth="1.5" />
+    </svg>
+  );
+}
+
+const fmt = (v, unit = "", digits = 0) => (Number.isFinite(v) ? `${v.toFixed(digits)}${unit}` : "—");
+
+// Loud banner for unacknowledged stale / low-battery alerts
+export function HealthAlertBanner({ alerts, onAcknowledge }) {
+  if (!alerts.length) return null;
+  return (
+    <div style={{marginTop:8, padding:10, background:'#fef2f2', border:'2px solid #dc2626', borderRadius:12, fontSize:12, maxWidth:420}}>
+      <div style={{display:'flex', alignItems:'center', gap:6}}>
+        <b style={{color:'#b91c1c'}}>Device alert</b>
+        <button onClick={onAcknowledge} style={{marginLeft:'auto', padding:'2px 8px', borderRadius:8}}>Acknowledge</button>
+      </div>
+      {alerts.map((a) => <div key={a.key}>{a.type === "stale" ? "⚠ " : "🔋 "}{a.message}</div>)}
+    </div>
+  );
+}
+
+/**
+ * Health table for every known device: battery, signal, sats, fix quality,
+ * message rate and last seen, each with a short history sparkline.
+ */
+export function DeviceHealthPanel({ devices, now, alerts = [], config, onConfigChange }) {
+  const list = Object.values(devices);
+  const alerting = new Set(alerts.map((a) => a.device));
+  const set = (k, v) => onConfigChange({ ...config, [k]: v });
+
+  return (
+    <details style={{marginTop:8, padding:12, background:'rgba(255,255,255,0.95)', border:'1px solid #e5e7eb', borderRadius:16, boxShadow:'0 4px 16px rgba(0,0,0,.08)', fontSize:12, maxWidth:420}}>
+      <summary style={{cursor:'pointer', fontWeight:600}}>
+        Device health{list.length ? ` (${list.length})` : ""}
+        {alerts.length > 0 && <span style={{color:'#b91c1c', fontWeight:400}}> · {alerts.length} alert{alerts.length === 1 ? "" : "s"}</span>}
+      </summary>
+
+      {!list.length && <div style={{marginTop:6, color:'#6b7280'}}>No devices heard yet.</div>}
+      {list.map((d) => {
+        const h = d.history || [];
+        const q = fixQuality(d.latest);
+        return (
+          <div key={d.id} style={{marginTop:8, paddingTop:6, borderTop:'1px solid #f1f5f9'}}>
+            <div style={{display:'flex', alignItems:'center', gap:6}}>
+              <span style={{width:10, height:10, borderRadius:'50%', background:d.color}}></span>
+              <b style={{flex:1, wordBreak:'break-all', color: alerting.has(d.id) ? '#b91c1c' : undefined}}>{d.id}</b>
+              <span style={{color:'#6b7280'}}>seen {prettyAge(now - d.lastSeen)} ago</span>
+            </div>
+            <div style={{display:'grid', gridTemplateColumns:'auto 1fr auto', columnGap:8, rowGap:2, alignItems:'center', marginTop:4}}>
+              <span>Battery</span><Sparkline values={h.map((s) => s.battery)} color="#16a34a" /><span>{fmt(lastBattery(d), "%")}</span>
+              <span>Signal</span><Sparkline values={h.map((s) => s.rssi)} color="#7c3aed" /><span>{fmt(d.latest?.rssi, " dBm")}</span>
+              <span>Sats</span><Sparkline values={h.map((s) => s.sats)} color="#2563eb" /><span>{fmt(d.latest?.sats)}</span>
+              <span>HDOP</span><Sparkline values={h.map((s) => s.hdop)} color="#d97706" /><span>{fmt(d.latest?.hdop, "", 1)}</span>
+              <span>Fix</span>
+              <span><span style={{display:'inline-block', width:8, height:8, borderRadius:'50%', background:QUALITY_COLOR[q], marginRight:4}}></span>{q}</span>
+              <span>{fmt(msgRate(h, now), "/min", 1)}</span>
+            </div>
+          </div>
+        );
+      })}
+
+      <div style={{display:'grid', gridTemplateColumns:'1fr 1fr', gap:8, marginTop:10}}>
+        <label>Stale after (s)
+          <input type="number" min={0} value={config.staleSec} onChange={(e) => set("staleSec", Number(e.target.value))} style={{width:'100%'}} />
+        </label>
+        <label>Low battery (%)
+          <input type="number" min={0} max={100} value={config.lowBattery} onChange={(e) => set("lowBattery", Number(e.target.value))} style={{width:'100%'}} />
+        </label>
+      </div>
+      <label style={{display:'flex', alignItems:'center', gap:6, marginTop:6}}>
+        <input type="checkbox" checked={config.sound} onChange={(e) => set("sound", e.target.checked)} /> Sound on new alerts
+      </label>
+      <div style={{color:'#6b7280', marginTop:2}}>Stale-device alerts only fire while a track is running.</div>
+    </details>
+  );
+}
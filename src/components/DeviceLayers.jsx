@@ -0,0 +1,60 @@
+import React, { useEffect, useState } from "react";
+import { CircleMarker, Polyline, Tooltip } from "react-leaflet";
+import { prettyAge } from "../lib/format";
+
+// Map layers: one colored marker + short trail per visible device
+export function DeviceLayers({ devices, hidden = {}, follow = null }) {
+  return (
+    <>
+      {Object.values(devices).filter((d) => !hidden[d.id] && d.last).map((d) => (
+        <React.Fragment key={d.id}>
+          {d.trail.length > 1 && (
+            <Polyline positions={d.trail} pathOptions={{ color: d.color, weight: 3, opacity: 0.6 }} />
+          )}
+          <CircleMarker
+            center={[d.last.lat, d.last.lon]}
+            radius={follow === d.id ? 10 : 8}
+            pathOptions={{ color: d.color, fillColor: d.color, fillOpacity: 0.8, weight: follow === d.id ? 3 : 2 }}
+          >
+            <Tooltip>{d.id}</Tooltip>
+          </CircleMarker>
+        </React.Fragment>
+      ))}
+    </>
+  );
+}
+
+// Legend with last-seen age and hide / follow toggles
+export function DeviceLegend({ devices, hidden = {}, follow = null, onToggleHidden, onToggleFollow }) {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  const list = Object.values(devices);
+  if (!list.length) return null;
+
+  return (
+    <div style={{marginTop:8, padding:12, background:'rgba(255,255,255,0.95)', border:'1px solid #e5e7eb', borderRadius:16, boxShadow:'0 4px 16px rgba(0,0,0,.08)', fontSize:12, maxWidth:420}}>
+      <div style={{fontWeight:600, marginBottom:6}}>Devices</div>
+      {list.map((d) => (
+        <div key={d.id} style={{display:'flex', alignItems:'center', gap:6, marginBottom:4, opacity: hidden[d.id] ? 0.5 : 1}}>
+          <span style={{width:10, height:10, borderRadius:'50%', background:d.color, flex:'none'}}></span>
+          <span style={{flex:1, wordBreak:'break-all'}}>{d.id}</span>
+          {Number.isFinite(d.latest?.battery) && <span style={{color: d.latest.battery < 20 ? '#b91c1c' : '#6b7280'}}>{Math.round(d.latest.battery)}%</span>}
+          <span style={{color:'#6b7280'}}>{prettyAge(now - d.lastSeen)}</span>
+          <button onClick={() => onToggleHidden?.(d.id)} style={{padding:'2px 6px', borderRadius:8}}>
+            {hidden[d.id] ? "Show" : "Hide"}
+          </button>
+          <button
+            onClick={() => onToggleFollow?.(d.id)}
+            style={{padding:'2px 6px', borderRadius:8, background: follow === d.id ? '#111' : undefined, color: follow === d.id ? '#fff' : undefined}}
+          >
+            {follow === d.id ? "Following" : "Follow"}
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+import React from "react";
+import { prettyDistance } from "../lib/format";
+
+// Elevation vs. distance along the track, from the DEM profile saved by finish
+export default function ElevationProfile({ elevation, width = 360, height = 80 }) {
+  const pts = (elevation?.profile || []).filter((s) => Number.isFinite(s.ele));
+  if (pts.length < 2) return null;
+  const { min, max } = elevation;
+  const total = pts[pts.length - 1].d || 1;
+  const span = max - min || 1;
+  const x = (s) => (s.d / total) * width;
+  const y = (s) => height - 2 - ((s.ele - min) / span) * (height - 4);
+  const line = pts.map((s) => `${x(s).toFixed(1)},${y(s).toFixed(1)}`).join(" ");
+
+  return (
+    <div style={{marginTop:4}}>
+      <svg width="100%" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" style={{display:'block', height, background:'#fff', borderRadius:6, border:'1px solid #e5e7eb'}}>
+        <polygon points={`0,${height} ${line} ${width},${height}`} fill="#bbf7d0" />
+        <polyline points={line} fill="none" stroke="#15803d" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div style={{display:'flex', justifyContent:'space-between', color:'#6b7280'}}>
+        <span>{Math.round(min)}–{Math.round(max)} m</span>
+        {elevation.coverage < 1 && <span>DEM covers {Math.round(elevation.coverage * 100)}% of points</span>}
+        <span>{prettyDistance(total)}</span>
+      </div>
+    </div>
+  );
+}
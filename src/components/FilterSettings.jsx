@@ -0,0 +1,55 @@
+import React from "react";
+
+const num = (v) => (v === "" ? "" : Number(v));
+
+// Breadcrumb filter settings (see lib/gpsFilter). Locked while a track runs.
+export default function FilterSettings({ config, onChange, disabled = false, stats = null }) {
+  const set = (k, v) => onChange({ ...config, [k]: v });
+  const field = (label, k, step = 1) => (
+    <label style={{fontSize:12}}>{label}
+      <input
+        type="number"
+        step={step}
+        value={config[k]}
+        disabled={disabled || !config.enabled}
+        onChange={(e) => set(k, num(e.target.value))}
+        style={{width:'100%'}}
+      />
+    </label>
+  );
+
+  return (
+    <details style={{marginTop:8}}>
+      <summary style={{cursor:'pointer', fontWeight:600}}>
+        GPS filter {config.enabled ? "on" : "off"}
+        {stats && stats.received > 0 && (
+          <span style={{fontWeight:400, color:'#6b7280'}}> · kept {stats.accepted}/{stats.received}</span>
+        )}
+      </summary>
+      <label style={{display:'flex', alignItems:'center', gap:6, marginTop:6}}>
+        <input type="checkbox" checked={config.enabled} disabled={disabled} onChange={(e) => set("enabled", e.target.checked)} />
+        Filter breadcrumbs (raw fixes are always kept)
+      </label>
+      <div style={{display:'grid', gridTemplateColumns:'1fr 1fr', gap:8, marginTop:6}}>
+        {field("Max speed (km/h)", "maxSpeedKmh")}
+        {field("Min movement (m)", "minMoveM", 0.5)}
+        {field("Max HDOP", "maxHdop", 0.5)}
+        {field("Min satellites", "minSats")}
+      </div>
+      <label style={{display:'flex', alignItems:'center', gap:6, marginTop:6}}>
+        <input
+          type="checkbox"
+          checked={config.kalman}
+          disabled={disabled || !config.enabled}
+          onChange={(e) => set("kalman", e.target.checked)}
+        />
+        Kalman smoothing
+      </label>
+      {stats && stats.received > 0 && (
+        <div style={{marginTop:4, color:'#6b7280'}}>
+          Rejected: {stats.quality} low quality · {stats.speed} too fast · {stats.jitter} jitter
+        </div>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,208 @@
+import React, { useEffect, useState } from "react";
+import { Circle, CircleMarker, Polygon, Polyline, useMapEvents } from "react-leaflet";
+import { apiFetch } from "../lib/api";
+import { haversine } from "../lib/geo";
+import { FENCE_RULES, describeCrossing, newFenceId } from "../lib/geofence";
+
+const RULE_COLOR = { keep_in: "#16a34a", keep_out: "#dc2626" };
+
+// Map layers: saved fences plus the one being drawn
+export function GeofenceLayers({ fences = [], draft = null }) {
+  return (
+    <>
+      {fences.map((f) => {
+        const opts = { color: RULE_COLOR[f.rule], weight: 2, fillOpacity: 0.08 };
+        return f.shape.type === "circle"
+          ? <Circle key={f.id} center={f.shape.center} radius={f.shape.radius_m} pathOptions={opts} />
+          : <Polygon key={f.id} positions={f.shape.points} pathOptions={opts} />;
+      })}
+      {draft?.type === "polygon" && draft.points.length > 0 && (
+        <>
+          <Polyline positions={draft.points} pathOptions={{ color: "#111", weight: 2, dashArray: "4 4" }} />
+          {draft.points.map((p, i) => <CircleMarker key={i} center={p} radius={3} pathOptions={{ color: "#111" }} />)}
+        </>
+      )}
+      {draft?.type === "circle" && draft.center && (
+        <>
+          <CircleMarker center={draft.center} radius={3} pathOptions={{ color: "#111" }} />
+          {draft.radius_m > 0 && <Circle center={draft.center} radius={draft.radius_m} pathOptions={{ color: "#111", weight: 2, dashArray: "4 4" }} />}
+        </>
+      )}
+    </>
+  );
+}
+
+// Map clicks while drawing: polygon adds a vertex; circle sets center, then radius
+export function GeofenceDrawer({ draft, setDraft }) {
+  useMapEvents({
+    click(e) {
+      if (!draft) return;
+      const p = [e.latlng.lat, e.latlng.lng];
+      if (draft.type === "polygon") setDraft({ ...draft, points: [...draft.points, p] });
+      else if (!draft.center) setDraft({ ...draft, center: p });
+      else setDraft({ ...draft, radius_m: Math.round(haversine({ lat: draft.center[0], lon: draft.center[1] }, { lat: p[0], lon: p[1] })) });
+    },
+  });
+  return null;
+}
+
+// Unacknowledged crossings
+export function GeofenceAlertBanner({ alerts, onAcknowledge }) {
+  if (!alerts.length) return null;
+  const bad = alerts.some((a) => a.violation);
+  return (
+    <div style={{marginTop:8, padding:10, background: bad ? '#fef2f2' : '#eff6ff', border:`2px solid ${bad ? '#dc2626' : '#2563eb'}`, borderRadius:12, fontSize:12, maxWidth:420}}>
+      <div style={{display:'flex', alignItems:'center', gap:6}}>
+        <b style={{color: bad ? '#b91c1c' : '#1d4ed8'}}>Geofence</b>
+        <button onClick={onAcknowledge} style={{marginLeft:'auto', padding:'2px 8px', borderRadius:8}}>Acknowledge</button>
+      </div>
+      {alerts.map((a, i) => (
+        <div key={i} style={{color: a.violation ? '#b91c1c' : undefined}}>
+          {new Date(a.ts).toLocaleTimeString()} · {describeCrossing(a)}{a.violation ? " (violation)" : ""}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const shapeComplete = (d) =>
+  d && (d.type === "polygon" ? d.points.length >= 3 : d.center && d.radius_m > 0);
+
+/**
+ * Fences for the current track: draw a polygon / circle, load a saved area,
+ * save one for reuse, and the crossing log.
+ */
+export function GeofencePanel({ fences = [], onChange = () => {}, draft, setDraft, events = [] }) {
+  const [name, setName] = useState("");
+  const [rule, setRule] = useState("keep_in");
+  const [areas, setAreas] = useState([]);
+  const [error, setError] = useState("");
+
+  const loadAreas = async () => {
+    try {
+      const r = await apiFetch("/api/geofences/list");
+      const js = await r.json().catch(() => ({}));
+      if (!r.ok || js.error) throw new Error(js.error || `HTTP ${r.status}`);
+      setAreas(js.areas || []);
+    } catch (e) {
+      setError(e.message || String(e));
+    }
+  };
+  useEffect(() => { loadAreas(); }, []);
+
+  const finish = () => {
+    const shape = draft.type === "polygon"
+      ? { type: "polygon", points: draft.points }
+      : { type: "circle", center: draft.center, radius_m: draft.radius_m };
+    onChange([...fences, { id: newFenceId(), name: name.trim() || `Area ${fences.length + 1}`, rule, shape }]);
+    setDraft(null); setName("");
+  };
+
+  const saveArea = async (f) => {
+    setError("");
+    try {
+      const r = await apiFetch("/api/geofences/create", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name: f.name, rule: f.rule, shape: f.shape }),
+      });
+      const js = await r.json().catch(() => ({}));
+      if (!r.ok || js.error) throw new Error(js.error || `HTTP ${r.status}`);
+      setAreas((a) => [...a, js.area]);
+    } catch (e) {
+      setError(e.message || String(e));
+    }
+  };
+
+  const deleteArea = async (id) => {
+    setError("");
+    try {
+      const r = await apiFetch("/api/geofences/delete", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ id }),
+      });
+      const js = await r.json().catch(() => ({}));
+      if (!r.ok || js.error) throw new Error(js.error || `HTTP ${r.status}`);
+      setAreas((a) => a.filter((x) => x.id !== id));
+    } catch (e) {
+      setError(e.message || String(e));
+    }
+  };
+
+  const addArea = (id) => {
+    const a = areas.find((x) => x.id === id);
+    if (a) onChange([...fences, { id: newFenceId(), area_id: a.id, name: a.name, rule: a.rule, shape: a.shape }]);
+  };
+
+  return (
+    <div style={{marginTop:8, padding:8, border:'1px dashed #94a3b8', borderRadius:8}}>
+      <div style={{fontWeight:600, marginBottom:4}}>Geofences</div>
+
+      {fences.map((f) => (
+        <div key={f.id} style={{display:'flex', alignItems:'center', gap:6, marginBottom:2}}>
+          <span style={{width:10, height:10, borderRadius:2, background:RULE_COLOR[f.rule]}}></span>
+          <span style={{flex:1}}>{f.name} · {FENCE_RULES[f.rule]} · {f.shape.type}</span>
+          {!f.area_id && <button onClick={() => saveArea(f)} style={{padding:'2px 6px', borderRadius:8}}>Save</button>}
+          <button onClick={() => onChange(fences.filter((x) => x.id !== f.id))} style={{padding:'2px 6px', borderRadius:8}}>Remove</button>
+        </div>
+      ))}
+
+      {draft ? (
+        <div style={{marginTop:4}}>
+          <div style={{color:'#6b7280'}}>
+            {draft.type === "polygon"
+              ? `Click the map to add corners (${draft.points.length} so far).`
+              : !draft.center ? "Click the map to set the center." : "Click again to set the radius."}
+          </div>
+          <div style={{display:'flex', gap:6, marginTop:4}}>
+            <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Name" style={{flex:1}} />
+            <select value={rule} onChange={(e) => setRule(e.target.value)}>
+              {Object.entries(FENCE_RULES).map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+            </select>
+          </div>
+          <div style={{display:'flex', gap:6, marginTop:4}}>
+            <button disabled={!shapeComplete(draft)} onClick={finish} style={{padding:'2px 8px', borderRadius:8, background:'#111', color:'#fff'}}>Done</button>
+            <button onClick={() => setDraft(null)} style={{padding:'2px 8px', borderRadius:8}}>Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <div style={{display:'flex', flexWrap:'wrap', gap:6, marginTop:4}}>
+          <button onClick={() => setDraft({ type: "polygon", points: [] })} style={{padding:'2px 8px', borderRadius:8}}>Draw polygon</button>
+          <button onClick={() => setDraft({ type: "circle", center: null, radius_m: 0 })} style={{padding:'2px 8px', borderRadius:8}}>Draw circle</button>
+          {areas.length > 0 && (
+            <select value="" onChange={(e) => addArea(e.target.value)}>
+              <option value="" disabled>Load saved area…</option>
+              {areas.map((a) => <option key={a.id} value={a.id}>{a.name} ({FENCE_RULES[a.rule]})</option>)}
+            </select>
+          )}
+        </div>
+      )}
+
+      {areas.length > 0 && (
+        <details style={{marginTop:4}}>
+          <summary style={{cursor:'pointer', color:'#6b7280'}}>Saved areas ({areas.length})</summary>
+          {areas.map((a) => (
+            <div key={a.id} style={{display:'flex', alignItems:'center', gap:6}}>
+              <span style={{flex:1}}>{a.name}</span>
+              <button onClick={() => deleteArea(a.id)} style={{padding:'0 6px', borderRadius:6}}>Delete</button>
+            </div>
+          ))}
+        </details>
+      )}
+
+      {events.length > 0 && (
+        <div style={{marginTop:6}}>
+          <div style={{fontWeight:600}}>Crossings</div>
+          {events.slice(-8).map((e, i) => (
+            <div key={i} style={{color: e.violation ? '#b91c1c' : '#334155'}}>
+              {new Date(e.ts).toLocaleTimeString()} · {describeCrossing(e)}
+            </div>
+          ))}
+          {events.length > 8 && <div style={{color:'#6b7280'}}>…{events.length - 8} earlier</div>}
+        </div>
+      )}
+      {error && <div style={{marginTop:4, color:'#b91c1c'}}>{error}</div>}
+    </div>
+  );
+}
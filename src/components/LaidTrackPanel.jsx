@@ -0,0 +1,89 @@
+import React, { useState } from "react";
+import { parseTrackFile } from "../lib/trackFiles";
+import { apiFetch } from "../lib/api";
+
+const UUID_RE = /^[0-9a-f-]{36}$/i;
+
+// Load a stored track by id or report number and return its points
+async function fetchRecordedTrack(ref) {
+  let id = ref;
+  if (!UUID_RE.test(ref)) {
+    const r = await apiFetch(`/api/tracks/resolve?report_no=${encodeURIComponent(ref)}`);
+    const js = await r.json().catch(() => ({}));
+    if (!r.ok || !js.id) throw new Error(js.error || `No track with report # ${ref}`);
+    id = js.id;
+  }
+  const r = await apiFetch(`/api/tracks/get?id=${encodeURIComponent(id)}`);
+  const row = await r.json().catch(() => ({}));
+  if (!r.ok || row.error) throw new Error(row.error || `HTTP ${r.status}`);
+  const points = Array.isArray(row.points) ? row.points : [];
+  if (points.length < 2) throw new Error("That track has no recorded points");
+  return { id: row.id, name: row.report_no || row.id, points };
+}
+
+/**
+ * Attach the tracklayer's laid track, either from a GPX/KML/GeoJSON file
+ * or from another recorded track (id or report #).
+ * Calls onChange({ source, name, laid_track_id, points }) or onChange(null).
+ */
+export default function LaidTrackPanel({ laidTrack = null, onChange = () => {} }) {
+  const [ref, setRef] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setError("");
+    try {
+      const { format, points } = parseTrackFile(await file.text(), file.name);
+      onChange({ source: format, name: file.name, laid_track_id: null, points });
+    } catch (err) {
+      setError(err.message || String(err));
+    }
+  }
+
+  async function onRecorded(e) {
+    e.preventDefault();
+    const v = ref.trim();
+    if (!v) return;
+    setBusy(true); setError("");
+    try {
+      const t = await fetchRecordedTrack(v);
+      onChange({ source: "track", name: t.name, laid_track_id: t.id, points: t.points });
+      setRef("");
+    } catch (err) {
+      setError(err.message || String(err));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div style={{marginTop:8, padding:8, border:'1px dashed #94a3b8', borderRadius:8}}>
+      <div style={{fontWeight:600, marginBottom:4}}>Laid track</div>
+      {laidTrack ? (
+        <div style={{display:'flex', alignItems:'center', gap:6}}>
+          <span style={{width:10, height:3, background:'#f97316', display:'inline-block'}}></span>
+          <span style={{flex:1, wordBreak:'break-all'}}>{laidTrack.name} · {laidTrack.points.length} pts</span>
+          <button onClick={() => onChange(null)} style={{padding:'2px 8px', borderRadius:8}}>Remove</button>
+        </div>
+      ) : (
+        <>
+          <input type="file" accept=".gpx,.kml,.geojson,.json" onChange={onFile} style={{fontSize:12}} />
+          <form onSubmit={onRecorded} style={{display:'flex', gap:6, marginTop:6}}>
+            <input
+              value={ref}
+              onChange={(e) => setRef(e.target.value)}
+              placeholder="or recorded track: report # or id"
+              style={{flex:1}}
+            />
+            <button disabled={busy} style={{padding:'2px 8px', borderRadius:8}}>{busy ? "…" : "Load"}</button>
+          </form>
+        </>
+      )}
+      {error && <div style={{marginTop:4, color:'#b91c1c'}}>{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React from "react";
+import { DIFFICULTIES, SURFACES } from "../lib/laying";
+
+// ISO <-> value of <input type="datetime-local"> (local time, minutes)
+const toLocalInput = (iso) => {
+  if (!iso) return "";
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+const fromLocalInput = (v) => (v ? new Date(v).toISOString() : null);
+const count = (v) => (v === "" ? null : Math.max(0, Math.round(Number(v))));
+
+/**
+ * Laying metadata entered before Start (laid-at time, tracklayer, surfaces,
+ * turns, articles, difficulty). Track age is computed from laid-at.
+ */
+export default function LayingPanel({ laying, onChange, ageLabel = null }) {
+  const set = (k, v) => onChange({ ...laying, [k]: v });
+  const toggleSurface = (s) =>
+    set("surfaces", laying.surfaces.includes(s) ? laying.surfaces.filter((x) => x !== s) : [...laying.surfaces, s]);
+
+  return (
+    <details style={{marginTop:8}} open={!laying.laid_at}>
+      <summary style={{cursor:'pointer', fontWeight:600}}>
+        Laying{ageLabel && <span style={{fontWeight:400, color:'#6b7280'}}> · age {ageLabel}</span>}
+      </summary>
+      <div style={{display:'grid', gridTemplateColumns:'1fr 1fr', gap:8, marginTop:6}}>
+        <label>Laid at
+          <div style={{display:'flex', gap:4}}>
+            <input type="datetime-local" value={toLocalInput(laying.laid_at)} onChange={(e) => set("laid_at", fromLocalInput(e.target.value))} style={{flex:1, minWidth:0}} />
+            <button onClick={() => set("laid_at", new Date().toISOString())} style={{padding:'0 6px', borderRadius:6}}>Now</button>
+          </div>
+        </label>
+        <label>Tracklayer
+          <input value={laying.tracklayer || ""} onChange={(e) => set("tracklayer", e.target.value)} style={{width:'100%'}} />
+        </label>
+        <label>Turns
+          <input type="number" min={0} value={laying.turns ?? ""} onChange={(e) => set("turns", count(e.target.value))} style={{width:'100%'}} />
+        </label>
+        <label>Articles placed
+          <input type="number" min={0} value={laying.articles ?? ""} onChange={(e) => set("articles", count(e.target.value))} style={{width:'100%'}} />
+        </label>
+        <label style={{gridColumn:'1 / -1'}}>Difficulty
+          <select value={laying.difficulty ?? ""} onChange={(e) => set("difficulty", e.target.value ? Number(e.target.value) : null)} style={{width:'100%'}}>
+            <option value="">—</option>
+            {Object.entries(DIFFICULTIES).map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+          </select>
+        </label>
+      </div>
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, marginTop:6}}>
+        {Object.entries(SURFACES).map(([s, label]) => (
+          <label key={s} style={{display:'flex', alignItems:'center', gap:4}}>
+            <input type="checkbox" checked={laying.surfaces.includes(s)} onChange={() => toggleSurface(s)} /> {label}
+          </label>
+        ))}
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,184 @@
+import React, { useEffect, useRef, useState } from "react";
+import { MapContainer, Rectangle, useMapEvents } from "react-leaflet";
+import OfflineTileLayer from "./OfflineTileLayer";
+import {
+  BULK_DOWNLOAD_ALLOWED, MAX_TILES_PER_AREA, MAX_ZOOM, cacheUsage, deleteArea, downloadArea, estimateArea,
+  listAreas, loadBudgetMB, saveBudgetMB,
+} from "../lib/tileCache";
+
+const mb = (bytes) => `${(bytes / 1048576).toFixed(1)} MB`;
+const btn = { padding: "6px 10px", borderRadius: 10, border: "1px solid #e5e7eb", background: "#fff", color: "#111" };
+const rect = (b) => [[b.south, b.west], [b.north, b.east]];
+
+function ViewWatcher({ onChange }) {
+  const map = useMapEvents({
+    moveend: () => onChange(map),
+    zoomend: () => onChange(map),
+  });
+  useEffect(() => { onChange(map); }, [map]);
+  return null;
+}
+
+// Download map tiles for a training / search area before heading out of coverage
+export default function OfflineMapsPage() {
+  const mapRef = useRef(null);
+  const [view, setView] = useState(null); // { bounds, zoom }
+  const [name, setName] = useState("");
+  const [minZoom, setMinZoom] = useState(12);
+  const [maxZoom, setMaxZoom] = useState(16);
+  const [areas, setAreas] = useState([]);
+  const [usage, setUsage] = useState({ tiles: 0, bytes: 0 });
+  const [budget, setBudget] = useState(loadBudgetMB);
+  const [progress, setProgress] = useState(null); // { done, total, bytes, failed }
+  const [error, setError] = useState("");
+  const abortRef = useRef(null);
+
+  const refresh = () =>
+    Promise.all([listAreas(), cacheUsage()])
+      .then(([a, u]) => { setAreas(a); setUsage(u); })
+      .catch((e) => setError(e.message || String(e)));
+  useEffect(() => { refresh(); }, []);
+
+  const onView = (map) => {
+    mapRef.current = map;
+    const b = map.getBounds();
+    setView({ bounds: { south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() }, zoom: map.getZoom() });
+  };
+
+  const est = view ? estimateArea(view.bounds, minZoom, maxZoom) : null;
+  const tooBig = est && est.tiles > MAX_TILES_PER_AREA;
+
+  const onDownload = async () => {
+    if (!view) return;
+    setError("");
+    const ctl = new AbortController();
+    abortRef.current = ctl;
+    setProgress({ done: 0, total: est.tiles, bytes: 0, failed: 0 });
+    try {
+      // Ask the browser not to evict the cache under storage pressure
+      await navigator.storage?.persist?.().catch(() => {});
+      const area = await downloadArea(
+        { name: name.trim() || `Area ${new Date().toLocaleDateString()}`, bounds: view.bounds, minZoom, maxZoom },
+        { onProgress: setProgress, signal: ctl.signal },
+      );
+      if (area.note) setError(area.note);
+      else if (area.failed) setError(`${area.failed} tiles could not be downloaded.`);
+      setName("");
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+      refresh();
+    }
+  };
+
+  const onDelete = async (a) => {
+    if (!confirm(`Delete offline area "${a.name}"?`)) return;
+    try {
+      await deleteArea(a.id);
+    } catch (e) {
+      setError(e.message || String(e));
+    }
+    refresh();
+  };
+
+  const onBudget = (v) => {
+    const n = Math.max(10, Number(v) || 0);
+    setBudget(n);
+    saveBudgetMB(n);
+  };
+
+  const zoomSelect = (value, set) => (
+    <select value={value} onChange={(e) => set(Number(e.target.value))} disabled={!!progress}>
+      {Array.from({ length: MAX_ZOOM + 1 }, (_, z) => <option key={z} value={z}>{z}</option>)}
+    </select>
+  );
+
+  return (
+    <div style={{ padding: 16, height: "100%", overflow: "auto" }}>
+      <h2 style={{ fontWeight: 700, fontSize: 20, marginBottom: 8 }}>Offline maps</h2>
+      <div style={{ display: "grid", gridTemplateColumns: "2fr minmax(280px, 1fr)", gap: 16 }}>
+        <div style={{ height: 480, borderRadius: 12, overflow: "hidden", border: "1px solid #e5e7eb" }}>
+          <MapContainer
+            center={[30, -97]}
+            zoom={13}
+            style={{ height: "100%", width: "100%" }}
+          >
+            <OfflineTileLayer />
+            <ViewWatcher onChange={onView} />
+            {areas.map((a) => (
+              <Rectangle key={a.id} bounds={rect(a.bounds)} pathOptions={{ color: a.complete ? "#059669" : "#f59e0b", weight: 2, fillOpacity: 0.05 }} />
+            ))}
+          </MapContainer>
+        </div>
+
+        <div style={{ fontSize: 13, display: "grid", gap: 8, alignContent: "start" }}>
+          <div style={{ color: "#475569" }}>
+            Pan and zoom the map to the area you need, pick a zoom range and download. Downloaded tiles are used by every map in the app, online or not.
+          </div>
+          {!BULK_DOWNLOAD_ALLOWED && (
+            <div style={{ color: "#b45309" }}>
+              Maps come from the public OpenStreetMap servers, which don't allow bulk downloads, so each area is limited to {MAX_TILES_PER_AREA} tiles. Ask your admin to set up a tile server (VITE_TILE_URL) for larger areas.
+            </div>
+          )}
+          <label>Name
+            <input value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g. Quarry search sector" disabled={!!progress} style={{ width: "100%" }} />
+          </label>
+          <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <label>Zoom from {zoomSelect(minZoom, (z) => { setMinZoom(z); if (z > maxZoom) setMaxZoom(z); })}</label>
+            <label>to {zoomSelect(maxZoom, (z) => { setMaxZoom(z); if (z < minZoom) setMinZoom(z); })}</label>
+            {view && <span style={{ color: "#6b7280" }}>(map at {view.zoom})</span>}
+          </div>
+          {est && (
+            <div style={{ color: tooBig ? "#b91c1c" : "#111" }}>
+              {est.tiles.toLocaleString()} tiles, about {mb(est.bytes)}
+              {tooBig && ` — over the ${MAX_TILES_PER_AREA.toLocaleString()} tile limit`}
+            </div>
+          )}
+          {progress ? (
+            <div>
+              <div style={{ height: 8, background: "#e5e7eb", borderRadius: 4, overflow: "hidden" }}>
+                <div style={{ width: `${(100 * progress.done) / Math.max(1, progress.total)}%`, height: "100%", background: "#2563eb" }}></div>
+              </div>
+              <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 4 }}>
+                <span>{progress.done}/{progress.total} tiles, {mb(progress.bytes)}{progress.failed ? `, ${progress.failed} failed` : ""}</span>
+                <button onClick={() => abortRef.current?.abort()} style={{ ...btn, marginLeft: "auto" }}>Cancel</button>
+              </div>
+            </div>
+          ) : (
+            <button onClick={onDownload} disabled={!view || tooBig} style={{ ...btn, background: "#111", color: "#fff" }}>Download this area</button>
+          )}
+          {error && <div style={{ color: "#b91c1c" }}>{error}</div>}
+
+          <div style={{ borderTop: "1px solid #e5e7eb", paddingTop: 8 }}>
+            <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              <b>Storage:</b> {mb(usage.bytes)} of
+              <input type="number" min={10} step={50} value={budget} onChange={(e) => onBudget(e.target.value)} style={{ width: 70 }} /> MB
+            </div>
+            <div style={{ height: 6, background: "#e5e7eb", borderRadius: 3, overflow: "hidden", marginTop: 4 }}>
+              <div style={{ width: `${Math.min(100, (100 * usage.bytes) / (budget * 1048576))}%`, height: "100%", background: usage.bytes > budget * 1048576 ? "#dc2626" : "#059669" }}></div>
+            </div>
+          </div>
+
+          <div style={{ display: "grid", gap: 6 }}>
+            {!areas.length && <div style={{ color: "#6b7280" }}>No areas downloaded yet.</div>}
+            {areas.map((a) => (
+              <div key={a.id} style={{ border: "1px solid #e5e7eb", borderRadius: 10, padding: 8 }}>
+                <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                  <b>{a.name}</b>
+                  {!a.complete && <span style={{ color: "#b45309", fontSize: 12 }}>partial</span>}
+                  <button onClick={() => mapRef.current?.fitBounds(rect(a.bounds))} style={{ ...btn, padding: "2px 8px", marginLeft: "auto" }}>Show</button>
+                  <button onClick={() => onDelete(a)} disabled={!!progress} style={{ ...btn, padding: "2px 8px", color: "#b91c1c" }}>Delete</button>
+                </div>
+                <div style={{ color: "#6b7280", fontSize: 12 }}>
+                  Zoom {a.minZoom}–{a.maxZoom} · {a.tiles.toLocaleString()} tiles · {mb(a.bytes)} · {new Date(a.createdAt).toLocaleDateString()}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
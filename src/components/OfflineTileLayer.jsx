@@ -0,0 +1,37 @@
+import { useEffect } from "react";
+import { useMap } from "react-leaflet";
+import * as L from "leaflet";
+import { TILE_ATTRIBUTION, TILE_URL, getTile } from "../lib/tileCache";
+
+// TileLayer that serves tiles downloaded for offline use (lib/tileCache.js)
+// and only falls back to the network for tiles it doesn't have
+const CachedTileLayer = L.TileLayer.extend({
+  createTile(coords, done) {
+    const tile = document.createElement("img");
+    L.DomEvent.on(tile, "load", L.Util.bind(this._tileOnLoad, this, done, tile));
+    L.DomEvent.on(tile, "error", L.Util.bind(this._tileOnError, this, done, tile));
+    tile.alt = "";
+
+    const network = () => { tile.src = this.getTileUrl(coords); };
+    getTile(this._getZoomForUrl(), coords.x, coords.y)
+      .then((blob) => {
+        if (!blob) return network();
+        const url = URL.createObjectURL(blob);
+        const revoke = () => URL.revokeObjectURL(url);
+        tile.addEventListener("load", revoke, { once: true });
+        tile.addEventListener("error", revoke, { once: true });
+        tile.src = url;
+      })
+      .catch(network);
+    return tile;
+  },
+});
+
+export default function OfflineTileLayer({ url = TILE_URL, attribution = TILE_ATTRIBUTION }) {
+  const map = useMap();
+  useEffect(() => {
+    const layer = new CachedTileLayer(url, { attribution, maxZoom: 19 }).addTo(map);
+    return () => { layer.remove(); };
+  }, [map, url, attribution]);
+  return null;
+}
@@ -0,0 +1,9 @@
+import { useEffect } from "react";
+import { useMap } from "react-leaflet";
+
+// Pan the enclosing map to lat/lon whenever they change
+export default function Recenter({ lat, lon }) {
+  const map = useMap();
+  useEffect(() => { if (Number.isFinite(lat) && Number.isFinite(lon)) map.setView([lat, lon]); }, [lat, lon, map]);
+  return null;
+}
@@ -0,0 +1,48 @@
+import React from "react";
+import { prettyAge, prettyDistance } from "../lib/format";
+
+/**
+ * Shown on load when an unfinished track is found.
+ * `local`: the IndexedDB copy (lib/trackStore), `server`: /api/tracks/active result.
+ */
+export default function RecoveryBanner({ local, server, busy = false, onResume, onFinalize, onDiscard, onCloseServer }) {
+  if (!local && !server) return null;
+  const box = {marginTop:8, padding:12, background:'#fffbeb', border:'1px solid #f59e0b', borderRadius:16, boxShadow:'0 4px 16px rgba(0,0,0,.08)', fontSize:12, maxWidth:420};
+  const btn = {padding:'6px 10px', borderRadius:10};
+
+  if (local) {
+    return (
+      <div style={box}>
+        <div style={{fontWeight:600, marginBottom:4}}>Unfinished track found</div>
+        <div>
+          Report #: <b>{local.reportNo || "pending"}</b> · started {prettyAge(Date.now() - local.startAt)} ago
+        </div>
+        <div>
+          {local.points?.length || 0} points · {prettyDistance(local.distance || 0)} · last saved {prettyAge(Date.now() - local.updatedAt)} ago
+        </div>
+        {local.trackId && server && server.id !== local.trackId && (
+          <div style={{marginTop:4, color:'#92400e'}}>Another track is also open on the server for this topic.</div>
+        )}
+        <div style={{display:'flex', gap:8, marginTop:8}}>
+          <button disabled={busy} onClick={onResume} style={{...btn, background:'#16a34a', color:'#fff'}}>Resume</button>
+          <button disabled={busy} onClick={onFinalize} style={{...btn, background:'#111', color:'#fff'}}>Finalize</button>
+          <button disabled={busy} onClick={onDiscard} style={btn}>Discard</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={box}>
+      <div style={{fontWeight:600, marginBottom:4}}>Open track on server</div>
+      <div>
+        A track for this topic was started {server.startedAt ? `${prettyAge(Date.now() - new Date(server.startedAt).getTime())} ago` : "earlier"} and never
+        finished. No points were saved on this device.
+      </div>
+      <div style={{display:'flex', gap:8, marginTop:8}}>
+        <button disabled={busy} onClick={onCloseServer} style={{...btn, background:'#111', color:'#fff'}}>Close it</button>
+        <button disabled={busy} onClick={onDiscard} style={btn}>Ignore</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { MapContainer, Polyline, CircleMarker } from "react-leaflet";
+import { prettyAge, prettyDistance, prettyDuration } from "../lib/format";
+import { apiFetch, downloadApi } from "../lib/api";
+import { sendOrQueue } from "../lib/outbox";
+import { describeConditions } from "../lib/weather";
+import { describeLaying, trackAgeMs } from "../lib/laying";
+import { useSession } from "../lib/auth";
+import SharePanel from "./SharePanel";
+import OfflineTileLayer from "./OfflineTileLayer";
+
+export default function ReportDetail() {
+  const { id } = useParams();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const [archiving, setArchiving] = useState(false);
+  const [rendering, setRendering] = useState(false);
+  const { role } = useSession();
+
+  useEffect(() => {
+    let cancelled = false;
+    setData(null); setError("");
+    apiFetch(`/api/reports/get?id=${encodeURIComponent(id)}`)
+      .then(async (r) => {
+        const js = await r.json().catch(() => ({}));
+        if (!r.ok || js.error) throw new Error(js.error || `HTTP ${r.status}`);
+        if (!cancelled) setData(js);
+      })
+      .catch((e) => { if (!cancelled) setError(e.message || String(e)); });
+    return () => { cancelled = true; };
+  }, [id]);
+
+  if (error) {
+    return (
+      <div style={{ padding: 16 }}>
+        <Link to="/reports">← Reports</Link>
+        <div style={{ marginTop: 8, color: "#b91c1c" }}>{error}</div>
+      </div>
+    );
+  }
+  if (!data) return <div style={{ padding: 16 }}>Loading…</div>;
+
+  const { report, track } = data;
+  const t = track || {};
+  const pts = (Array.isArray(t.points) ? t.points : []).filter((p) => Number.isFinite(p?.lat) && Number.isFinite(p?.lon));
+  const line = pts.map((p) => [p.lat, p.lon]);
+
+  const pdfHref = `/api/reports/pdf?id=${encodeURIComponent(report.id)}`;
+  const canArchive = role === "operator" || role === "admin";
+
+  // Render on the server and keep a copy in storage (reports.pdf_url)
+  const onArchive = async () => {
+    setArchiving(true);
+    try {
+      const r = await apiFetch(pdfHref, { method: "POST" });
+      const js = await r.json().catch(() => ({}));
+      if (!r.ok || js.error) throw new Error(js.error || `HTTP ${r.status}`);
+      setData((d) => ({ ...d, report: { ...d.report, pdf_url: js.url } }));
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      setArchiving(false);
+    }
+  };
+
+  // Re-render the stored map snapshot (tracks.snapshot_url) used by the PDF
+  const onSnapshot = async () => {
+    setRendering(true);
+    const res = await sendOrQueue({ kind: "snapshot", label: `Snapshot ${t.report_no || ""}`.trim(), url: "/api/tracks/snapshot", body: { track_id: t.id } });
+    setRendering(false);
+    if (res.queued) return alert("Offline: the snapshot will be rendered once the connection is back.");
+    if (!res.ok || res.js.error) return setError(res.js.error || `HTTP ${res.status}`);
+    setData((d) => ({ ...d, track: { ...d.track, snapshot_url: res.js.snapshot_url } }));
+  };
+
+  return (
+    <div style={{ padding: 16, height: "100%", overflow: "auto" }}>
+      <Link to="/reports">← Reports</Link>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, margin: "8px 0" }}>
+        <h2 style={{ fontWeight: 700, fontSize: 20, margin: 0 }}>Report {t.report_no || ""}</h2>
+        {report.pdf_url && (
+          <a href={report.pdf_url} target="_blank" rel="noreferrer" style={{ marginLeft: "auto", fontSize: 13 }}>Archived PDF</a>
+        )}
+        {canArchive && (
+          <button
+            onClick={onArchive}
+            disabled={archiving}
+            style={{ marginLeft: report.pdf_url ? 0 : "auto", padding: "6px 10px", borderRadius: 10 }}
+          >{archiving ? "Archiving…" : report.pdf_url ? "Re-archive" : "Archive PDF"}</button>
+        )}
+        <button
+          onClick={() => downloadApi(pdfHref, `k9-report-${t.report_no || report.id}.pdf`).catch((e) => setError(e.message))}
+          style={{ marginLeft: report.pdf_url || canArchive ? 0 : "auto", padding: "6px 10px", borderRadius: 10, background: "#111", color: "#fff", fontSize: 13 }}
+        >Download PDF</button>
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "minmax(260px, 1fr) 2fr", gap: 16 }}>
+        <div style={{ fontSize: 13, display: "grid", gap: 4, alignContent: "start" }}>
+          <div><b>Handler:</b> {report.handler}</div>
+          <div><b>K9:</b> {report.dog}</div>
+          {report.email && <div><b>Email:</b> {report.email}</div>}
+          <div><b>Created:</b> {report.created_at ? new Date(report.created_at).toLocaleString() : "—"}</div>
+          <div><b>Device:</b> {t.device_id || "—"}</div>
+          <div><b>Started:</b> {t.started_at ? new Date(t.started_at).toLocaleString() : "—"}</div>
+          <div><b>Track age:</b> {trackAgeMs(t.laying, t.started_at) != null ? prettyAge(trackAgeMs(t.laying, t.started_at)) : "—"}</div>
+          <div><b>Laying:</b> {describeLaying(t.laying)}</div>
+          <div><b>Distance:</b> {Number.isFinite(t.distance_m) ? prettyDistance(t.distance_m) : "—"}</div>
+          <div><b>Duration:</b> {Number.isFinite(t.duration_ms) ? prettyDuration(t.duration_ms) : "—"}</div>
+          <div><b>Pace:</b> {Number.isFinite(t.pace_min_per_km) ? `${t.pace_min_per_km.toFixed(2)} min/km` : "—"}</div>
+          {t.weather?.laid && <div><b>Weather (laid):</b> {describeConditions(t.weather.laid)}</div>}
+          <div><b>Weather{t.weather?.laid ? " (run)" : ""}:</b> {describeConditions(t.weather?.run || t.weather)}</div>
+          <div style={{ marginTop: 8 }}><b>Notes</b></div>
+          <div style={{ whiteSpace: "pre-wrap" }}>{report.notes || "—"}</div>
+          {t.id && (
+            <div style={{ display: "flex", gap: 6, marginTop: 8 }}>
+              <Link to={`/replay/${t.id}`}>Replay</Link>
+              {["gpx", "kml", "geojson"].map((f) => (
+                <button
+                  key={f}
+                  onClick={() => downloadApi(`/api/tracks/export?id=${encodeURIComponent(t.id)}&format=${f}`, `track.${f}`).catch((e) => setError(e.message))}
+                  style={{ padding: "0 6px", borderRadius: 6 }}
+                >{f.toUpperCase()}</button>
+              ))}
+              {(role === "operator" || role === "admin") && (
+                <button onClick={onSnapshot} disabled={rendering} style={{ padding: "0 6px", borderRadius: 6 }}>
+                  {rendering ? "Rendering…" : t.snapshot_url ? "Regenerate snapshot" : "Render snapshot"}
+                </button>
+              )}
+            </div>
+          )}
+          {t.id && (role === "operator" || role === "admin") && (
+            <SharePanel
+              trackId={t.id}
+              share={{ code: t.share_code || null, scope: t.share_scope, expiresAt: t.share_expires_at }}
+              onChange={(sh) => setData((d) => ({
+                ...d,
+                track: { ...d.track, share_code: sh.code, share_scope: sh.scope, share_expires_at: sh.expiresAt },
+              }))}
+            />
+          )}
+        </div>
+
+        <div style={{ height: 420, borderRadius: 12, overflow: "hidden", border: "1px solid #e5e7eb" }}>
+          {line.length >= 2 ? (
+            <MapContainer bounds={line} boundsOptions={{ padding: [30, 30] }} style={{ height: "100%", width: "100%" }}>
+              <OfflineTileLayer />
+              <Polyline positions={line} pathOptions={{ color: "#2563eb", weight: 4, opacity: 0.9 }} />
+              <CircleMarker center={line[0]} radius={6} pathOptions={{ color: "#059669" }} />
+              <CircleMarker center={line[line.length - 1]} radius={6} pathOptions={{ color: "#dc2626" }} />
+            </MapContainer>
+          ) : t.snapshot_url ? (
+            <img src={t.snapshot_url} alt="track snapshot" style={{ width: "100%", height: "100%", objectFit: "contain" }} />
+          ) : (
+            <div style={{ padding: 16, color: "#6b7280" }}>No track recorded for this report.</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
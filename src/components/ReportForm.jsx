@@ -1,4 +1,5 @@
 import React, { useState } from "react";
+import { sendOrQueue } from "../lib/outbox";
 
 export default function ReportForm({
   defaultTrackId = null,
@@ -11,6 +12,7 @@ export default function ReportForm({
   const [dog, setDog] = useState("");
   const [email, setEmail] = useState("");
   const [notes, setNotes] = useState("");
+  const [outcome, setOutcome] = useState("");
   const [attachmentUrl, setAttachmentUrl] = useState("");
   const [saving, setSaving] = useState(false);
   const [result, setResult] = useState(null);
@@ -23,14 +25,17 @@ export default function ReportForm({
     setResult(null);
 
     try {
-      const resp = await fetch("/api/forms/report", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
+      // Queued in the outbox when offline; submitted once the connection is back
+      const res = await sendOrQueue({
+        kind: "report",
+        label: `Report: ${dog || "K9"} / ${handler || "handler"}`,
+        url: "/api/forms/report",
+        body: {
           handler,
           dog,
           email: email || null,
           notes: notes || null,
+          outcome: outcome || null,
           track_id: defaultTrackId || null,
           attachment_url: attachmentUrl || null,
           // If you want branding saved with the entry and you have columns for these:
@@ -39,12 +44,16 @@ export default function ReportForm({
           // You can also pass report_no/device_id to store alongside reports if desired:
           // report_no,
           // device_id,
-        }),
+        },
       });
+      if (res.queued) {
+        setResult({ queued: true });
+        return;
+      }
 
-      const js = await resp.json().catch(() => ({}));
-      if (!resp.ok || js.error) {
-        throw new Error(js.error || `HTTP ${resp.status}`);
+      const js = res.js || {};
+      if (!res.ok || js.error) {
+        throw new Error(js.error || `HTTP ${res.status}`);
       }
 
       setResult(js);
@@ -122,6 +131,16 @@ export default function ReportForm({
           />
         </label>
 
+        <label style={{ fontSize: 12 }}>
+          Outcome
+          <select value={outcome} onChange={(e) => setOutcome(e.target.value)} style={{ width: "100%" }}>
+            <option value="">—</option>
+            <option value="find">Find / success</option>
+            <option value="no_find">No find</option>
+            <option value="training">Training only (not scored)</option>
+          </select>
+        </label>
+
         <label style={{ fontSize: 12 }}>
           Notes
           <textarea
@@ -148,6 +167,7 @@ export default function ReportForm({
           </button>
           {error && <span style={{ color: "#b91c1c", fontSize: 12 }}>{error}</span>}
           {result?.ok && <span style={{ color: "#16a34a", fontSize: 12 }}>Saved ✓</span>}
+          {result?.queued && <span style={{ color: "#b45309", fontSize: 12 }}>Saved offline — will submit when back online</span>}
         </div>
       </form>
     </div>
@@ -7,7 +7,15 @@ import {
   Image,
   View,
   StyleSheet,
+  Svg,
+  G,
+  Circle,
+  Polygon,
+  Line as SvgLine,
 } from "@react-pdf/renderer";
+import { waypointLabel } from "../lib/waypoints";
+import { compassPoint } from "../lib/geo";
+import { DIFFICULTIES, SURFACES } from "../lib/laying";
 
 // A4 page styles
 const styles = StyleSheet.create({
@@ -28,9 +36,31 @@ const styles = StyleSheet.create({
   shot: { width: "100%", height: 380, objectFit: "cover" },
   shotCap: { fontSize: 9, color: "#444", marginTop: 4, textAlign: "center" },
 
+  // Tables
+  tr: { flexDirection: "row", borderBottom: 1, borderColor: "#eee", paddingVertical: 2 },
+  th: { fontWeight: 700 },
+  td: { flex: 1 },
+  wpPhoto: { width: 64, height: 48, objectFit: "cover" },
+
   footer: { marginTop: 16, fontSize: 9, color: "#777" },
 });
 
+// Downwind arrow; `dir` is where the wind blows from
+function WindArrow({ dir, size = 28 }) {
+  const c = size / 2;
+  return (
+    <Svg width={size} height={size} viewBox={`0 0 ${size} ${size}`}>
+      <Circle cx={c} cy={c} r={c - 1} stroke="#bbb" strokeWidth={1} fill="none" />
+      <G transform={`rotate(${(dir + 180) % 360} ${c} ${c})`}>
+        <SvgLine x1={c} y1={size - 5} x2={c} y2={9} stroke="#111" strokeWidth={2} />
+        <Polygon points={`${c},4 ${c - 4},11 ${c + 4},11`} fill="#111" />
+      </G>
+    </Svg>
+  );
+}
+
+const cond = (v, unit) => (v == null ? "—" : `${v}${unit}`);
+
 function Line({ label, value }) {
   return (
     <View style={styles.cell}>
@@ -43,12 +73,18 @@ function Line({ label, value }) {
 }
 
 /**
- * Props expected (from App.jsx buildPdfProps):
+ * Props expected (from lib/reportPdf buildPdfProps):
  * {
  *  departmentName, logoUrl, reportNo, createdAt,
  *  handler, dog, email, deviceId, trackId,
  *  distance_m, duration_ms, pace_label, avg_speed_label,
- *  weather, snapshotUrl, notes
+ *  weather, snapshotUrl, notes,
+ *  deviation,  // optional, from lib/trackCompare compareToLaid()
+ *  geofences, geofence_events,  // optional, fences and crossings from lib/geofence
+ *  handler_stats,  // optional, handler path stats from lib/handler handlerStats()
+ *  waypoints,  // optional, see lib/waypoints
+ *  laying, track_age_label,  // optional, see lib/laying
+ *  track_data_label  // optional, which breadcrumbs (filtered/raw) the stats use
  * }
  */
 export default function ReportPDF(props) {
@@ -69,6 +105,14 @@ export default function ReportPDF(props) {
     weather,
     snapshotUrl, // data: URL or public https://... URL
     notes,
+    deviation,
+    geofences,
+    geofence_events,
+    handler_stats,
+    waypoints,
+    laying,
+    track_age_label,
+    track_data_label,
   } = props || {};
 
   const km = distance_m ? (distance_m / 1000).toFixed(2) : "0.00";
@@ -122,8 +166,157 @@ export default function ReportPDF(props) {
           <View style={styles.row}>
             <Line label="Weather" value={weatherStr} />
           </View>
+          {track_data_label ? (
+            <View style={styles.row}>
+              <Line label="Track data" value={track_data_label} />
+            </View>
+          ) : null}
+          {handler_stats ? (
+            <View style={styles.row}>
+              <Line label="Handler walked" value={`${(handler_stats.distance_m / 1000).toFixed(2)} km`} />
+              <Line label="Handler–dog mean" value={handler_stats.mean_separation_m != null ? `${handler_stats.mean_separation_m} m` : "—"} />
+              <Line label="Handler–dog max" value={handler_stats.max_separation_m != null ? `${handler_stats.max_separation_m} m` : "—"} />
+            </View>
+          ) : null}
         </View>
 
+        {/* Laying */}
+        {laying || track_age_label ? (
+          <View style={styles.section}>
+            <Text style={styles.h2}>Laying</Text>
+            <View style={styles.row}>
+              <Line label="Track age" value={track_age_label || "—"} />
+              <Line label="Laid at" value={laying?.laid_at ? new Date(laying.laid_at).toLocaleString() : "—"} />
+              <Line label="Tracklayer" value={laying?.tracklayer || "—"} />
+            </View>
+            <View style={styles.row}>
+              <Line label="Surfaces" value={laying?.surfaces?.length ? laying.surfaces.map((s) => SURFACES[s] || s).join(", ") : "—"} />
+              <Line label="Turns" value={laying?.turns ?? "—"} />
+              <Line label="Articles" value={laying?.articles ?? "—"} />
+              <Line label="Difficulty" value={laying?.difficulty ? DIFFICULTIES[laying.difficulty] : "—"} />
+            </View>
+          </View>
+        ) : null}
+
+        {/* Scent conditions (laid / run) */}
+        {weather?.run || weather?.laid ? (
+          <View style={styles.section}>
+            <Text style={styles.h2}>Conditions</Text>
+            <View style={[styles.tr, styles.th]}>
+              <Text style={styles.td}></Text>
+              <Text style={styles.td}>Temp</Text>
+              <Text style={styles.td}>Humidity</Text>
+              <Text style={styles.td}>Wind</Text>
+              <Text style={styles.td}>Precip.</Text>
+              <Text style={styles.td}>Cloud</Text>
+            </View>
+            {[["Laid", weather.laid], ["Run", weather.run]].filter(([, c]) => c).map(([label, c]) => (
+              <View key={label} style={[styles.tr, { alignItems: "center" }]}>
+                <Text style={styles.td}>{label}</Text>
+                <Text style={styles.td}>{cond(c.temperature, "°C")}</Text>
+                <Text style={styles.td}>{cond(c.humidity, "%")}</Text>
+                <View style={[styles.td, { flexDirection: "row", alignItems: "center", gap: 4 }]}>
+                  {c.wind_dir != null ? <WindArrow dir={c.wind_dir} size={20} /> : null}
+                  <Text>{cond(c.wind_speed, " km/h")}{c.wind_dir != null ? ` ${compassPoint(c.wind_dir)}` : ""}</Text>
+                </View>
+                <Text style={styles.td}>{cond(c.precipitation, " mm")}</Text>
+                <Text style={styles.td}>{cond(c.cloud_cover, "%")}</Text>
+              </View>
+            ))}
+            <Text style={{ fontSize: 9, color: "#777", marginTop: 2 }}>
+              Hourly readings ({(weather.run || weather.laid).provider}); arrows point downwind.
+            </Text>
+          </View>
+        ) : null}
+
+        {/* Laid track comparison */}
+        {deviation ? (
+          <View style={styles.section}>
+            <Text style={styles.h2}>Laid Track Comparison</Text>
+            <View style={styles.row}>
+              <Line label="Mean off-track" value={`${deviation.mean_offset_m} m`} />
+              <Line label="Max off-track" value={`${deviation.max_offset_m} m`} />
+              <Line label="Covered" value={`${deviation.coverage_pct}% of ${(deviation.laid_length_m / 1000).toFixed(2)} km`} />
+            </View>
+            {deviation.events?.length ? (
+              <View>
+                <View style={[styles.tr, styles.th]}>
+                  <Text style={styles.td}>Type</Text>
+                  <Text style={styles.td}>Time</Text>
+                  <Text style={styles.td}>Max off-track</Text>
+                  <Text style={styles.td}>Laid track skipped</Text>
+                </View>
+                {deviation.events.map((ev, i) => (
+                  <View key={i} style={styles.tr}>
+                    <Text style={styles.td}>{ev.type === "cut" ? "Cut corner" : "Overshoot"}</Text>
+                    <Text style={styles.td}>{ev.ts ? new Date(ev.ts).toLocaleTimeString() : "—"}</Text>
+                    <Text style={styles.td}>{ev.max_offset_m} m</Text>
+                    <Text style={styles.td}>{ev.type === "cut" ? `${ev.skipped_m} m` : "—"}</Text>
+                  </View>
+                ))}
+              </View>
+            ) : (
+              <Text>No off-track excursions beyond {deviation.threshold_m} m.</Text>
+            )}
+          </View>
+        ) : null}
+
+        {waypoints?.length ? (
+          <View style={styles.section}>
+            <Text style={styles.h2}>Waypoints</Text>
+            <View style={[styles.tr, styles.th]}>
+              <Text style={styles.td}>Time</Text>
+              <Text style={styles.td}>Type</Text>
+              <Text style={styles.td}>Note</Text>
+              <Text style={styles.td}>Position</Text>
+              <Text style={styles.td}>Photo</Text>
+            </View>
+            {waypoints.map((w, i) => (
+              <View key={i} style={styles.tr} wrap={false}>
+                <Text style={styles.td}>{w.ts ? new Date(w.ts).toLocaleTimeString() : "—"}</Text>
+                <Text style={styles.td}>{waypointLabel(w)}</Text>
+                <Text style={styles.td}>{w.note || "—"}</Text>
+                <Text style={styles.td}>
+                  {Number.isFinite(w.lat) ? `${w.lat.toFixed(5)}, ${w.lon.toFixed(5)}` : "—"}
+                  {w.source === "handler" ? " (handler)" : ""}
+                </Text>
+                <View style={styles.td}>
+                  {w.photo_url ? <Image src={w.photo_url} style={styles.wpPhoto} /> : <Text>—</Text>}
+                </View>
+              </View>
+            ))}
+          </View>
+        ) : null}
+
+        {geofences?.length ? (
+          <View style={styles.section}>
+            <Text style={styles.h2}>Geofence Crossings</Text>
+            <Text>
+              Areas: {geofences.map((f) => `${f.name} (${f.rule === "keep_out" ? "keep out" : "stay inside"})`).join(", ")}
+            </Text>
+            {geofence_events?.length ? (
+              <View>
+                <View style={[styles.tr, styles.th]}>
+                  <Text style={styles.td}>Time</Text>
+                  <Text style={styles.td}>Area</Text>
+                  <Text style={styles.td}>Crossing</Text>
+                  <Text style={styles.td}>Violation</Text>
+                </View>
+                {geofence_events.map((ev, i) => (
+                  <View key={i} style={styles.tr}>
+                    <Text style={styles.td}>{ev.ts ? new Date(ev.ts).toLocaleTimeString() : "—"}</Text>
+                    <Text style={styles.td}>{ev.name}</Text>
+                    <Text style={styles.td}>{ev.type === "enter" ? "Entered" : "Left"}</Text>
+                    <Text style={styles.td}>{ev.violation ? "Yes" : "No"}</Text>
+                  </View>
+                ))}
+              </View>
+            ) : (
+              <Text>No boundary crossings.</Text>
+            )}
+          </View>
+        ) : null}
+
         {/* Snapshot */}
         <View style={styles.section}>
           <Text style={styles.h2}>Map Snapshot</Text>
@@ -137,7 +330,9 @@ export default function ReportPDF(props) {
                 <Image src={snapshotUrl} style={styles.shot} />
               </View>
               <Text style={styles.shotCap}>
-                Live map snapshot captured at stop time with full track polyline and stats.
+                Track map rendered from the recorded points; start green, end red.
+                {handler_stats ? " Dotted teal line: handler's path." : ""}
+                {" "}Map data © OpenStreetMap contributors.
               </Text>
             </>
           ) : (
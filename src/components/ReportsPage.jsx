@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { prettyDistance, prettyDuration } from "../lib/format";
+import { apiFetch } from "../lib/api";
+
+const PAGE_SIZE = 20;
+
+const th = { textAlign: "left", padding: "6px 8px", borderBottom: "1px solid #e5e7eb", fontSize: 12, color: "#475569", whiteSpace: "nowrap" };
+const td = { padding: "6px 8px", borderBottom: "1px solid #f1f5f9", fontSize: 13, verticalAlign: "middle" };
+
+function SortHeader({ label, field, sort, dir, onSort }) {
+  const active = sort === field;
+  return (
+    <th style={{ ...th, cursor: "pointer" }} onClick={() => onSort(field)}>
+      {label}{active ? (dir === "asc" ? " ▲" : " ▼") : ""}
+    </th>
+  );
+}
+
+export default function ReportsPage() {
+  const [q, setQ] = useState("");
+  const [search, setSearch] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [sort, setSort] = useState("created_at");
+  const [dir, setDir] = useState("desc");
+  const [page, setPage] = useState(1);
+
+  const [rows, setRows] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    const qs = new URLSearchParams({ sort, dir, page: String(page), pageSize: String(PAGE_SIZE) });
+    if (search) qs.set("q", search);
+    if (from) qs.set("from", from);
+    if (to) qs.set("to", to);
+
+    apiFetch(`/api/reports/list?${qs}`)
+      .then(async (r) => {
+        const js = await r.json().catch(() => ({}));
+        if (!r.ok || js.error) throw new Error(js.error || `HTTP ${r.status}`);
+        if (cancelled) return;
+        setRows(js.rows || []);
+        setTotal(js.total || 0);
+      })
+      .catch((e) => { if (!cancelled) setError(e.message || String(e)); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+
+    return () => { cancelled = true; };
+  }, [search, from, to, sort, dir, page]);
+
+  const onSort = (field) => {
+    if (field === sort) setDir((d) => (d === "asc" ? "desc" : "asc"));
+    else { setSort(field); setDir(field === "handler" || field === "dog" ? "asc" : "desc"); }
+    setPage(1);
+  };
+
+  const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div style={{ padding: 16, height: "100%", overflow: "auto" }}>
+      <h2 style={{ fontWeight: 700, fontSize: 20, marginBottom: 8 }}>Reports</h2>
+
+      <form
+        onSubmit={(e) => { e.preventDefault(); setSearch(q.trim()); setPage(1); }}
+        style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "end", marginBottom: 12, fontSize: 12 }}
+      >
+        <label>Search
+          <input
+            value={q}
+            onChange={(e) => setQ(e.target.value)}
+            placeholder="handler, dog, report #, device"
+            style={{ display: "block", width: 240 }}
+          />
+        </label>
+        <label>From
+          <input type="date" value={from} onChange={(e) => { setFrom(e.target.value); setPage(1); }} style={{ display: "block" }} />
+        </label>
+        <label>To
+          <input type="date" value={to} onChange={(e) => { setTo(e.target.value); setPage(1); }} style={{ display: "block" }} />
+        </label>
+        <button style={{ padding: "6px 10px", borderRadius: 10, background: "#111", color: "#fff" }}>Search</button>
+        {(search || from || to) && (
+          <button
+            type="button"
+            onClick={() => { setQ(""); setSearch(""); setFrom(""); setTo(""); setPage(1); }}
+            style={{ padding: "6px 10px", borderRadius: 10 }}
+          >Reset</button>
+        )}
+        <span style={{ marginLeft: "auto", color: "#6b7280" }}>{loading ? "Loading…" : `${total} report${total === 1 ? "" : "s"}`}</span>
+      </form>
+
+      {error && <div style={{ color: "#b91c1c", fontSize: 12, marginBottom: 8 }}>{error}</div>}
+
+      <table style={{ width: "100%", borderCollapse: "collapse", background: "#fff", border: "1px solid #e5e7eb", borderRadius: 12 }}>
+        <thead>
+          <tr>
+            <th style={th}>Map</th>
+            <th style={th}>Report #</th>
+            <SortHeader label="Date" field="created_at" sort={sort} dir={dir} onSort={onSort} />
+            <SortHeader label="Handler" field="handler" sort={sort} dir={dir} onSort={onSort} />
+            <SortHeader label="K9" field="dog" sort={sort} dir={dir} onSort={onSort} />
+            <th style={th}>Device</th>
+            <SortHeader label="Distance" field="distance" sort={sort} dir={dir} onSort={onSort} />
+            <SortHeader label="Duration" field="duration" sort={sort} dir={dir} onSort={onSort} />
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => {
+            const t = r.tracks || {};
+            return (
+              <tr key={r.id}>
+                <td style={td}>
+                  {t.snapshot_url ? (
+                    <img src={t.snapshot_url} alt="" style={{ width: 72, height: 48, objectFit: "cover", borderRadius: 6, border: "1px solid #e5e7eb" }} />
+                  ) : (
+                    <div style={{ width: 72, height: 48, borderRadius: 6, background: "#f1f5f9" }} />
+                  )}
+                </td>
+                <td style={td}><Link to={`/reports/${r.id}`}>{t.report_no || "—"}</Link></td>
+                <td style={td}>{r.created_at ? new Date(r.created_at).toLocaleString() : "—"}</td>
+                <td style={td}>{r.handler}</td>
+                <td style={td}>{r.dog}</td>
+                <td style={td}>{t.device_id || "—"}</td>
+                <td style={td}>{Number.isFinite(t.distance_m) ? prettyDistance(t.distance_m) : "—"}</td>
+                <td style={td}>{Number.isFinite(t.duration_ms) ? prettyDuration(t.duration_ms) : "—"}</td>
+              </tr>
+            );
+          })}
+          {!rows.length && !loading && (
+            <tr><td style={{ ...td, color: "#6b7280" }} colSpan={8}>No reports found.</td></tr>
+          )}
+        </tbody>
+      </table>
+
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 12, fontSize: 13 }}>
+        <button disabled={page <= 1} onClick={() => setPage((p) => p - 1)} style={{ padding: "4px 10px", borderRadius: 10 }}>Prev</button>
+        <span>Page {page} of {pages}</span>
+        <button disabled={page >= pages} onClick={() => setPage((p) => p + 1)} style={{ padding: "4px 10px", borderRadius: 10 }}>Next</button>
+      </div>
+    </div>
+  );
+}
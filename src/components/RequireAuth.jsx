@@ -0,0 +1,28 @@
+import React from "react";
+import { useSession } from "../lib/auth";
+import LoginCard from "./LoginCard";
+
+// Gate a route behind sign-in and (optionally) a set of roles
+export default function RequireAuth({ roles = null, children }) {
+  const { loading, session, role } = useSession();
+
+  if (loading) return <div style={{ padding: 16 }}>Loading…</div>;
+  if (!session) {
+    return (
+      <div style={{ padding: 16, maxWidth: 360 }}>
+        <LoginCard />
+      </div>
+    );
+  }
+  if (roles && !roles.includes(role)) {
+    return (
+      <div style={{ padding: 16 }}>
+        <div style={{ fontWeight: 600 }}>Not allowed</div>
+        <div style={{ fontSize: 13, color: "#475569" }}>
+          This page needs the {roles.join(" or ")} role; you are signed in as {role}.
+        </div>
+      </div>
+    );
+  }
+  return children;
+}
@@ -0,0 +1,95 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { apiFetch } from "../lib/api";
+
+const SCOPES = [
+  ["live", "Live only"],
+  ["track", "Live + finished track"],
+  ["report", "Track + report"],
+];
+
+const EXPIRY = [
+  ["never", "Never"],
+  ["1", "1 hour"],
+  ["12", "12 hours"],
+  ["24", "1 day"],
+  ["168", "7 days"],
+];
+
+/**
+ * Share link for one track: copy, scope, expiry, regenerate and revoke.
+ * share = { code, scope, expiresAt } (code null when revoked);
+ * calls onChange(share) with what the server saved.
+ */
+export default function SharePanel({ trackId, share = null, onChange = () => {} }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const code = share?.code || null;
+  const scope = share?.scope || "track";
+  const expired = share?.expiresAt && Date.parse(share.expiresAt) <= Date.now();
+
+  async function send(body) {
+    setBusy(true); setError("");
+    try {
+      const r = await apiFetch("/api/tracks/share", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ track_id: trackId, ...body }),
+      });
+      const js = await r.json().catch(() => ({}));
+      if (!r.ok || js.error) throw new Error(js.error || `HTTP ${r.status}`);
+      onChange({ code: js.share_code || null, scope: js.share_scope || scope, expiresAt: js.share_expires_at || null });
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const url = code ? `${window.location.origin}/view/${code}` : "";
+
+  return (
+    <div style={{marginTop:8, padding:8, border:'1px dashed #94a3b8', borderRadius:8}}>
+      <div style={{fontWeight:600, marginBottom:4}}>Share link</div>
+      {code ? (
+        <>
+          <div style={{display:'flex', alignItems:'center', gap:6, color:'#334155'}}>
+            <Link to={`/view/${code}`}>/view/{code}</Link>
+            <button
+              onClick={() => navigator.clipboard?.writeText(url).catch(() => {})}
+              style={{padding:'2px 6px', borderRadius:8}}
+            >Copy link</button>
+          </div>
+          <div style={{display:'flex', flexWrap:'wrap', alignItems:'center', gap:6, marginTop:4}}>
+            <select value={scope} disabled={busy} onChange={(e) => send({ action: "update", scope: e.target.value })}>
+              {SCOPES.map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+            </select>
+            <select
+              value=""
+              disabled={busy}
+              onChange={(e) => send({ action: "update", expires_in_hours: e.target.value === "never" ? null : Number(e.target.value) })}
+            >
+              <option value="" disabled>Expiry…</option>
+              {EXPIRY.map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+            </select>
+          </div>
+          <div style={{marginTop:4, color: expired ? '#b91c1c' : '#6b7280'}}>
+            {share?.expiresAt
+              ? `${expired ? "Expired" : "Expires"} ${new Date(share.expiresAt).toLocaleString()}`
+              : "Never expires"}
+          </div>
+          <div style={{display:'flex', gap:6, marginTop:4}}>
+            <button disabled={busy} onClick={() => send({ action: "regenerate" })} style={{padding:'2px 8px', borderRadius:8}}>Regenerate</button>
+            <button disabled={busy} onClick={() => send({ action: "revoke" })} style={{padding:'2px 8px', borderRadius:8, color:'#b91c1c'}}>Revoke</button>
+          </div>
+        </>
+      ) : (
+        <div style={{display:'flex', alignItems:'center', gap:6}}>
+          <span style={{color:'#6b7280'}}>No active link.</span>
+          <button disabled={busy} onClick={() => send({ action: "regenerate", scope })} style={{padding:'2px 8px', borderRadius:8}}>Create link</button>
+        </div>
+      )}
+      {error && <div style={{marginTop:4, color:'#b91c1c'}}>{error}</div>}
+    </div>
+  );
+}
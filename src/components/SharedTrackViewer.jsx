@@ -0,0 +1,191 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useParams } from "react-router-dom";
+import { MapContainer, Polyline, CircleMarker } from "react-leaflet";
+import { defaultConn, useSSE } from "../lib/sse";
+import { pathLength } from "../lib/geo";
+import { prettyDistance, prettyDuration } from "../lib/format";
+import { apiFetch } from "../lib/api";
+import { useReplay } from "../lib/replay";
+import Recenter from "./Recenter";
+import { ReplayControls, ReplayLayers } from "./TrackReplay";
+import OfflineTileLayer from "./OfflineTileLayer";
+
+const ACTIVE_POLL_MS = 20000;
+
+async function getJson(url) {
+  const r = await apiFetch(url);
+  const js = await r.json().catch(() => ({}));
+  if (!r.ok || js.error) throw new Error(js.error || `HTTP ${r.status}`);
+  return js;
+}
+
+/**
+ * /view/:code — follow one shared track. Resolves the share code to the
+ * track's broker/topic, loads the points recorded so far, follows live
+ * updates while the track is open, then switches to the finished track.
+ */
+export default function SharedTrackViewer() {
+  const { code } = useParams();
+  const [phase, setPhase] = useState("loading"); // loading | live | ended | finished | error
+  const [error, setError] = useState("");
+  const [info, setInfo] = useState(null);       // byShare result
+  const [startedAt, setStartedAt] = useState(null);
+  const [points, setPoints] = useState([]);
+  const [finished, setFinished] = useState(null); // full track row once ended
+  const [follow, setFollow] = useState(true);
+  const [conn, setConn] = useState(null);
+  const [replayOn, setReplayOn] = useState(false);
+  const replay = useReplay(finished?.points);
+
+  const { status, msgs, connect, disconnect } = useSSE(conn || defaultConn, (msg) => {
+    // A wildcard topic carries every collar; keep to the shared track's own
+    if (info?.device_id && msg.device !== info.device_id) return;
+    if (Number.isFinite(msg.lat) && Number.isFinite(msg.lon)) {
+      setPoints((prev) => [...prev, { lat: msg.lat, lon: msg.lon, ts: msg.receivedAt }]);
+    }
+  });
+
+  const loadFinished = async () => {
+    const row = await getJson(`/api/tracks/get?share=${encodeURIComponent(code)}`);
+    setFinished(row);
+    setPhase("finished");
+  };
+
+  // Resolve the code and pick live vs finished
+  useEffect(() => {
+    let cancelled = false;
+    setPhase("loading"); setError(""); setPoints([]); setFinished(null); setConn(null);
+    (async () => {
+      try {
+        const share = await getJson(`/api/tracks/byShare?code=${encodeURIComponent(code)}`);
+        if (cancelled) return;
+        setInfo(share);
+        const act = await getJson(`/api/tracks/active?code=${encodeURIComponent(code)}`);
+        if (cancelled) return;
+        if (!act.active) {
+          if (share.scope === "live") { setPhase("ended"); return; }
+          return loadFinished();
+        }
+
+        setStartedAt(act.startedAt);
+        const sofar = await getJson(`/api/tracks/points?share=${encodeURIComponent(code)}`).catch(() => ({ points: [] }));
+        if (cancelled) return;
+        setPoints(sofar.points || []);
+        setConn({
+          share: code,
+          profile: share.profile || defaultConn.profile,
+          topic: share.topic || defaultConn.topic,
+        });
+        setPhase("live");
+      } catch (e) {
+        if (!cancelled) { setError(e.message || String(e)); setPhase("error"); }
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [code]);
+
+  // connect() reads conn from the render it was created in, so wait for it
+  useEffect(() => {
+    if (phase !== "live" || !conn) return;
+    connect();
+    return () => disconnect();
+  }, [phase, conn]);
+
+  // Watch for the track being finished
+  const pollRef = useRef(null);
+  useEffect(() => {
+    if (phase !== "live") return;
+    pollRef.current = setInterval(async () => {
+      try {
+        const act = await getJson(`/api/tracks/active?code=${encodeURIComponent(code)}`);
+        if (!act.active) {
+          disconnect();
+          if (info?.scope === "live") setPhase("ended");
+          else await loadFinished();
+        }
+      } catch {}
+    }, ACTIVE_POLL_MS);
+    return () => clearInterval(pollRef.current);
+  }, [phase, code, info]);
+
+  const shown = phase === "finished" && Array.isArray(finished?.points) ? finished.points : points;
+  const line = useMemo(
+    () => shown.filter((p) => Number.isFinite(p?.lat) && Number.isFinite(p?.lon)).map((p) => [p.lat, p.lon]),
+    [shown]
+  );
+  const last = line[line.length - 1] || null;
+  const liveDistance = useMemo(() => (phase === "live" ? pathLength(points) : 0), [phase, points]);
+
+  return (
+    <div style={{height:'100%', width:'100%', background:'#f8fafc', position:'relative'}}>
+      <div style={{position:'absolute', top:16, left:16, zIndex:1000, padding:12, background:'rgba(255,255,255,0.95)', border:'1px solid #e5e7eb', borderRadius:16, boxShadow:'0 4px 16px rgba(0,0,0,.08)', maxWidth:360, fontSize:12}}>
+        <div style={{display:'flex', alignItems:'center', gap:8, marginBottom:6}}>
+          <span style={{fontWeight:600}}>Shared track {code}</span>
+          {phase === "live" && (
+            <span style={{marginLeft:'auto', display:'inline-flex', alignItems:'center', gap:6}}>
+              <span style={{width:10, height:10, borderRadius:'50%', background: status === 'connected' ? '#22c55e' : status === 'error' ? '#ef4444' : '#f59e0b'}}></span>
+              LIVE
+            </span>
+          )}
+          {phase === "finished" && <span style={{marginLeft:'auto', color:'#6b7280'}}>Finished</span>}
+        </div>
+
+        {phase === "loading" && <div>Loading…</div>}
+        {phase === "error" && <div style={{color:'#b91c1c'}}>{error}</div>}
+        {phase === "ended" && <div style={{color:'#6b7280'}}>This track has finished. The link only showed it while it was live.</div>}
+
+        {phase === "live" && (
+          <>
+            <div>Topic: <code>{info?.topic}</code></div>
+            <div>Started: {startedAt ? new Date(startedAt).toLocaleTimeString() : "—"}</div>
+            <div>Elapsed: {startedAt ? prettyDuration(Date.now() - new Date(startedAt).getTime()) : "—"}</div>
+            <div>Distance so far: {prettyDistance(liveDistance)} · Msgs: {msgs}</div>
+            <label style={{display:'flex', alignItems:'center', gap:6, marginTop:4}}>
+              <input type="checkbox" checked={follow} onChange={(e) => setFollow(e.target.checked)} /> Follow dog
+            </label>
+          </>
+        )}
+
+        {phase === "finished" && finished && (
+          <>
+            {finished.report_no && <div>Report #: <b>{finished.report_no}</b></div>}
+            <div>Distance: {Number.isFinite(finished.distance_m) ? prettyDistance(finished.distance_m) : "—"}</div>
+            <div>Duration: {Number.isFinite(finished.duration_ms) ? prettyDuration(finished.duration_ms) : "—"}</div>
+            <div>Ended: {finished.ended_at ? new Date(finished.ended_at).toLocaleString() : "—"}</div>
+            {line.length > 1 && (
+              <div style={{marginTop:4}}>
+                <button onClick={() => { replay.pause(); setReplayOn((o) => !o); }} style={{padding:'2px 8px', borderRadius:8}}>
+                  {replayOn ? "Close replay" : "Replay"}
+                </button>
+                {replayOn && <div style={{marginTop:6}}><ReplayControls replay={replay} /></div>}
+              </div>
+            )}
+            {finished.report && (
+              <div style={{marginTop:6}}>
+                <div><b>Handler:</b> {finished.report.handler}</div>
+                <div><b>K9:</b> {finished.report.dog}</div>
+                {finished.report.notes && <div style={{whiteSpace:'pre-wrap', marginTop:2}}>{finished.report.notes}</div>}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <MapContainer center={last || [30, -97]} zoom={15} style={{height:'100%', width:'100%'}}>
+        <OfflineTileLayer />
+        {phase === "live" && follow && last && <Recenter lat={last[0]} lon={last[1]} />}
+        {phase === "finished" && line.length > 0 && <Recenter lat={line[0][0]} lon={line[0][1]} />}
+        {replayOn && <ReplayLayers replay={replay} />}
+        {!replayOn && line.length > 1 && <Polyline positions={line} pathOptions={{ color: "#2563eb", weight: 4, opacity: 0.9 }} />}
+        {line.length > 0 && <CircleMarker center={line[0]} radius={6} pathOptions={{ color: "#059669" }} />}
+        {last && (
+          <CircleMarker
+            center={last}
+            radius={phase === "live" ? 8 : 6}
+            pathOptions={phase === "live" ? { color: "#111" } : { color: "#dc2626" }}
+          />
+        )}
+      </MapContainer>
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from "react";
+import { prettyAge, prettyDistance, prettyDuration } from "../lib/format";
+import { apiFetch, downloadApi } from "../lib/api";
+
+const th = { textAlign: "left", padding: "6px 8px", borderBottom: "1px solid #e5e7eb", fontSize: 12, color: "#475569", whiteSpace: "nowrap" };
+const td = { padding: "6px 8px", borderBottom: "1px solid #f1f5f9", fontSize: 13, verticalAlign: "middle" };
+
+const GROUP_LABELS = { dog: "K9", handler: "Handler", month: "Month" };
+
+const fmt = (v, unit = "") => (v == null ? "—" : `${v}${unit}`);
+const temps = (s) =>
+  s.avg_temp_c == null ? "—" : `${s.avg_temp_c}°C (${s.min_temp_c}…${s.max_temp_c})`;
+
+function StatCells({ s }) {
+  return (
+    <>
+      <td style={td}>{s.tracks}</td>
+      <td style={td}>{prettyDistance(s.distance_m || 0)}</td>
+      <td style={td}>{prettyDuration(s.duration_ms || 0)} <span style={{ color: "#6b7280" }}>({s.hours} h)</span></td>
+      <td style={td}>{fmt(s.avg_pace_min_per_km, " min/km")}</td>
+      <td style={td}>{s.finds}/{s.finds + s.no_finds} <span style={{ color: "#6b7280" }}>{fmt(s.find_rate_pct, "%")}</span></td>
+      <td style={td}>
+        {s.avg_track_age_min == null ? "—" : prettyAge(s.avg_track_age_min * 60000)}
+        {s.max_track_age_min != null && <span style={{ color: "#6b7280" }}> (max {prettyAge(s.max_track_age_min * 60000)})</span>}
+      </td>
+      <td style={td}>{temps(s)}</td>
+      <td style={td}>{fmt(s.avg_wind_kmh, " km/h")}</td>
+    </>
+  );
+}
+
+// Training log: totals per dog / handler / month, with CSV export for certification
+export default function StatsPage() {
+  const year = new Date().getFullYear();
+  const [from, setFrom] = useState(`${year}-01-01`);
+  const [to, setTo] = useState(`${year}-12-31`);
+  const [group, setGroup] = useState(["dog"]);
+
+  const [rows, setRows] = useState([]);
+  const [totals, setTotals] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const qs = () => {
+    const p = new URLSearchParams({ group: group.join(",") });
+    if (from) p.set("from", from);
+    if (to) p.set("to", to);
+    return p;
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    apiFetch(`/api/reports/stats?${qs()}`)
+      .then(async (r) => {
+        const js = await r.json().catch(() => ({}));
+        if (!r.ok || js.error) throw new Error(js.error || `HTTP ${r.status}`);
+        if (cancelled) return;
+        setRows(js.rows || []);
+        setTotals(js.totals || null);
+      })
+      .catch((e) => { if (!cancelled) setError(e.message || String(e)); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [from, to, group.join(",")]);
+
+  // Keep the dimension order dog, handler, month
+  const toggleGroup = (g) =>
+    setGroup((cur) => Object.keys(GROUP_LABELS).filter((k) => (k === g ? !cur.includes(k) : cur.includes(k))));
+
+  const exportCsv = () => {
+    const p = qs();
+    p.set("format", "csv");
+    downloadApi(`/api/reports/stats?${p}`, "k9-training.csv").catch((e) => setError(e.message));
+  };
+
+  return (
+    <div style={{ padding: 16, height: "100%", overflow: "auto" }}>
+      <h2 style={{ fontWeight: 700, fontSize: 20, marginBottom: 8 }}>Training log</h2>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "end", marginBottom: 12, fontSize: 12 }}>
+        <label>From
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} style={{ display: "block" }} />
+        </label>
+        <label>To
+          <input type="date" value={to} onChange={(e) => setTo(e.target.value)} style={{ display: "block" }} />
+        </label>
+        <div>
+          Group by
+          <div style={{ display: "flex", gap: 8 }}>
+            {Object.entries(GROUP_LABELS).map(([g, label]) => (
+              <label key={g} style={{ display: "flex", alignItems: "center", gap: 4 }}>
+                <input type="checkbox" checked={group.includes(g)} onChange={() => toggleGroup(g)} /> {label}
+              </label>
+            ))}
+          </div>
+        </div>
+        <button onClick={exportCsv} style={{ padding: "6px 10px", borderRadius: 10, background: "#111", color: "#fff" }}>Export CSV</button>
+        <span style={{ marginLeft: "auto", color: "#6b7280" }}>{loading ? "Loading…" : `${rows.length} row${rows.length === 1 ? "" : "s"}`}</span>
+      </div>
+
+      {error && <div style={{ color: "#b91c1c", fontSize: 12, marginBottom: 8 }}>{error}</div>}
+
+      <table style={{ width: "100%", borderCollapse: "collapse", background: "#fff", border: "1px solid #e5e7eb", borderRadius: 12 }}>
+        <thead>
+          <tr>
+            {group.map((g) => <th key={g} style={th}>{GROUP_LABELS[g]}</th>)}
+            <th style={th}>Tracks</th>
+            <th style={th}>Distance</th>
+            <th style={th}>Time</th>
+            <th style={th}>Avg pace</th>
+            <th style={th}>Finds</th>
+            <th style={th}>Avg track age</th>
+            <th style={th}>Temperature</th>
+            <th style={th}>Wind</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((s, i) => (
+            <tr key={i}>
+              {group.map((g) => <td key={g} style={td}>{s[g]}</td>)}
+              <StatCells s={s} />
+            </tr>
+          ))}
+          {!rows.length && !loading && (
+            <tr><td style={{ ...td, color: "#6b7280" }} colSpan={group.length + 8}>No reports in this period.</td></tr>
+          )}
+          {totals && group.length > 0 && rows.length > 1 && (
+            <tr style={{ fontWeight: 600, background: "#f8fafc" }}>
+              <td style={td} colSpan={group.length}>Total</td>
+              <StatCells s={totals} />
+            </tr>
+          )}
+        </tbody>
+      </table>
+      <div style={{ marginTop: 8, fontSize: 12, color: "#6b7280" }}>
+        Counts reports in the period (by report date). Find rate is finds / (finds + no finds); training-only runs are not scored.
+      </div>
+    </div>
+  );
+}
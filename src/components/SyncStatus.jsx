@@ -0,0 +1,49 @@
+import React, { useState } from "react";
+import { useOutbox } from "../lib/outbox";
+
+const btn = { padding: "2px 8px", borderRadius: 8, border: "1px solid #e5e7eb", background: "#fff", color: "#111", fontSize: 12 };
+
+// Nav badge: offline / pending sync; opens the outbox list
+export default function SyncStatus() {
+  const { entries, online, pending, failed, retry, discard } = useOutbox();
+  const [open, setOpen] = useState(false);
+  if (online && !entries.length) return null;
+
+  const color = failed ? "#b91c1c" : !online ? "#b45309" : "#2563eb";
+  const text = [
+    !online && "Offline",
+    pending && `${pending} waiting to sync`,
+    failed && `${failed} failed`,
+  ].filter(Boolean).join(" · ") || "Offline";
+
+  return (
+    <span style={{ position: "relative", fontSize: 12 }}>
+      <button onClick={() => setOpen((o) => !o)} style={{ ...btn, color, borderColor: color }}>● {text}</button>
+      {open && (
+        <div style={{ position: "absolute", right: 0, top: "100%", marginTop: 6, width: 340, background: "#fff", border: "1px solid #e5e7eb", borderRadius: 12, boxShadow: "0 8px 24px rgba(0,0,0,.12)", padding: 8, zIndex: 1000 }}>
+          <div style={{ fontWeight: 600, marginBottom: 6 }}>Outbox</div>
+          {!entries.length && <div style={{ color: "#6b7280" }}>Nothing waiting. Changes will queue here while offline.</div>}
+          {entries.map((e) => (
+            <div key={e.id} style={{ borderTop: "1px solid #f1f5f9", padding: "6px 0" }}>
+              <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                <b>{e.label}</b>
+                <span style={{ color: e.status === "failed" ? "#b91c1c" : "#6b7280" }}>{e.status === "failed" ? "failed" : "pending"}</span>
+                <button onClick={() => retry(e.id)} style={{ ...btn, marginLeft: "auto" }}>Retry</button>
+                <button
+                  onClick={() => { if (confirm(`Discard "${e.label}"? It will not be sent.`)) discard(e.id); }}
+                  style={{ ...btn, color: "#b91c1c" }}
+                >Discard</button>
+              </div>
+              <div style={{ color: "#6b7280" }}>
+                Queued {new Date(e.createdAt).toLocaleTimeString()}
+                {e.attempts > 0 && ` · ${e.attempts} attempt${e.attempts === 1 ? "" : "s"}`}
+                {e.status === "pending" && e.attempts > 0 && e.nextAt && ` · next ${new Date(e.nextAt).toLocaleTimeString()}`}
+              </div>
+              {e.lastError && <div style={{ color: "#b91c1c" }}>{e.lastError}</div>}
+            </div>
+          ))}
+        </div>
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,105 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { MapContainer, Polyline, CircleMarker } from "react-leaflet";
+import { prettyDistance, prettyDuration } from "../lib/format";
+import { REPLAY_SPEEDS, useReplay } from "../lib/replay";
+import { apiFetch } from "../lib/api";
+import OfflineTileLayer from "./OfflineTileLayer";
+
+// Map layers: faint full route, growing trail and the moving marker
+export function ReplayLayers({ replay }) {
+  const { timeline, sample } = replay;
+  if (!sample) return null;
+  return (
+    <>
+      <Polyline positions={timeline.pts.map((p) => [p.lat, p.lon])} pathOptions={{ color: "#94a3b8", weight: 3, opacity: 0.5 }} />
+      <Polyline positions={sample.trail} pathOptions={{ color: "#2563eb", weight: 4, opacity: 0.9 }} />
+      <CircleMarker center={[timeline.pts[0].lat, timeline.pts[0].lon]} radius={5} pathOptions={{ color: "#059669" }} />
+      <CircleMarker center={[sample.pos.lat, sample.pos.lon]} radius={8} pathOptions={{ color: "#111", fillColor: "#facc15", fillOpacity: 1 }} />
+    </>
+  );
+}
+
+// Play / pause, speed, scrubber and stats at the scrub position
+export function ReplayControls({ replay }) {
+  const { timeline, t, playing, speed, setSpeed, play, pause, seek, sample } = replay;
+  if (!sample) return <div style={{fontSize:12, color:'#6b7280'}}>No points to replay.</div>;
+  return (
+    <div style={{fontSize:12}}>
+      <div style={{display:'flex', alignItems:'center', gap:6}}>
+        {playing ? (
+          <button onClick={pause} style={{padding:'4px 10px', borderRadius:10}}>Pause</button>
+        ) : (
+          <button onClick={play} style={{padding:'4px 10px', borderRadius:10, background:'#111', color:'#fff'}}>Play</button>
+        )}
+        {REPLAY_SPEEDS.map((s) => (
+          <button
+            key={s}
+            onClick={() => setSpeed(s)}
+            style={{padding:'2px 6px', borderRadius:8, background: speed === s ? '#e2e8f0' : 'transparent', fontWeight: speed === s ? 600 : 400}}
+          >{s}x</button>
+        ))}
+      </div>
+      <input
+        type="range"
+        min={0}
+        max={timeline.duration}
+        step={100}
+        value={t}
+        onChange={(e) => seek(Number(e.target.value))}
+        style={{width:'100%', marginTop:6}}
+      />
+      <div style={{display:'flex', justifyContent:'space-between', color:'#334155'}}>
+        <span>{prettyDuration(sample.elapsed)} / {prettyDuration(timeline.duration)}</span>
+        <span>{prettyDistance(sample.distance)}</span>
+        <span>{sample.speedKmh.toFixed(1)} km/h</span>
+      </div>
+    </div>
+  );
+}
+
+// /replay/:id — replay any stored track
+export default function ReplayPage() {
+  const { id } = useParams();
+  const [track, setTrack] = useState(null);
+  const [error, setError] = useState("");
+  const replay = useReplay(track?.points);
+
+  useEffect(() => {
+    let cancelled = false;
+    setTrack(null); setError("");
+    apiFetch(`/api/tracks/get?id=${encodeURIComponent(id)}`)
+      .then(async (r) => {
+        const js = await r.json().catch(() => ({}));
+        if (!r.ok || js.error) throw new Error(js.error || `HTTP ${r.status}`);
+        if (!cancelled) setTrack(js);
+      })
+      .catch((e) => { if (!cancelled) setError(e.message || String(e)); });
+    return () => { cancelled = true; };
+  }, [id]);
+
+  const line = replay.timeline.pts.map((p) => [p.lat, p.lon]);
+
+  return (
+    <div style={{height:'100%', width:'100%', background:'#f8fafc', position:'relative'}}>
+      <div style={{position:'absolute', top:16, left:16, zIndex:1000, padding:12, background:'rgba(255,255,255,0.95)', border:'1px solid #e5e7eb', borderRadius:16, boxShadow:'0 4px 16px rgba(0,0,0,.08)', width:360}}>
+        <div style={{display:'flex', alignItems:'center', marginBottom:6}}>
+          <div style={{fontSize:12, fontWeight:600}}>Replay {track?.report_no || ""}</div>
+          <Link to="/reports" style={{marginLeft:'auto', fontSize:12}}>Reports</Link>
+        </div>
+        {error && <div style={{fontSize:12, color:'#b91c1c'}}>{error}</div>}
+        {!track && !error && <div style={{fontSize:12}}>Loading…</div>}
+        {track && <ReplayControls replay={replay} />}
+      </div>
+
+      {line.length >= 2 ? (
+        <MapContainer bounds={line} boundsOptions={{ padding: [40, 40] }} style={{height:'100%', width:'100%'}}>
+          <OfflineTileLayer />
+          <ReplayLayers replay={replay} />
+        </MapContainer>
+      ) : track ? (
+        <div style={{padding:16, paddingTop:120, color:'#6b7280'}}>This track has no recorded points.</div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import React, { useState } from "react";
+import { CircleMarker, Tooltip } from "react-leaflet";
+import { WAYPOINT_TYPES, newWaypointId, readPhoto, waypointColor, waypointLabel } from "../lib/waypoints";
+
+// Map markers for waypoints
+export function WaypointLayers({ waypoints = [] }) {
+  return (
+    <>
+      {waypoints.map((w) => (
+        <CircleMarker
+          key={w.id}
+          center={[w.lat, w.lon]}
+          radius={7}
+          pathOptions={{ color: "#fff", weight: 2, fillColor: waypointColor(w), fillOpacity: 1 }}
+        >
+          <Tooltip>
+            <b>{waypointLabel(w)}</b> · {new Date(w.ts).toLocaleTimeString()}
+            {w.note && <div>{w.note}</div>}
+          </Tooltip>
+        </CircleMarker>
+      ))}
+    </>
+  );
+}
+
+/**
+ * Drop a waypoint at the dog's or the handler's current position, with a
+ * note and an optional photo; lists the waypoints of the current track.
+ */
+export function WaypointPanel({ waypoints = [], onChange = () => {}, dogPos = null, handlerPos = null, disabled = false }) {
+  const [type, setType] = useState("article");
+  const [label, setLabel] = useState("");
+  const [note, setNote] = useState("");
+  const [source, setSource] = useState("dog");
+  const [photo, setPhoto] = useState(null); // data URL
+  const [error, setError] = useState("");
+
+  const pos = source === "handler" ? handlerPos : dogPos;
+  const hasPos = pos && Number.isFinite(pos.lat) && Number.isFinite(pos.lon);
+
+  const onPhoto = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setError("");
+    try {
+      setPhoto(await readPhoto(file));
+    } catch (err) {
+      setError(err.message || String(err));
+    }
+  };
+
+  const add = () => {
+    onChange([...waypoints, {
+      id: newWaypointId(),
+      type,
+      label: type === "custom" ? label.trim() : "",
+      note: note.trim(),
+      ts: Date.now(),
+      lat: pos.lat,
+      lon: pos.lon,
+      source,
+      ...(photo ? { photoDataUrl: photo } : {}),
+    }]);
+    setNote(""); setPhoto(null);
+  };
+
+  return (
+    <div style={{marginTop:8, padding:8, border:'1px dashed #94a3b8', borderRadius:8}}>
+      <div style={{fontWeight:600, marginBottom:4}}>Waypoints</div>
+      <div style={{display:'flex', gap:6}}>
+        <select value={type} onChange={(e) => setType(e.target.value)} style={{flex:1}}>
+          {Object.entries(WAYPOINT_TYPES).map(([v, t]) => <option key={v} value={v}>{t.label}</option>)}
+        </select>
+        <select value={source} onChange={(e) => setSource(e.target.value)}>
+          <option value="dog">at dog</option>
+          <option value="handler" disabled={!handlerPos}>at handler</option>
+        </select>
+      </div>
+      {type === "custom" && (
+        <input value={label} onChange={(e) => setLabel(e.target.value)} placeholder="Type" style={{width:'100%', marginTop:4}} />
+      )}
+      <input value={note} onChange={(e) => setNote(e.target.value)} placeholder="Note" style={{width:'100%', marginTop:4}} />
+      <div style={{display:'flex', alignItems:'center', gap:6, marginTop:4}}>
+        <label style={{padding:'2px 8px', borderRadius:8, border:'1px solid #e5e7eb', cursor:'pointer'}}>
+          {photo ? "Change photo" : "Add photo"}
+          <input type="file" accept="image/*" capture="environment" onChange={onPhoto} style={{display:'none'}} />
+        </label>
+        {photo && (
+          <>
+            <img src={photo} alt="" style={{height:28, borderRadius:4}} />
+            <button onClick={() => setPhoto(null)} style={{padding:'0 6px', borderRadius:6}}>×</button>
+          </>
+        )}
+        <button
+          disabled={disabled || !hasPos || (type === "custom" && !label.trim())}
+          onClick={add}
+          style={{marginLeft:'auto', padding:'2px 8px', borderRadius:8, background:'#111', color:'#fff'}}
+        >Drop waypoint</button>
+      </div>
+      {!hasPos && <div style={{color:'#6b7280', marginTop:2}}>No {source} position yet.</div>}
+
+      {waypoints.map((w) => (
+        <div key={w.id} style={{display:'flex', alignItems:'center', gap:6, marginTop:4}}>
+          <span style={{width:10, height:10, borderRadius:'50%', background:waypointColor(w), flex:'none'}}></span>
+          <span style={{flex:1}}>
+            {new Date(w.ts).toLocaleTimeString()} · {waypointLabel(w)}{w.note ? ` – ${w.note}` : ""}
+          </span>
+          {(w.photo_url || w.photoDataUrl) && <img src={w.photo_url || w.photoDataUrl} alt="" style={{height:24, borderRadius:4}} />}
+          {!disabled && <button onClick={() => onChange(waypoints.filter((x) => x.id !== w.id))} style={{padding:'0 6px', borderRadius:6}}>×</button>}
+        </div>
+      ))}
+      {error && <div style={{marginTop:4, color:'#b91c1c'}}>{error}</div>}
+    </div>
+  );
+}
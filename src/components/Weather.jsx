@@ -0,0 +1,39 @@
+import React from "react";
+import { compassPoint } from "../lib/geo";
+import { describeConditions } from "../lib/weather";
+
+/**
+ * Wind arrow overlay for a map container. `dir` is where the wind blows
+ * from (meteorological); the arrow points downwind.
+ */
+export function WindArrow({ dir, speed, label = "Wind" }) {
+  if (dir == null) return null;
+  return (
+    <div style={{position:'absolute', right:12, bottom:24, zIndex:500, padding:'6px 8px', background:'rgba(255,255,255,0.95)', border:'1px solid #e5e7eb', borderRadius:12, boxShadow:'0 2px 8px rgba(0,0,0,.08)', fontSize:11, textAlign:'center'}}>
+      <svg width="40" height="40" viewBox="0 0 40 40" style={{display:'block', margin:'0 auto'}}>
+        <circle cx="20" cy="20" r="18" fill="none" stroke="#cbd5e1" />
+        <text x="20" y="9" fontSize="7" textAnchor="middle" fill="#94a3b8">N</text>
+        <g transform={`rotate(${(dir + 180) % 360} 20 20)`}>
+          <line x1="20" y1="32" x2="20" y2="12" stroke="#0f172a" strokeWidth="2.5" />
+          <polygon points="20,7 15,15 25,15" fill="#0f172a" />
+        </g>
+      </svg>
+      <div>{label}: {speed != null ? `${Math.round(speed)} km/h` : "—"} from {compassPoint(dir)}</div>
+    </div>
+  );
+}
+
+// Laid / run conditions from the stored weather record (older tracks: one reading)
+export function WeatherSummary({ weather }) {
+  if (!weather) return <div>Weather: —</div>;
+  if (!weather.run && !weather.laid) return <div>Weather: {describeConditions(weather)}</div>;
+  return (
+    <div>
+      {weather.laid && <div>Weather (laid): {describeConditions(weather.laid)}</div>}
+      {weather.run && <div>Weather (run): {describeConditions(weather.run)}</div>}
+      <div style={{color:'#6b7280'}}>
+        {(weather.run || weather.laid).series.length} hourly reading{(weather.run || weather.laid).series.length === 1 ? "" : "s"} · {(weather.run || weather.laid).provider}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+// src/lib/api.js
+// fetch() for our /api routes with the signed-in user's Supabase JWT attached.
+import { supabase } from "./supabaseClient";
+
+export async function authHeaders() {
+  try {
+    const { data } = await supabase.auth.getSession();
+    const token = data?.session?.access_token;
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  } catch {
+    return {};
+  }
+}
+
+export async function apiFetch(url, opts = {}) {
+  const headers = { ...(await authHeaders()), ...(opts.headers || {}) };
+  return fetch(url, { ...opts, headers });
+}
+
+/**
+ * Download an authenticated API response as a file (plain <a href> links
+ * can't carry the Authorization header).
+ */
+export async function downloadApi(url, fallbackName = "download") {
+  const r = await apiFetch(url);
+  if (!r.ok) {
+    const js = await r.json().catch(() => ({}));
+    throw new Error(js.error || `HTTP ${r.status}`);
+  }
+  const cd = r.headers.get("Content-Disposition") || "";
+  const name = /filename="?([^";]+)"?/i.exec(cd)?.[1] || fallbackName;
+  const blobUrl = URL.createObjectURL(await r.blob());
+  const a = document.createElement("a");
+  a.href = blobUrl;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(blobUrl), 1000);
+}
@@ -0,0 +1,32 @@
+// src/lib/auth.js
+// Current Supabase session + role (app_metadata.role: admin | operator | viewer).
+import { useEffect, useState } from "react";
+import { supabase } from "./supabaseClient";
+
+export const roleOf = (session) => {
+  const r = session?.user?.app_metadata?.role;
+  return ["admin", "operator", "viewer"].includes(r) ? r : "viewer";
+};
+
+// { loading, session, user, role }
+export function useSession() {
+  const [state, setState] = useState({ loading: true, session: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    supabase.auth.getSession()
+      .then(({ data }) => { if (!cancelled) setState({ loading: false, session: data?.session || null }); })
+      .catch(() => { if (!cancelled) setState({ loading: false, session: null }); });
+    const { data: sub } = supabase.auth.onAuthStateChange((_event, session) => {
+      setState({ loading: false, session: session || null });
+    });
+    return () => { cancelled = true; sub?.subscription?.unsubscribe(); };
+  }, []);
+
+  return {
+    loading: state.loading,
+    session: state.session,
+    user: state.session?.user || null,
+    role: state.session ? roleOf(state.session) : null,
+  };
+}
@@ -0,0 +1,38 @@
+// src/lib/brokers.js
+// Broker profiles from /api/brokers/list (no credentials; those stay server-side).
+import { useEffect, useState } from "react";
+import { apiFetch } from "./api";
+
+// Same rule as api/brokers/_profiles.js, so the UI can warn before connecting
+export function topicAllowed(profile, topic) {
+  if (!profile || !topic || topic.startsWith("$")) return false;
+  return (profile.topic_prefixes || []).some((raw) => {
+    const prefix = String(raw).replace(/\/+$/, "");
+    if (!prefix || /[#+]/.test(prefix)) return false;
+    return topic === prefix || topic.startsWith(`${prefix}/`);
+  });
+}
+
+// { profiles, error } — profiles is null until loaded
+export function useBrokerProfiles() {
+  const [profiles, setProfiles] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    apiFetch("/api/brokers/list")
+      .then(async (r) => {
+        const js = await r.json().catch(() => ({}));
+        if (!r.ok || js.error) throw new Error(js.error || `HTTP ${r.status}`);
+        if (!cancelled) setProfiles(js.profiles || []);
+      })
+      .catch((e) => { if (!cancelled) { setProfiles([]); setError(e.message || String(e)); } });
+    return () => { cancelled = true; };
+  }, []);
+
+  return { profiles, error };
+}
+
+// The profile a conn resolves to ("" -> the default one)
+export const profileFor = (profiles, id) =>
+  (profiles || []).find((p) => (id ? p.id === id : p.is_default)) || null;
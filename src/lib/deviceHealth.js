@@ -0,0 +1,100 @@
+// src/lib/deviceHealth.js
+// Device health (battery, signal, fix, message rate) and stale / low-battery alerts.
+import { useEffect, useRef, useState } from "react";
+import { beep } from "./beep";
+
+const STORAGE_KEY = "k9.healthConfig";
+
+export const DEFAULT_HEALTH = {
+  staleSec: 60,     // alert when a collar is silent this long while a track runs
+  lowBattery: 20,   // % — alert at or below
+  sound: true,
+};
+
+export function loadHealthConfig() {
+  try {
+    return { ...DEFAULT_HEALTH, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}") };
+  } catch {
+    return { ...DEFAULT_HEALTH };
+  }
+}
+
+export function saveHealthConfig(cfg) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(cfg));
+}
+
+// Messages per minute over the last `windowMs`
+export function msgRate(history, now = Date.now(), windowMs = 60000) {
+  const n = (history || []).filter((h) => now - h.t <= windowMs).length;
+  return (n * 60000) / windowMs;
+}
+
+// none | poor | fair | good, from fix flag, HDOP and satellite count
+export function fixQuality(msg) {
+  if (!msg || !msg.fix) return "none";
+  const { hdop, sats } = msg;
+  if ((Number.isFinite(hdop) && hdop > 5) || (Number.isFinite(sats) && sats < 4)) return "poor";
+  if ((Number.isFinite(hdop) && hdop > 2) || (Number.isFinite(sats) && sats < 7)) return "fair";
+  return "good";
+}
+
+// Last reported battery level. Collars that interleave position sentences
+// (no battery) with status messages would otherwise flap between known and unknown.
+export function lastBattery(d) {
+  const h = d?.history || [];
+  for (let i = h.length - 1; i >= 0; i--) if (Number.isFinite(h[i].battery)) return h[i].battery;
+  return Number.isFinite(d?.latest?.battery) ? d.latest.battery : null;
+}
+
+/**
+ * Current alerts for all devices.
+ * Stale alerts only fire while a track is running; battery alerts always.
+ * Returns [{ key, device, type: "stale" | "battery", message }].
+ */
+export function healthAlerts(devices, cfg, { tracking = false, now = Date.now() } = {}) {
+  const out = [];
+  for (const d of Object.values(devices || {})) {
+    const silentMs = now - d.lastSeen;
+    if (tracking && cfg.staleSec > 0 && silentMs > cfg.staleSec * 1000) {
+      out.push({ key: `stale:${d.id}`, device: d.id, type: "stale", message: `${d.id} silent for ${Math.round(silentMs / 1000)}s` });
+    }
+    const battery = lastBattery(d);
+    if (Number.isFinite(battery) && battery <= cfg.lowBattery) {
+      out.push({ key: `battery:${d.id}`, device: d.id, type: "battery", message: `${d.id} battery ${Math.round(battery)}%` });
+    }
+  }
+  return out;
+}
+
+/**
+ * Re-evaluates alerts every second, beeps when a new one appears and lets
+ * the operator acknowledge (silence) them until they clear and come back.
+ * Returns { alerts, unacked, acknowledge, now }.
+ */
+export function useHealthAlerts(devices, cfg, tracking) {
+  const [now, setNow] = useState(Date.now());
+  const [acked, setAcked] = useState({}); // key -> true
+  const seenRef = useRef(new Set());
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  const alerts = healthAlerts(devices, cfg, { tracking, now });
+  const keys = alerts.map((a) => a.key).join("|");
+
+  useEffect(() => {
+    const current = new Set(alerts.map((a) => a.key));
+    const fresh = alerts.filter((a) => !seenRef.current.has(a.key));
+    seenRef.current = current;
+    // Cleared alerts can fire (and be acknowledged) again
+    setAcked((prev) => Object.fromEntries(Object.entries(prev).filter(([k]) => current.has(k))));
+    if (fresh.length && cfg.sound) beep();
+  }, [keys]);
+
+  const unacked = alerts.filter((a) => !acked[a.key]);
+  const acknowledge = () => setAcked(Object.fromEntries(alerts.map((a) => [a.key, true])));
+
+  return { alerts, unacked, acknowledge, now };
+}
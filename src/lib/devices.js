@@ -0,0 +1,68 @@
+// src/lib/devices.js
+// Per-device live state for maps that subscribe to wildcard topics (devices/#).
+import { useCallback, useState } from "react";
+
+const PALETTE = ["#2563eb", "#dc2626", "#059669", "#d97706", "#7c3aed", "#db2777", "#0891b2", "#65a30d"];
+
+/**
+ * Device id for a telemetry message: an explicit payload field wins,
+ * otherwise the segment after "devices/" in the topic, otherwise the topic.
+ * A bare `id` is not used: payloads often carry a message or sequence id there.
+ */
+export function deviceIdFrom(topic, payload) {
+  const fromPayload = payload && (payload.device_id ?? payload.deviceId ?? payload.device);
+  if (fromPayload != null && fromPayload !== "") return String(fromPayload);
+  const parts = String(topic || "").split("/").filter(Boolean);
+  const i = parts.indexOf("devices");
+  if (i >= 0 && parts[i + 1]) return parts[i + 1];
+  return parts.length ? parts.join("/") : "unknown";
+}
+
+/**
+ * Keyed device positions with short trails, plus hide/follow UI state.
+ * Call `update(msg)` from the useSSE onMessage callback with every message;
+ * ones without a position still count for health (battery, signal, rate).
+ */
+export function useDevices({ trailLength = 60, historyLength = 120 } = {}) {
+  // id -> { id, color, last (last position msg), latest (last msg), trail,
+  //         history: [{ t, battery, sats, hdop, rssi, fix }], lastSeen, msgCount }
+  const [devices, setDevices] = useState({});
+  const [hidden, setHidden] = useState({});   // id -> true
+  const [follow, setFollow] = useState(null); // id | null
+
+  const update = useCallback((msg) => {
+    if (!msg) return;
+    const id = msg.device || "unknown";
+    const hasPos = Number.isFinite(msg.lat) && Number.isFinite(msg.lon);
+    const t = msg.receivedAt || Date.now();
+    setDevices((prev) => {
+      const cur = prev[id];
+      const color = cur?.color || PALETTE[Object.keys(prev).length % PALETTE.length];
+      const trail = hasPos ? [...(cur?.trail || []), [msg.lat, msg.lon]].slice(-trailLength) : (cur?.trail || []);
+      const sample = { t, battery: msg.battery ?? null, sats: msg.sats ?? null, hdop: msg.hdop ?? null, rssi: msg.rssi ?? null, fix: !!msg.fix };
+      const history = [...(cur?.history || []), sample].slice(-historyLength);
+      return {
+        ...prev,
+        [id]: {
+          id, color, trail, history,
+          last: hasPos ? msg : cur?.last || null,
+          latest: msg,
+          lastSeen: t,
+          msgCount: (cur?.msgCount || 0) + 1,
+        },
+      };
+    });
+  }, [trailLength, historyLength]);
+
+  const toggleHidden = useCallback((id) => {
+    setHidden((h) => ({ ...h, [id]: !h[id] }));
+  }, []);
+
+  const toggleFollow = useCallback((id) => {
+    setFollow((f) => (f === id ? null : id));
+  }, []);
+
+  const reset = useCallback(() => { setDevices({}); setFollow(null); }, []);
+
+  return { devices, hidden, follow, update, toggleHidden, toggleFollow, reset };
+}
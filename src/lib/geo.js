@@ -0,0 +1,50 @@
+// src/lib/geo.js
+// Small geodesy helpers shared by the tracker, viewer and report code.
+
+export const haversine = (a, b) => {
+  if (!a || !b) return 0;
+  const R = 6371000;
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const lat1 = toRad(a.lat);
+  const lat2 = toRad(b.lat);
+  const x =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+  const d = 2 * Math.atan2(Math.sqrt(x), Math.sqrt(1 - x));
+  return R * d;
+};
+
+// Sum of haversine segments along a list of {lat, lon}
+export const pathLength = (pts) => {
+  let d = 0;
+  for (let i = 1; i < (pts?.length || 0); i++) d += haversine(pts[i - 1], pts[i]);
+  return d;
+};
+
+// Local equirectangular projection (meters) around a reference latitude.
+// Good enough for track-sized areas (a few km).
+export const projector = (refLat) => {
+  const R = 6371000;
+  const k = Math.cos((refLat * Math.PI) / 180);
+  return {
+    toXY: (p) => ({ x: (p.lon * Math.PI / 180) * R * k, y: (p.lat * Math.PI / 180) * R }),
+    toLatLon: (q) => ({ lat: (q.y / R) * 180 / Math.PI, lon: (q.x / (R * k)) * 180 / Math.PI }),
+  };
+};
+
+// Initial great-circle bearing from a to b, degrees clockwise from north (0..360)
+export const bearing = (a, b) => {
+  if (!a || !b) return null;
+  const toRad = (d) => (d * Math.PI) / 180;
+  const lat1 = toRad(a.lat), lat2 = toRad(b.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+// 0 -> "N", 100 -> "E", 230 -> "SW"
+export const compassPoint = (deg) =>
+  Number.isFinite(deg) ? ["N", "NE", "E", "SE", "S", "SW", "W", "NW"][Math.round(deg / 45) % 8] : "—";
@@ -0,0 +1,90 @@
+// src/lib/geofence.js
+// Geofences (polygons and circles) and boundary-crossing detection.
+//
+// Fence: { id, name, rule: "keep_in" | "keep_out", shape }
+//   shape: { type: "polygon", points: [[lat, lon], ...] }
+//        | { type: "circle", center: [lat, lon], radius_m }
+// keep_in  - assigned sector; leaving it is a violation
+// keep_out - road, water, ...; entering it is a violation
+import { haversine, projector } from "./geo";
+
+export const FENCE_RULES = {
+  keep_in: "Stay inside",
+  keep_out: "Keep out",
+};
+
+// Ray casting on a local flat projection (fine at search-area scale)
+function inPolygon(points, p) {
+  if (!points || points.length < 3) return false;
+  const { toXY } = projector(points[0][0]);
+  const { x, y } = toXY(p);
+  const poly = points.map(([lat, lon]) => toXY({ lat, lon })).map((q) => [q.x, q.y]);
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const [xi, yi] = poly[i], [xj, yj] = poly[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+export function fenceContains(fence, p) {
+  const s = fence?.shape;
+  if (!s || !Number.isFinite(p?.lat) || !Number.isFinite(p?.lon)) return false;
+  if (s.type === "circle") return haversine({ lat: s.center[0], lon: s.center[1] }, p) <= s.radius_m;
+  if (s.type === "polygon") return inPolygon(s.points, p);
+  return false;
+}
+
+export const isViolation = (fence, type) =>
+  (fence.rule === "keep_in" && type === "exit") || (fence.rule === "keep_out" && type === "enter");
+
+/**
+ * Stateful crossing detector. `check(point)` returns the crossings since the
+ * previous point: [{ fence_id, name, rule, type: "enter" | "exit", violation, ts, lat, lon }].
+ * The first point only establishes inside/outside, except that starting
+ * inside a keep_out fence or outside a keep_in fence is reported as a violation.
+ */
+export function createFenceMonitor() {
+  let state = new Map(); // fence id -> inside?
+
+  return {
+    check(fences, point) {
+      const out = [];
+      const next = new Map();
+      for (const f of fences || []) {
+        const inside = fenceContains(f, point);
+        next.set(f.id, inside);
+        const was = state.get(f.id);
+        let type = null;
+        if (was === undefined) {
+          if (f.rule === "keep_in" && !inside) type = "exit";
+          if (f.rule === "keep_out" && inside) type = "enter";
+        } else if (was !== inside) {
+          type = inside ? "enter" : "exit";
+        }
+        if (type) {
+          out.push({
+            fence_id: f.id,
+            name: f.name,
+            rule: f.rule,
+            type,
+            violation: isViolation(f, type),
+            ts: point.ts ?? Date.now(),
+            lat: point.lat,
+            lon: point.lon,
+          });
+        }
+      }
+      state = next;
+      return out;
+    },
+    reset() {
+      state = new Map();
+    },
+  };
+}
+
+export const newFenceId = () => `f-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// "Left North sector", "Entered Creek"
+export const describeCrossing = (e) => `${e.type === "enter" ? "Entered" : "Left"} ${e.name}`;
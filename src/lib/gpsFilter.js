@@ -0,0 +1,121 @@
+// src/lib/gpsFilter.js
+// Breadcrumb filter pipeline: fix quality gate -> speed gate -> optional
+// Kalman smoothing -> minimum movement. Stateful; one instance per track.
+import { haversine } from "./geo";
+
+export const DEFAULT_FILTER = {
+  enabled: true,
+  maxSpeedKmh: 40,   // faster than a running dog -> bad fix
+  minMoveM: 3,       // smaller steps are standing-still jitter
+  maxHdop: 5,        // ignored when the device doesn't send HDOP
+  minSats: 4,        // ignored when the device doesn't send a count
+  kalman: false,
+  kalmanNoise: 3,    // process noise, m/s (higher = follows fixes more closely)
+};
+
+/**
+ * Minimal position-only Kalman filter (isotropic variance, meters),
+ * the usual smoother for phone/collar GPS. Variances are in meters; the gain
+ * doesn't depend on coordinate units, so lat/lon are blended directly.
+ */
+function createKalman(qMetersPerSec) {
+  let lat = null, lon = null, variance = -1, lastTs = 0;
+  return {
+    push({ lat: mLat, lon: mLon, ts, accuracy }) {
+      const acc = Math.max(1, accuracy);
+      if (variance < 0) {
+        lat = mLat; lon = mLon; variance = acc * acc; lastTs = ts;
+        return { lat, lon };
+      }
+      const dt = Math.max(0, (ts - lastTs) / 1000);
+      if (dt > 0) { variance += dt * qMetersPerSec * qMetersPerSec; lastTs = ts; }
+      const k = variance / (variance + acc * acc);
+      lat += k * (mLat - lat);
+      lon += k * (mLon - lon);
+      variance = (1 - k) * variance;
+      return { lat, lon };
+    },
+  };
+}
+
+const NUMERIC = ["maxSpeedKmh", "minMoveM", "maxHdop", "minSats", "kalmanNoise"];
+
+/**
+ * Settings with defaults filled in. Empty, negative or non-numeric values
+ * (a cleared input stores "") fall back to the default instead of
+ * comparing as 0 and rejecting every fix.
+ */
+export function normalizeFilter(config) {
+  const c = { ...DEFAULT_FILTER, ...config };
+  for (const k of NUMERIC) {
+    const v = c[k];
+    c[k] = v === "" || v == null || !Number.isFinite(Number(v)) || Number(v) < 0 ? DEFAULT_FILTER[k] : Number(v);
+  }
+  if (!(c.maxSpeedKmh > 0)) c.maxSpeedKmh = DEFAULT_FILTER.maxSpeedKmh;
+  return c;
+}
+
+/**
+ * @param {typeof DEFAULT_FILTER} config
+ * @returns {{ push(fix): { accepted: boolean, point?: object, reason?: string }, stats: object }}
+ *   `fix` is { lat, lon, ts, sats?, hdop? }. Rejection reasons: "quality", "speed", "jitter".
+ */
+export function createGpsFilter(config = DEFAULT_FILTER) {
+  const cfg = normalizeFilter(config);
+  const kalman = cfg.kalman ? createKalman(cfg.kalmanNoise) : null;
+  const stats = { received: 0, accepted: 0, quality: 0, speed: 0, jitter: 0 };
+  let lastRaw = null;      // last fix that passed the quality + speed gates
+  let lastAccepted = null; // last emitted breadcrumb
+  let speedRejects = 0;    // consecutive; a run of them means the anchor fix was the bad one
+
+  const reject = (reason) => { stats[reason]++; return { accepted: false, reason }; };
+
+  return {
+    stats,
+    push(fix) {
+      stats.received++;
+      if (!cfg.enabled) {
+        stats.accepted++;
+        return { accepted: true, point: { lat: fix.lat, lon: fix.lon, ts: fix.ts } };
+      }
+
+      if (Number.isFinite(fix.sats) && fix.sats > 0 && fix.sats < cfg.minSats) return reject("quality");
+      if (Number.isFinite(fix.hdop) && fix.hdop > cfg.maxHdop) return reject("quality");
+
+      // Compare against the last plausible fix, so one outlier can't drag the gate along
+      if (lastRaw) {
+        const dt = (fix.ts - lastRaw.ts) / 1000;
+        const d = haversine(lastRaw, fix);
+        if (dt > 0 && (d / dt) * 3.6 > cfg.maxSpeedKmh && ++speedRejects < 5) return reject("speed");
+      }
+      speedRejects = 0;
+      lastRaw = fix;
+
+      let p = { lat: fix.lat, lon: fix.lon, ts: fix.ts };
+      if (kalman) {
+        const accuracy = Number.isFinite(fix.hdop) ? fix.hdop * 5 : 10;
+        const s = kalman.push({ lat: fix.lat, lon: fix.lon, ts: fix.ts, accuracy });
+        p = { lat: s.lat, lon: s.lon, ts: fix.ts };
+      }
+
+      if (lastAccepted && haversine(lastAccepted, p) < cfg.minMoveM) return reject("jitter");
+
+      lastAccepted = p;
+      stats.accepted++;
+      return { accepted: true, point: p };
+    },
+  };
+}
+
+// Short human label of the active settings, for summaries and the PDF
+export function describeFilter(config) {
+  if (!config || !config.enabled) return "raw (no filtering)";
+  const c = normalizeFilter(config);
+  return [
+    `speed ≤ ${c.maxSpeedKmh} km/h`,
+    `move ≥ ${c.minMoveM} m`,
+    `HDOP ≤ ${c.maxHdop}`,
+    `sats ≥ ${c.minSats}`,
+    c.kalman ? "Kalman" : null,
+  ].filter(Boolean).join(", ");
+}
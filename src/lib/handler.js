@@ -0,0 +1,61 @@
+// src/lib/handler.js
+// Handler (phone) position from browser geolocation, recorded as a second
+// breadcrumb line next to the dog's collar track.
+import { useEffect, useState } from "react";
+import { haversine, pathLength } from "./geo";
+
+/**
+ * Watches the browser position while `enabled`.
+ * Returns { pos: { lat, lon, acc, ts } | null, error }.
+ */
+export function useHandlerPosition(enabled) {
+  const [pos, setPos] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!enabled) return;
+    if (!navigator.geolocation) {
+      setError("Geolocation is not available in this browser");
+      return;
+    }
+    setError("");
+    const id = navigator.geolocation.watchPosition(
+      (p) => setPos({ lat: p.coords.latitude, lon: p.coords.longitude, acc: p.coords.accuracy, ts: p.timestamp || Date.now() }),
+      (e) => setError(e.message || "Location unavailable"),
+      { enableHighAccuracy: true, maximumAge: 5000, timeout: 30000 }
+    );
+    return () => navigator.geolocation.clearWatch(id);
+  }, [enabled]);
+
+  return { pos: enabled ? pos : null, error: enabled ? error : "" };
+}
+
+// Handler fix closest in time to `ts` (points sorted by ts)
+function nearestInTime(pts, ts) {
+  let lo = 0, hi = pts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (pts[mid].ts < ts) lo = mid + 1; else hi = mid;
+  }
+  if (lo > 0 && Math.abs(pts[lo - 1].ts - ts) < Math.abs(pts[lo].ts - ts)) lo--;
+  return pts[lo];
+}
+
+/**
+ * Handler path stats against the dog's breadcrumbs: distance walked and the
+ * mean / max handler-to-dog separation, pairing each dog fix with the handler
+ * fix nearest in time (pairs more than `maxGapMs` apart are skipped).
+ */
+export function handlerStats(handlerPts, dogPts, maxGapMs = 30000) {
+  if (!handlerPts?.length) return null;
+  const seps = [];
+  for (const d of dogPts || []) {
+    const h = nearestInTime(handlerPts, d.ts);
+    if (Math.abs(h.ts - d.ts) <= maxGapMs) seps.push(haversine(h, d));
+  }
+  return {
+    distance_m: Number(pathLength(handlerPts).toFixed(1)),
+    mean_separation_m: seps.length ? Number((seps.reduce((a, b) => a + b, 0) / seps.length).toFixed(1)) : null,
+    max_separation_m: seps.length ? Number(seps.reduce((m, s) => (s > m ? s : m), 0).toFixed(1)) : null,
+  };
+}
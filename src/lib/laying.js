@@ -0,0 +1,43 @@
+// src/lib/laying.js
+// Laying metadata for a track (mirrors api/tracks/_laying.js) and track age.
+
+export const SURFACES = {
+  grass: "Grass",
+  field: "Field",
+  forest: "Forest",
+  gravel: "Gravel",
+  asphalt: "Asphalt",
+  concrete: "Concrete",
+  sand: "Sand",
+  snow: "Snow",
+  mixed: "Mixed",
+};
+
+export const DIFFICULTIES = {
+  1: "1 – Beginner",
+  2: "2 – Easy",
+  3: "3 – Intermediate",
+  4: "4 – Advanced",
+  5: "5 – Expert",
+};
+
+export const EMPTY_LAYING = { laid_at: null, tracklayer: "", surfaces: [], turns: null, articles: null, difficulty: null };
+
+// Milliseconds between laying and running (null when either is unknown)
+export function trackAgeMs(laying, startedAt) {
+  const laid = Date.parse(laying?.laid_at || "");
+  const run = typeof startedAt === "number" ? startedAt : Date.parse(startedAt || "");
+  return Number.isNaN(laid) || Number.isNaN(run) || run < laid ? null : run - laid;
+}
+
+// "Forest, gravel · 3 turns · 2 articles · difficulty 3"
+export function describeLaying(l) {
+  if (!l) return "—";
+  return [
+    l.tracklayer ? `laid by ${l.tracklayer}` : null,
+    l.surfaces?.length ? l.surfaces.map((s) => SURFACES[s] || s).join(", ") : null,
+    l.turns != null ? `${l.turns} turn${l.turns === 1 ? "" : "s"}` : null,
+    l.articles != null ? `${l.articles} article${l.articles === 1 ? "" : "s"}` : null,
+    l.difficulty != null ? `difficulty ${l.difficulty}` : null,
+  ].filter(Boolean).join(" · ") || "—";
+}
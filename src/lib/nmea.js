@@ -0,0 +1,113 @@
+// src/lib/nmea.js
+// Minimal NMEA 0183 parsing for GGA and RMC sentences (any talker: GP, GN, GL, ...).
+
+// "4807.038", "N" -> 48.1173
+function coord(value, hemi) {
+  if (!value) return null;
+  const v = Number(value);
+  if (!Number.isFinite(v)) return null;
+  const deg = Math.floor(v / 100);
+  const dec = deg + (v - deg * 100) / 60;
+  return hemi === "S" || hemi === "W" ? -dec : dec;
+}
+
+const num = (v) => (v === "" || v == null || !Number.isFinite(Number(v)) ? null : Number(v));
+
+// hhmmss(.ss) -> ms since UTC midnight
+function timeOfDay(hms) {
+  if (!/^\d{6}(\.\d+)?$/.test(hms || "")) return null;
+  const h = Number(hms.slice(0, 2)), m = Number(hms.slice(2, 4)), s = Number(hms.slice(4));
+  return ((h * 60 + m) * 60 + s) * 1000;
+}
+
+// ddmmyy -> ms at UTC midnight
+function dateOf(ddmmyy) {
+  if (!/^\d{6}$/.test(ddmmyy || "")) return null;
+  const d = Number(ddmmyy.slice(0, 2)), mo = Number(ddmmyy.slice(2, 4)), yy = Number(ddmmyy.slice(4));
+  const y = yy < 80 ? 2000 + yy : 1900 + yy;
+  return Date.UTC(y, mo - 1, d);
+}
+
+// GGA only carries the time of day: put it on the nearest UTC day to `now`
+function nearestDay(tod, now = Date.now()) {
+  const day = new Date(now);
+  let t = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()) + tod;
+  if (t - now > 12 * 3600 * 1000) t -= 24 * 3600 * 1000;
+  else if (now - t > 12 * 3600 * 1000) t += 24 * 3600 * 1000;
+  return t;
+}
+
+function checksumOk(sentence) {
+  const star = sentence.lastIndexOf("*");
+  if (star < 0) return true; // no checksum sent
+  const want = parseInt(sentence.slice(star + 1, star + 3), 16);
+  let sum = 0;
+  for (let i = 1; i < star; i++) sum ^= sentence.charCodeAt(i);
+  return sum === want;
+}
+
+export function parseSentence(line) {
+  const s = String(line || "").trim();
+  if (!/^[$!][A-Z]{2}[A-Z]{3},/.test(s) || !checksumOk(s)) return null;
+  const f = s.replace(/\*[0-9A-Fa-f]{2}$/, "").split(",");
+  const type = f[0].slice(3);
+
+  if (type === "GGA") {
+    const quality = num(f[6]) || 0;
+    return {
+      type,
+      tod: timeOfDay(f[1]),
+      lat: coord(f[2], f[3]),
+      lon: coord(f[4], f[5]),
+      fix: quality > 0,
+      sats: num(f[7]),
+      hdop: num(f[8]),
+      alt: num(f[9]),
+    };
+  }
+
+  if (type === "RMC") {
+    const tod = timeOfDay(f[1]);
+    const date = dateOf(f[9]);
+    const knots = num(f[7]);
+    return {
+      type,
+      tod,
+      gpsTime: tod != null && date != null ? date + tod : null,
+      fix: f[2] === "A",
+      lat: coord(f[3], f[4]),
+      lon: coord(f[5], f[6]),
+      speedKmh: knots != null ? knots * 1.852 : null,
+      heading: num(f[8]),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Parse one or more sentences (newline separated) and merge GGA + RMC
+ * into a single fix. Returns null when nothing usable was found.
+ */
+export function parseNmea(text, now = Date.now()) {
+  const parsed = String(text || "").split(/\r?\n/).map(parseSentence).filter(Boolean);
+  if (!parsed.length) return null;
+
+  const gga = parsed.filter((p) => p.type === "GGA").pop() || null;
+  const rmc = parsed.filter((p) => p.type === "RMC").pop() || null;
+  const pos = gga || rmc;
+  let gpsTime = rmc?.gpsTime ?? null;
+  if (gpsTime == null && gga?.tod != null) gpsTime = nearestDay(gga.tod, now);
+
+  return {
+    lat: pos.lat,
+    lon: pos.lon,
+    fix: gga ? gga.fix : rmc.fix,
+    sats: gga?.sats ?? null,
+    hdop: gga?.hdop ?? null,
+    alt: gga?.alt ?? null,
+    speedKmh: rmc?.speedKmh ?? null,
+    heading: rmc?.heading ?? null,
+    gpsTime,
+  };
+}
@@ -0,0 +1,272 @@
+// src/lib/outbox.js
+// Persistent outbox for API writes that must not be lost to a dead network
+// (track create / finish, snapshots, reports). Requests that fail with a
+// network error or a retryable status are kept in IndexedDB and re-sent in
+// order with exponential backoff, across reloads.
+//
+// A track created while offline gets a local id ("local-…"). Queued bodies may
+// use it as `track_id` / `id`; it is swapped for the server id once the
+// create has gone through, and entries wait until then.
+import { useEffect, useState } from "react";
+import { apiFetch } from "./api";
+
+const DB_NAME = "k9-outbox";
+const DB_VERSION = 1;
+const ENTRIES = "entries"; // id -> { id, seq, kind, label, url, body, localId, status, attempts, nextAt, lastError, createdAt }
+const IDS = "ids";         // local id -> server id
+
+const RETRY_STATUS = new Set([0, 401, 408, 425, 429, 500, 502, 503, 504]);
+const BASE_DELAY = 5000;
+const MAX_DELAY = 10 * 60 * 1000;
+const REF_KEYS = ["track_id", "id"];
+
+/* ---------- IndexedDB ---------- */
+
+let _db = null;
+function openDb() {
+  if (_db) return _db;
+  _db = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB unavailable"));
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(ENTRIES)) db.createObjectStore(ENTRIES, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(IDS)) db.createObjectStore(IDS);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  _db.catch(() => { _db = null; });
+  return _db;
+}
+
+async function tx(store, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(store, mode);
+    const req = fn(t.objectStore(store));
+    t.oncomplete = () => resolve(req?.result);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error);
+  });
+}
+
+const putEntry = (e) => tx(ENTRIES, "readwrite", (s) => s.put(e));
+const removeEntry = (id) => tx(ENTRIES, "readwrite", (s) => s.delete(id));
+
+export function listOutbox() {
+  return tx(ENTRIES, "readonly", (s) => s.getAll()).then((rows) => (rows || []).sort((a, b) => a.seq - b.seq));
+}
+
+/* ---------- local ids ---------- */
+
+const rand = () => Math.random().toString(36).slice(2, 8);
+export const newLocalId = () => `local-${Date.now().toString(36)}-${rand()}`;
+export const isLocalId = (v) => typeof v === "string" && v.startsWith("local-");
+
+/** Server id for a local one, once its create has synced (else null) */
+export function resolveLocalId(localId) {
+  return tx(IDS, "readonly", (s) => s.get(localId)).then((v) => v || null);
+}
+
+// Body with synced local ids replaced; null while any is still unknown
+async function withServerIds(body) {
+  if (!body || typeof body !== "object") return body;
+  const out = { ...body };
+  for (const k of REF_KEYS) {
+    if (!isLocalId(out[k])) continue;
+    const id = await resolveLocalId(out[k]);
+    if (!id) return null;
+    out[k] = id;
+  }
+  return out;
+}
+
+/* ---------- listeners ---------- */
+
+const listeners = new Set();
+/** fn({ type: "change" }) or fn({ type: "sent", entry, status, js }) */
+export function subscribeOutbox(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+const emit = (ev) => listeners.forEach((fn) => { try { fn(ev); } catch (e) { console.error(e); } });
+
+/* ---------- sending ---------- */
+
+async function post(url, body) {
+  try {
+    const r = await apiFetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: r.status, js: await r.json().catch(() => ({})) };
+  } catch (e) {
+    return { status: 0, js: { error: e.message || "Network error" } };
+  }
+}
+
+const delayFor = (attempts) => Math.min(MAX_DELAY, BASE_DELAY * 2 ** attempts) * (0.75 + Math.random() * 0.5);
+
+let seq = 0;
+async function enqueue({ kind, label, url, body, localId = null }) {
+  const now = Date.now();
+  const entry = {
+    id: `ob-${now.toString(36)}-${rand()}`,
+    seq: now * 1000 + (seq++ % 1000),
+    kind,
+    label: label || kind,
+    url,
+    body,
+    localId,
+    status: "pending",
+    attempts: 0,
+    nextAt: now,
+    lastError: null,
+    createdAt: now,
+  };
+  await putEntry(entry);
+  emit({ type: "change" });
+  scheduleFlush(0);
+  return entry;
+}
+
+/**
+ * POST now if possible, otherwise queue it. Resolves with
+ *   { ok: true, status, js }          sent
+ *   { queued: true, entry }           kept for retry (offline, 5xx, waiting on a local id)
+ *   { ok: false, status, js }         rejected by the server (4xx); not queued
+ * Creates pass `localId` so later queued requests can refer to the track.
+ */
+export async function sendOrQueue({ kind, label, url, body, localId = null }) {
+  const pending = (await listOutbox().catch(() => [])).some((e) => e.status === "pending");
+  const ready = pending ? null : await withServerIds(body).catch(() => null);
+  if (ready && (typeof navigator === "undefined" || navigator.onLine !== false)) {
+    const { status, js } = await post(url, ready);
+    if (status >= 200 && status < 300) return { ok: true, status, js };
+    if (!RETRY_STATUS.has(status)) return { ok: false, status, js };
+  }
+  try {
+    return { queued: true, entry: await enqueue({ kind, label, url, body, localId }) };
+  } catch (e) {
+    // No IndexedDB: nothing more we can do than report the failure
+    return { ok: false, status: 0, js: { error: e.message || String(e) } };
+  }
+}
+
+let _flushing = null;
+let _timer = null;
+
+function scheduleFlush(ms) {
+  clearTimeout(_timer);
+  _timer = setTimeout(() => { flushOutbox(); }, Math.max(0, ms));
+}
+
+async function flushOnce() {
+  const entries = await listOutbox();
+  let next = Infinity;
+  for (const e of entries) {
+    if (e.status !== "pending") continue;
+    if (e.nextAt > Date.now()) {
+      next = Math.min(next, e.nextAt);
+      // Keep order: later entries may depend on this one
+      break;
+    }
+    const body = await withServerIds(e.body);
+    if (!body) continue; // its create hasn't synced yet
+
+    const { status, js } = await post(e.url, body);
+    if (status >= 200 && status < 300) {
+      if (e.localId && js?.id) await tx(IDS, "readwrite", (s) => s.put(js.id, e.localId));
+      await removeEntry(e.id);
+      emit({ type: "sent", entry: e, status, js });
+      emit({ type: "change" });
+      continue;
+    }
+    const retry = RETRY_STATUS.has(status);
+    const attempts = e.attempts + 1;
+    const nextAt = retry ? Date.now() + delayFor(attempts) : null;
+    await putEntry({
+      ...e,
+      attempts,
+      status: retry ? "pending" : "failed",
+      nextAt,
+      lastError: js?.error || `HTTP ${status}`,
+    });
+    emit({ type: "change" });
+    if (retry) {
+      next = nextAt;
+      break;
+    }
+  }
+  if (Number.isFinite(next)) scheduleFlush(next - Date.now());
+}
+
+/** Send everything that is due. Only one tab flushes at a time. */
+export function flushOutbox() {
+  if (_flushing) return _flushing;
+  const run = () => flushOnce().catch((e) => console.error("outbox flush failed:", e));
+  _flushing = (navigator.locks ? navigator.locks.request("k9-outbox", run) : run())
+    .finally(() => { _flushing = null; });
+  return _flushing;
+}
+
+/** Send a failed or waiting entry again right away */
+export async function retryEntry(id) {
+  const e = (await listOutbox()).find((x) => x.id === id);
+  if (!e) return;
+  await putEntry({ ...e, status: "pending", nextAt: Date.now() });
+  emit({ type: "change" });
+  return flushOutbox();
+}
+
+/** Drop an entry; dropping a create also drops everything queued for that track */
+export async function discardEntry(id) {
+  const entries = await listOutbox();
+  const e = entries.find((x) => x.id === id);
+  if (!e) return;
+  const doomed = e.localId ? entries.filter((x) => x === e || REF_KEYS.some((k) => x.body?.[k] === e.localId)) : [e];
+  for (const x of doomed) await removeEntry(x.id);
+  emit({ type: "change" });
+}
+
+let _started = false;
+function startOutbox() {
+  if (_started || typeof window === "undefined") return;
+  _started = true;
+  window.addEventListener("online", () => flushOutbox());
+  document.addEventListener("visibilitychange", () => { if (document.visibilityState === "visible") flushOutbox(); });
+  flushOutbox();
+}
+
+/** Queue contents + connectivity for status UI; also keeps the outbox flushing */
+export function useOutbox() {
+  const [entries, setEntries] = useState([]);
+  const [online, setOnline] = useState(typeof navigator === "undefined" ? true : navigator.onLine);
+
+  useEffect(() => {
+    startOutbox();
+    const load = () => listOutbox().then(setEntries).catch(() => {});
+    load();
+    const unsub = subscribeOutbox((ev) => { if (ev.type === "change") load(); });
+    const on = () => setOnline(true);
+    const off = () => setOnline(false);
+    window.addEventListener("online", on);
+    window.addEventListener("offline", off);
+    return () => {
+      unsub();
+      window.removeEventListener("online", on);
+      window.removeEventListener("offline", off);
+    };
+  }, []);
+
+  return {
+    entries,
+    online,
+    pending: entries.filter((e) => e.status === "pending").length,
+    failed: entries.filter((e) => e.status === "failed").length,
+    retry: retryEntry,
+    discard: discardEntry,
+  };
+}
@@ -0,0 +1,16 @@
+// src/lib/renderReportPdf.jsx
+// Server-side entry: render ReportPDF to a PDF Buffer in Node.
+// Bundled by `npm run build:ssr` into api/_ssr/renderReportPdf.mjs so the
+// CommonJS API routes can load it without a JSX toolchain at runtime.
+import React from "react";
+import { renderToBuffer } from "@react-pdf/renderer";
+import ReportPDF from "../components/ReportPDF";
+import { buildPdfProps } from "./reportPdf";
+
+/**
+ * @param {{ report: object, track?: object|null }} args
+ * @returns {Promise<Buffer>}
+ */
+export async function renderReportPdf({ report, track = null }) {
+  return renderToBuffer(<ReportPDF {...buildPdfProps({ report, track })} />);
+}
@@ -0,0 +1,108 @@
+// src/lib/replay.js
+// Time-based playback over a recorded track's points.
+import { useEffect, useMemo, useRef, useState } from "react";
+import { haversine } from "./geo";
+
+export const REPLAY_SPEEDS = [1, 2, 5, 10, 20];
+const SPEED_WINDOW_MS = 10000;
+
+/**
+ * Normalize points to a timeline: { pts, times (ms from start), cum (m), duration }.
+ * Points without a usable `ts` are spaced one second apart.
+ */
+export function buildTimeline(points) {
+  const pts = (points || []).filter((p) => Number.isFinite(p?.lat) && Number.isFinite(p?.lon));
+  const hasTs = pts.length > 0 && pts.every((p) => Number.isFinite(Number(p.ts)));
+  const t0 = hasTs ? Number(pts[0].ts) : 0;
+  const times = pts.map((p, i) => (hasTs ? Math.max(0, Number(p.ts) - t0) : i * 1000));
+  // Out-of-order timestamps would break the binary search
+  for (let i = 1; i < times.length; i++) if (times[i] < times[i - 1]) times[i] = times[i - 1];
+  const cum = [0];
+  for (let i = 1; i < pts.length; i++) cum.push(cum[i - 1] + haversine(pts[i - 1], pts[i]));
+  return { pts, times, cum, duration: times.length ? times[times.length - 1] : 0 };
+}
+
+// Last index with times[i] <= t
+function indexAt(times, t) {
+  let lo = 0, hi = times.length - 1;
+  if (hi < 0) return -1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (times[mid] <= t) lo = mid; else hi = mid - 1;
+  }
+  return lo;
+}
+
+// Index, interpolation factor and distance covered at offset t
+function locate(tl, t) {
+  const { times, cum } = tl;
+  const i = indexAt(times, t);
+  const j = Math.min(i + 1, times.length - 1);
+  const span = times[j] - times[i];
+  const f = span > 0 ? Math.min(1, Math.max(0, (t - times[i]) / span)) : 0;
+  return { i, j, f, distance: cum[i] + (cum[j] - cum[i]) * f };
+}
+
+/**
+ * State of the track at offset `t` (ms): interpolated position, trail so far,
+ * distance covered and speed over the previous 10 s.
+ */
+export function sampleTimeline(tl, t) {
+  const { pts } = tl;
+  if (!pts.length) return null;
+  const { i, j, f, distance } = locate(tl, t);
+  const pos = {
+    lat: pts[i].lat + (pts[j].lat - pts[i].lat) * f,
+    lon: pts[i].lon + (pts[j].lon - pts[i].lon) * f,
+  };
+
+  const tPrev = Math.max(0, t - SPEED_WINDOW_MS);
+  const dt = t - tPrev;
+  const speedKmh = dt > 0 ? ((distance - locate(tl, tPrev).distance) / 1000) / (dt / 3600000) : 0;
+
+  const trail = pts.slice(0, i + 1).map((p) => [p.lat, p.lon]);
+  trail.push([pos.lat, pos.lon]);
+
+  return { index: i, pos, trail, elapsed: t, distance, speedKmh };
+}
+
+/**
+ * Playback controller. `speed` is a multiplier of real time.
+ */
+export function useReplay(points) {
+  const tl = useMemo(() => buildTimeline(points), [points]);
+  const [t, setT] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(5);
+  const rafRef = useRef(null);
+
+  useEffect(() => { setT(0); setPlaying(false); }, [tl]);
+
+  useEffect(() => {
+    if (!playing) return;
+    let prev = performance.now();
+    const step = (now) => {
+      const dt = (now - prev) * speed;
+      prev = now;
+      setT((cur) => {
+        const next = Math.min(tl.duration, cur + dt);
+        if (next >= tl.duration) setPlaying(false);
+        return next;
+      });
+      rafRef.current = requestAnimationFrame(step);
+    };
+    rafRef.current = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(rafRef.current);
+  }, [playing, speed, tl]);
+
+  const sample = useMemo(() => sampleTimeline(tl, t), [tl, t]);
+
+  const play = () => {
+    if (t >= tl.duration) setT(0);
+    setPlaying(true);
+  };
+  const pause = () => setPlaying(false);
+  const seek = (ms) => setT(Math.max(0, Math.min(tl.duration, ms)));
+
+  return { timeline: tl, t, playing, speed, setSpeed, play, pause, seek, sample };
+}
@@ -0,0 +1,44 @@
+// src/lib/reportPdf.js
+// Map a stored report + track row onto the props ReportPDF expects.
+import { describeFilter } from "./gpsFilter";
+import { prettyAge } from "./format";
+import { trackAgeMs } from "./laying";
+
+/**
+ * @param {{ report: object, track?: object|null }} args
+ * @returns props for <ReportPDF />
+ */
+export function buildPdfProps({ report, track = null }) {
+  const r = report || {};
+  const t = track || {};
+  return {
+    departmentName: r.department_name || undefined,
+    logoUrl: r.logo_url || undefined,
+    reportNo: t.report_no || null,
+    createdAt: r.created_at || null,
+    handler: r.handler,
+    dog: r.dog,
+    email: r.email,
+    deviceId: t.device_id || null,
+    trackId: t.id || r.track_id || null,
+    distance_m: t.distance_m || 0,
+    duration_ms: t.duration_ms || 0,
+    pace_label: Number.isFinite(t.pace_min_per_km) ? `${t.pace_min_per_km.toFixed(2)} min/km` : null,
+    avg_speed_label: Number.isFinite(t.avg_speed_kmh) ? `${t.avg_speed_kmh.toFixed(2)} km/h` : null,
+    weather: t.weather || null,
+    snapshotUrl: t.snapshot_url || r.attachment_url || null,
+    notes: r.notes,
+    deviation: t.deviation || null,
+    geofences: t.geofences || null,
+    geofence_events: t.geofence_events || null,
+    handler_stats: t.handler_stats || null,
+    waypoints: t.waypoints || null,
+    laying: t.laying || null,
+    track_age_label: trackAgeMs(t.laying, t.started_at) != null ? prettyAge(trackAgeMs(t.laying, t.started_at)) : null,
+    track_data_label: t.filter
+      ? (t.filter.enabled
+          ? `Filtered: ${describeFilter(t.filter)} (raw ${((t.filter.raw_distance_m || 0) / 1000).toFixed(2)} km)`
+          : "Raw GPS fixes (no filtering)")
+      : null,
+  };
+}
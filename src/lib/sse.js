@@ -0,0 +1,113 @@
+// src/lib/sse.js
+// SSE hook -> /api/stream (MQTT bridged to Server-Sent Events)
+import { useEffect, useRef, useState } from "react";
+import { decodeMessage, loadDecoderProfiles } from "./telemetry";
+import { apiFetch } from "./api";
+
+// profile: server-side broker profile id ("" = the server's default profile)
+// share: a share code instead of profile/topic; the server streams that track's topic
+export const defaultConn = {
+  profile: "",
+  topic: "devices/esp-shelby-01/telemetry",
+};
+const RECONNECT_MS = 3000;
+
+// Single-use ticket for /api/stream; EventSource can't send the JWT as a header
+// and it must not sit in the URL (server logs). Null when signed out.
+async function streamTicket() {
+  try {
+    const r = await apiFetch("/api/streamTicket", { method: "POST" });
+    const js = await r.json().catch(() => ({}));
+    return r.ok ? js.ticket || null : null;
+  } catch {
+    return null;
+  }
+}
+
+export function useSSE(conn, onMessage) {
+  const [status, setStatus] = useState("idle");
+  const [msgs, setMsgs] = useState(0);
+  const [errorMsg, setErrorMsg] = useState("");
+  const [lastPayload, setLastPayload] = useState("");
+  const esRef = useRef(null);
+  // Bumped on every connect/disconnect so a connect still awaiting its token gives up
+  const genRef = useRef(0);
+  // Latest callback, so the EventSource handlers never see stale component state
+  const onMessageRef = useRef(onMessage);
+  useEffect(() => { onMessageRef.current = onMessage; }, [onMessage]);
+  // Decoder mapping profiles, re-read on each connect
+  const profilesRef = useRef([]);
+
+  const connect = async () => {
+    const gen = ++genRef.current;
+    try { esRef.current?.close(); } catch {}
+    esRef.current = null;
+    setStatus("connecting");
+    setMsgs(0);
+    setErrorMsg("");
+    profilesRef.current = loadDecoderProfiles();
+
+    const params = conn.share
+      ? { share: conn.share }
+      : { profile: conn.profile || "", topic: conn.topic || "devices/#" };
+    const url = `/api/stream?${new URLSearchParams(params)}`;
+    setErrorMsg(`Connecting via SSE: ${url}`);
+    const ticket = conn.share ? null : await streamTicket();
+    if (gen !== genRef.current) return;
+
+    let es;
+    try {
+      es = new EventSource(ticket ? `${url}&ticket=${encodeURIComponent(ticket)}` : url);
+    } catch (e) {
+      setStatus("error");
+      setErrorMsg((m) => `${m}\nEventSource create: ${e?.message || String(e)}`);
+      return;
+    }
+    esRef.current = es;
+
+    es.onopen = () => setStatus("connected");
+
+    es.onmessage = (ev) => {
+      try {
+        const obj = JSON.parse(ev.data);
+        if (obj.payload != null) setLastPayload(`${obj.topic}: ${obj.payload}`);
+        if (obj.payload) {
+          const pos = decodeMessage(obj.topic, obj.payload, profilesRef.current);
+          if (pos) onMessageRef.current?.(pos);
+        }
+      } catch {}
+      setMsgs((n) => n + 1);
+    };
+
+    es.addEventListener("diag", (ev) => {
+      try {
+        const d = JSON.parse(ev.data);
+        if (d.error) {
+          setStatus("error");
+          setErrorMsg((m) => `${m}\n${d.error}`);
+        }
+      } catch {}
+    });
+
+    es.onerror = () => {
+      setStatus("error");
+      setErrorMsg((m) => `${m}\nSSE error`);
+      // EventSource would retry with the spent ticket; reconnect with a new one
+      if (ticket) {
+        es.close();
+        setTimeout(() => { if (gen === genRef.current) connect(); }, RECONNECT_MS);
+      }
+    };
+  };
+
+  const disconnect = () => {
+    genRef.current++;
+    try { esRef.current?.close(); } catch {}
+    esRef.current = null;
+    setStatus("idle");
+  };
+
+  useEffect(() => () => { genRef.current++; try { esRef.current?.close(); } catch {} }, []);
+
+  return { status, msgs, errorMsg, lastPayload, connect, disconnect };
+}
@@ -0,0 +1,197 @@
+// src/lib/telemetry.js
+// Telemetry decoders: raw MQTT payload -> normalized position.
+//
+// Position (what useSSE hands to the rest of the app):
+// { device, topic, lat, lon, fix, sats, hdop, alt, speedKmh, heading,
+//   battery, rssi, gpsTime, receivedAt, decoder, raw }
+// Anything the payload doesn't carry is null. gpsTime is the fix time from
+// the collar (ms) when it sends one; receivedAt is when we got the message.
+import { deviceIdFrom } from "./devices";
+import { parseNmea } from "./nmea";
+
+const STORAGE_KEY = "k9.decoderProfiles";
+
+const num = (v) => (v === "" || v == null || typeof v === "boolean" || !Number.isFinite(Number(v)) ? null : Number(v));
+
+// "gps.pos.0" -> obj.gps.pos[0]
+export function getPath(obj, path) {
+  return String(path).split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+// Where the JSON decoder looks when a profile doesn't say
+export const DEFAULT_FIELDS = {
+  lat: ["lat", "latitude", "Latitude", "Lat", "gps.lat", "gps.latitude", "position.lat", "location.lat"],
+  lon: ["lon", "lng", "longitude", "Longitude", "Lon", "gps.lon", "gps.lng", "gps.longitude", "position.lon", "position.lng", "location.lon", "location.lng"],
+  fix: ["fix", "gpsFix", "gps.fix"],
+  sats: ["sats", "satellites", "numSats", "gps.sats", "gps.satellites"],
+  hdop: ["hdop", "HDOP", "gps.hdop"],
+  alt: ["alt", "altitude", "ele", "gps.alt", "gps.altitude"],
+  speedKmh: ["speed_kmh", "speedKmh", "speed", "gps.speed"],
+  heading: ["heading", "course", "cog", "bearing", "gps.heading", "gps.course"],
+  battery: ["battery", "batt", "bat", "battery_pct", "power.battery"],
+  rssi: ["rssi", "signal", "csq", "gsm.rssi", "lora.rssi", "net.rssi"],
+  gpsTime: ["gpsTime", "gps_time", "time", "timestamp", "gps.time"],
+};
+
+const FIELD_NAMES = Object.keys(DEFAULT_FIELDS);
+
+/**
+ * Read one field. A mapping is a path ("gps.spd"), a list of paths tried in
+ * order, or { path, scale } for unit conversion (e.g. m/s -> km/h: scale 3.6).
+ */
+function readField(obj, mapping) {
+  const list = Array.isArray(mapping) ? mapping : [mapping];
+  for (const m of list) {
+    const path = typeof m === "string" ? m : m?.path;
+    if (!path) continue;
+    const v = getPath(obj, path);
+    if (v === undefined || v === null || v === "") continue;
+    const scale = typeof m === "object" && Number.isFinite(m.scale) ? m.scale : 1;
+    return typeof v === "number" || (typeof v === "string" && v.trim() !== "" && !isNaN(v)) ? Number(v) * scale : v;
+  }
+  return undefined;
+}
+
+// Seconds or ms since epoch, or an ISO string -> ms
+function toTime(v) {
+  if (v == null) return null;
+  if (typeof v === "number") return v < 1e12 ? v * 1000 : v;
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+}
+
+function fromObject(js, profile) {
+  if (typeof js.nmea === "string") {
+    const n = parseNmea(js.nmea);
+    if (n) return { ...n, battery: num(readField(js, profile?.fields?.battery ?? DEFAULT_FIELDS.battery)) };
+  }
+  const out = {};
+  for (const name of FIELD_NAMES) {
+    out[name] = readField(js, profile?.fields?.[name] ?? DEFAULT_FIELDS[name]);
+  }
+  return {
+    lat: num(out.lat),
+    lon: num(out.lon),
+    fix: out.fix === undefined ? undefined : out.fix !== false && out.fix !== 0 && out.fix !== "0" && out.fix !== "false",
+    sats: num(out.sats),
+    hdop: num(out.hdop),
+    alt: num(out.alt),
+    speedKmh: num(out.speedKmh),
+    heading: num(out.heading),
+    battery: num(out.battery),
+    rssi: num(out.rssi),
+    gpsTime: toTime(out.gpsTime),
+  };
+}
+
+// Decoders take the payload string and the matching profile and return a
+// partial position (plus `raw`), or null when the payload isn't theirs.
+const decoders = new Map();
+
+export function registerDecoder(name, fn) {
+  decoders.set(name, fn);
+}
+
+registerDecoder("json", (payload, profile) => {
+  let js;
+  try { js = JSON.parse(payload); } catch { return null; }
+  if (!js || typeof js !== "object") return null;
+  return { ...fromObject(js, profile), raw: js };
+});
+
+registerDecoder("nmea", (payload) => {
+  const n = parseNmea(payload);
+  return n ? { ...n, raw: payload } : null;
+});
+
+// CSV: profile.columns names each column (default lat,lon), e.g.
+// ["device", "lat", "lon", "sats", "hdop", "battery"]
+registerDecoder("csv", (payload, profile) => {
+  const cells = String(payload).trim().split(profile?.delimiter || ",").map((c) => c.trim());
+  const columns = profile?.columns || ["lat", "lon"];
+  if (cells.length < 2) return null;
+  const js = {};
+  columns.forEach((name, i) => { if (name && cells[i] !== undefined) js[name] = cells[i]; });
+  return { ...fromObject(js, { fields: profile?.fields }), raw: js };
+});
+
+registerDecoder("auto", (payload, profile) => {
+  const s = String(payload).trim();
+  if (s.startsWith("{") || s.startsWith("[")) return decoders.get("json")(s, profile);
+  if (s.startsWith("$") || s.startsWith("!")) return decoders.get("nmea")(s, profile);
+  if (/^-?\d+(\.\d+)?\s*[,;]\s*-?\d+(\.\d+)?/.test(s)) return decoders.get("csv")(s, profile);
+  return null;
+});
+
+export const decoderNames = () => [...decoders.keys()];
+
+// MQTT topic filter match ("devices/+/telemetry", "devices/#")
+export function topicMatches(filter, topic) {
+  const f = String(filter).split("/");
+  const t = String(topic).split("/");
+  for (let i = 0; i < f.length; i++) {
+    if (f[i] === "#") return true;
+    if (f[i] !== "+" && f[i] !== t[i]) return false;
+  }
+  return f.length === t.length;
+}
+
+/**
+ * Mapping profile:
+ * { name, match: { device?, topic? }, decoder: "auto"|"json"|"nmea"|"csv"|<registered>,
+ *   fields?: { lat: "gps.la", speedKmh: { path: "spd", scale: 3.6 }, ... },
+ *   columns?: [...], delimiter? }
+ * The first profile whose device id or topic filter matches wins.
+ */
+export function pickProfile(profiles, topic) {
+  const device = deviceIdFrom(topic, null);
+  return (profiles || []).find((p) =>
+    (p.match?.device && p.match.device === device) ||
+    (p.match?.topic && topicMatches(p.match.topic, topic))
+  ) || null;
+}
+
+/** Decode one MQTT message into a position, or null if no decoder understood it. */
+export function decodeMessage(topic, payload, profiles = []) {
+  const profile = pickProfile(profiles, topic);
+  const name = profile?.decoder || "auto";
+  const decode = decoders.get(name) || decoders.get("auto");
+  let p = null;
+  try { p = decode(String(payload), profile); } catch { p = null; }
+  if (!p) return null;
+
+  const hasPos = Number.isFinite(p.lat) && Number.isFinite(p.lon);
+  const raw = p.raw && typeof p.raw === "object" ? p.raw : null;
+  return {
+    device: deviceIdFrom(topic, raw),
+    topic,
+    lat: hasPos ? p.lat : null,
+    lon: hasPos ? p.lon : null,
+    fix: hasPos && (p.fix ?? true),
+    sats: p.sats ?? null,
+    hdop: p.hdop ?? null,
+    alt: p.alt ?? null,
+    speedKmh: p.speedKmh ?? null,
+    heading: p.heading ?? null,
+    battery: p.battery ?? null,
+    rssi: p.rssi ?? null,
+    gpsTime: p.gpsTime ?? null,
+    receivedAt: Date.now(),
+    decoder: name,
+    raw: p.raw ?? payload,
+  };
+}
+
+// Mapping profiles are kept per browser (localStorage)
+export function loadDecoderProfiles() {
+  try {
+    const v = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(v) ? v : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveDecoderProfiles(profiles) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles || []));
+}
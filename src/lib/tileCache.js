@@ -0,0 +1,256 @@
+// src/lib/tileCache.js
+// Offline map tiles: download a bounding box + zoom range ahead of a field
+// deployment and keep the tiles in IndexedDB under a size budget. The maps
+// read tiles from here first (see components/OfflineTileLayer.jsx).
+//
+// The public OpenStreetMap servers forbid bulk downloading
+// (https://operations.osmfoundation.org/policies/tiles/). Without VITE_TILE_URL
+// pointing at a tile server that allows it, areas are capped to a few hundred tiles.
+
+export const TILE_URL = import.meta.env.VITE_TILE_URL || "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
+export const TILE_ATTRIBUTION = "&copy; OpenStreetMap";
+export const MAX_ZOOM = 17;
+export const BULK_DOWNLOAD_ALLOWED = !!import.meta.env.VITE_TILE_URL;
+export const MAX_TILES_PER_AREA = BULK_DOWNLOAD_ALLOWED ? 20000 : 250;
+const AVG_TILE_BYTES = 18000; // typical OSM raster tile, for estimates only
+const CONCURRENCY = 4;
+
+const DB_NAME = "k9-tiles";
+const DB_VERSION = 1;
+const TILES = "tiles";  // "z/x/y" -> { blob, size, areas: [areaId], ts }
+const AREAS = "areas";  // id -> { id, name, bounds, minZoom, maxZoom, tiles, bytes, complete, createdAt }
+const META = "meta";    // "usage" -> { tiles, bytes }
+
+const BUDGET_KEY = "k9.tileBudgetMB";
+export const DEFAULT_BUDGET_MB = 250;
+
+export function loadBudgetMB() {
+  const v = Number(localStorage.getItem(BUDGET_KEY));
+  return v > 0 ? v : DEFAULT_BUDGET_MB;
+}
+
+export function saveBudgetMB(mb) {
+  localStorage.setItem(BUDGET_KEY, String(mb));
+}
+
+/* ---------- IndexedDB ---------- */
+
+let _db = null;
+function openDb() {
+  if (_db) return _db;
+  _db = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB unavailable"));
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(TILES)) db.createObjectStore(TILES);
+      if (!db.objectStoreNames.contains(AREAS)) db.createObjectStore(AREAS, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(META)) db.createObjectStore(META);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  _db.catch(() => { _db = null; });
+  return _db;
+}
+
+// Run fn(stores) in one transaction; resolves with fn's return value once committed
+async function tx(names, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(names, mode);
+    const stores = Object.fromEntries(names.map((n) => [n, t.objectStore(n)]));
+    let out;
+    Promise.resolve(fn(stores)).then((v) => { out = v; }, (e) => {
+      try { t.abort(); } catch {}
+      reject(e);
+    });
+    t.oncomplete = () => resolve(out);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error);
+  });
+}
+
+const req = (r) => new Promise((resolve, reject) => {
+  r.onsuccess = () => resolve(r.result);
+  r.onerror = () => reject(r.error);
+});
+
+const tileKey = (z, x, y) => `${z}/${x}/${y}`;
+
+/** Cached tile image, or null */
+export async function getTile(z, x, y) {
+  const rec = await tx([TILES], "readonly", (s) => req(s[TILES].get(tileKey(z, x, y))));
+  return rec?.blob || null;
+}
+
+export async function cacheUsage() {
+  const u = await tx([META], "readonly", (s) => req(s[META].get("usage")));
+  return u || { tiles: 0, bytes: 0 };
+}
+
+export function listAreas() {
+  return tx([AREAS], "readonly", (s) => req(s[AREAS].getAll()))
+    .then((areas) => areas.sort((a, b) => b.createdAt - a.createdAt));
+}
+
+// Store a tile for an area (or just tag an already cached one)
+function putTile(areaId, key, blob) {
+  return tx([TILES, META], "readwrite", async (s) => {
+    const [rec, usage] = await Promise.all([req(s[TILES].get(key)), req(s[META].get("usage"))]);
+    const u = usage || { tiles: 0, bytes: 0 };
+    if (rec) {
+      if (!rec.areas.includes(areaId)) s[TILES].put({ ...rec, areas: [...rec.areas, areaId] }, key);
+      return { added: 0, size: rec.size };
+    }
+    if (!blob) return null;
+    s[TILES].put({ blob, size: blob.size, areas: [areaId], ts: Date.now() }, key);
+    s[META].put({ tiles: u.tiles + 1, bytes: u.bytes + blob.size }, "usage");
+    return { added: blob.size, size: blob.size };
+  });
+}
+
+function hasTile(key) {
+  return tx([TILES], "readonly", (s) => req(s[TILES].getKey(key))).then((k) => k !== undefined);
+}
+
+/* ---------- tile math ---------- */
+
+function lon2x(lon, z) {
+  return Math.floor(((lon + 180) / 360) * 2 ** z);
+}
+function lat2y(lat, z) {
+  const s = Math.sin((Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI) / 180);
+  return Math.floor((0.5 - Math.log((1 + s) / (1 - s)) / (4 * Math.PI)) * 2 ** z);
+}
+
+/** Tile index ranges for bounds { south, west, north, east } */
+export function tileRanges(bounds, minZoom, maxZoom) {
+  const out = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const n = 2 ** z;
+    const x0 = Math.max(0, lon2x(bounds.west, z)), x1 = Math.min(n - 1, lon2x(bounds.east, z));
+    const y0 = Math.max(0, lat2y(bounds.north, z)), y1 = Math.min(n - 1, lat2y(bounds.south, z));
+    out.push({ z, x0, x1, y0, y1, count: (x1 - x0 + 1) * (y1 - y0 + 1) });
+  }
+  return out;
+}
+
+export function estimateArea(bounds, minZoom, maxZoom) {
+  const tiles = tileRanges(bounds, minZoom, maxZoom).reduce((a, r) => a + r.count, 0);
+  return { tiles, bytes: tiles * AVG_TILE_BYTES };
+}
+
+function* tilesOf(ranges) {
+  for (const { z, x0, x1, y0, y1 } of ranges) {
+    for (let x = x0; x <= x1; x++) for (let y = y0; y <= y1; y++) yield { z, x, y };
+  }
+}
+
+export function tileUrl({ z, x, y }, template = TILE_URL) {
+  return template
+    .replace("{s}", "abc"[Math.abs(x + y) % 3])
+    .replace("{z}", z).replace("{x}", x).replace("{y}", y).replace("{r}", "");
+}
+
+/* ---------- areas ---------- */
+
+/**
+ * Download every tile of an area. Resolves with the saved area; stops early
+ * (area.complete = false) when aborted or the size budget is reached.
+ * onProgress({ done, total, bytes, failed })
+ */
+export async function downloadArea({ name, bounds, minZoom, maxZoom }, { onProgress, signal } = {}) {
+  minZoom = Math.max(0, Math.min(MAX_ZOOM, Math.round(minZoom)));
+  maxZoom = Math.max(minZoom, Math.min(MAX_ZOOM, Math.round(maxZoom)));
+  const ranges = tileRanges(bounds, minZoom, maxZoom);
+  const total = ranges.reduce((a, r) => a + r.count, 0);
+  if (total > MAX_TILES_PER_AREA) {
+    throw new Error(BULK_DOWNLOAD_ALLOWED
+      ? `Area has ${total} tiles; limit is ${MAX_TILES_PER_AREA}. Zoom in or lower the max zoom.`
+      : `Area has ${total} tiles; the public OpenStreetMap servers don't allow bulk downloads, so areas are limited to ${MAX_TILES_PER_AREA} tiles. Set VITE_TILE_URL to your own tile server for larger areas.`);
+  }
+
+  const budget = loadBudgetMB() * 1024 * 1024;
+  const usage = await cacheUsage();
+  if (usage.bytes + total * AVG_TILE_BYTES > budget) {
+    throw new Error(`Not enough room: about ${Math.round((total * AVG_TILE_BYTES) / 1048576)} MB needed, ${Math.max(0, Math.round((budget - usage.bytes) / 1048576))} MB left of the budget.`);
+  }
+
+  const area = {
+    id: `area-${Date.now().toString(36)}`,
+    name: name || "Area",
+    bounds,
+    minZoom,
+    maxZoom,
+    tiles: 0,
+    bytes: 0,
+    complete: false,
+    createdAt: Date.now(),
+  };
+  await tx([AREAS], "readwrite", (s) => { s[AREAS].put(area); });
+
+  let done = 0, failed = 0, used = usage.bytes, stop = null;
+  const queue = tilesOf(ranges);
+  const worker = async () => {
+    for (let t = queue.next(); !t.done; t = queue.next()) {
+      if (signal?.aborted) stop = stop || "aborted";
+      if (used > budget) stop = stop || "budget";
+      if (stop) return;
+      const key = tileKey(t.value.z, t.value.x, t.value.y);
+      try {
+        let blob = null;
+        if (!(await hasTile(key))) {
+          const r = await fetch(tileUrl(t.value), { signal });
+          if (!r.ok) throw new Error(`HTTP ${r.status}`);
+          blob = await r.blob();
+        }
+        const put = await putTile(area.id, key, blob);
+        if (put) {
+          area.tiles++;
+          area.bytes += put.size;
+          used += put.added;
+        }
+      } catch {
+        if (!signal?.aborted) failed++;
+      }
+      done++;
+      onProgress?.({ done, total, bytes: area.bytes, failed });
+    }
+  };
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+
+  area.complete = !stop && failed === 0;
+  area.failed = failed;
+  if (stop === "budget") area.note = "Stopped at the size budget";
+  await tx([AREAS], "readwrite", (s) => { s[AREAS].put(area); });
+  return area;
+}
+
+/** Remove an area and every tile no other area still needs */
+export async function deleteArea(id) {
+  await tx([TILES, AREAS, META], "readwrite", async (s) => {
+    const usage = (await req(s[META].get("usage"))) || { tiles: 0, bytes: 0 };
+    await new Promise((resolve, reject) => {
+      const cur = s[TILES].openCursor();
+      cur.onsuccess = () => {
+        const c = cur.result;
+        if (!c) return resolve();
+        const rec = c.value;
+        if (rec.areas.includes(id)) {
+          const areas = rec.areas.filter((a) => a !== id);
+          if (areas.length) c.update({ ...rec, areas });
+          else {
+            c.delete();
+            usage.tiles--;
+            usage.bytes -= rec.size;
+          }
+        }
+        c.continue();
+      };
+      cur.onerror = () => reject(cur.error);
+    });
+    s[META].put({ tiles: Math.max(0, usage.tiles), bytes: Math.max(0, usage.bytes) }, "usage");
+    s[AREAS].delete(id);
+  });
+}
@@ -0,0 +1,115 @@
+// src/lib/trackCompare.js
+// Score a dog's run against the laid (tracklayer's) track.
+import { pathLength, projector } from "./geo";
+
+// Closest point on segment AB to P (all in local meters)
+function projectOnSegment(p, a, b) {
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  let t = len2 > 0 ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2 : 0;
+  t = Math.max(0, Math.min(1, t));
+  const q = { x: a.x + t * dx, y: a.y + t * dy };
+  return { q, t, d: Math.hypot(p.x - q.x, p.y - q.y) };
+}
+
+/**
+ * Nearest position on the laid polyline.
+ * Returns { offset (m), along (m from laid start) }.
+ */
+function nearestOnLine(p, line, cum) {
+  let best = { offset: Infinity, along: 0 };
+  for (let i = 1; i < line.length; i++) {
+    const { t, d } = projectOnSegment(p, line[i - 1], line[i]);
+    if (d < best.offset) best = { offset: d, along: cum[i - 1] + t * (cum[i] - cum[i - 1]) };
+  }
+  return best;
+}
+
+/**
+ * Compare a dog track to a laid track.
+ *
+ * - offsets: per dog point, distance to the laid line
+ * - coverage: share of the laid line (sampled every `sampleStep` m) that
+ *   had a dog point within `threshold` m
+ * - events: contiguous off-track excursions (> threshold), classified as
+ *   "overshoot" (left and rejoined at about the same place, typically past a
+ *   turn) or "cut" (rejoined further along having skipped laid track)
+ *
+ * @returns {null | {
+ *   threshold_m, mean_offset_m, max_offset_m, coverage_pct,
+ *   laid_length_m, events: Array<{ type, lat, lon, ts, max_offset_m, skipped_m }>
+ * }}
+ */
+export function compareToLaid(dogPoints, laidPoints, { threshold = 15, sampleStep = 5 } = {}) {
+  const dog = (dogPoints || []).filter((p) => Number.isFinite(p?.lat) && Number.isFinite(p?.lon));
+  const laid = (laidPoints || []).filter((p) => Number.isFinite(p?.lat) && Number.isFinite(p?.lon));
+  if (dog.length < 1 || laid.length < 2) return null;
+
+  const proj = projector(laid[0].lat);
+  const line = laid.map(proj.toXY);
+  const cum = [0];
+  for (let i = 1; i < line.length; i++) {
+    cum.push(cum[i - 1] + Math.hypot(line[i].x - line[i - 1].x, line[i].y - line[i - 1].y));
+  }
+  const laidLen = cum[cum.length - 1];
+
+  const dogXY = dog.map(proj.toXY);
+  const near = dogXY.map((p) => nearestOnLine(p, line, cum));
+  const offsets = near.map((n) => n.offset);
+  const mean = offsets.reduce((s, d) => s + d, 0) / offsets.length;
+  const max = offsets.reduce((m, d) => (d > m ? d : m), 0);
+
+  // Coverage: sample the laid line and look for a nearby dog point
+  let samples = 0, covered = 0;
+  const step = Math.max(1, sampleStep);
+  for (let i = 1; i < line.length; i++) {
+    const a = line[i - 1], b = line[i];
+    const segLen = cum[i] - cum[i - 1];
+    const n = Math.max(1, Math.ceil(segLen / step));
+    for (let k = (i === 1 ? 0 : 1); k <= n; k++) {
+      const t = k / n;
+      const s = { x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) };
+      samples++;
+      if (dogXY.some((p) => Math.hypot(p.x - s.x, p.y - s.y) <= threshold)) covered++;
+    }
+  }
+
+  // Excursions
+  const events = [];
+  let i = 0;
+  while (i < dog.length) {
+    if (offsets[i] <= threshold) { i++; continue; }
+    const start = i;
+    while (i < dog.length && offsets[i] > threshold) i++;
+    const end = i - 1;
+
+    let peak = start;
+    for (let k = start; k <= end; k++) if (offsets[k] > offsets[peak]) peak = k;
+
+    const before = start > 0 ? near[start - 1].along : near[start].along;
+    const after = i < dog.length ? near[i].along : near[end].along;
+    const skipped = after - before;
+    const dogLen = pathLength(dog.slice(Math.max(0, start - 1), Math.min(dog.length, i + 1)));
+
+    // Rejoining well ahead having walked less than the laid distance -> cut.
+    // Rejoining near (or behind) where it left -> overshoot.
+    const type = skipped > threshold && dogLen < skipped * 1.2 ? "cut" : "overshoot";
+    events.push({
+      type,
+      lat: dog[peak].lat,
+      lon: dog[peak].lon,
+      ts: dog[peak].ts ?? null,
+      max_offset_m: Number(offsets[peak].toFixed(1)),
+      skipped_m: Number(Math.max(0, skipped).toFixed(1)),
+    });
+  }
+
+  return {
+    threshold_m: threshold,
+    mean_offset_m: Number(mean.toFixed(1)),
+    max_offset_m: Number(max.toFixed(1)),
+    coverage_pct: samples ? Number(((covered / samples) * 100).toFixed(1)) : 0,
+    laid_length_m: Number(laidLen.toFixed(1)),
+    events,
+  };
+}
@@ -0,0 +1,104 @@
+// src/lib/trackFiles.js
+// Parse GPX / KML / GeoJSON files (browser) into the app's [{ lat, lon, ts }] points.
+
+const tsOf = (s) => {
+  if (!s) return null;
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? t : null;
+};
+
+const valid = (p) => Number.isFinite(p.lat) && Number.isFinite(p.lon);
+
+function parseGPX(doc) {
+  // Prefer the recorded track, then a route, then bare waypoints
+  for (const tag of ["trkpt", "rtept", "wpt"]) {
+    const nodes = Array.from(doc.getElementsByTagName(tag));
+    if (!nodes.length) continue;
+    return nodes.map((n) => ({
+      lat: Number(n.getAttribute("lat")),
+      lon: Number(n.getAttribute("lon")),
+      ts: tsOf(n.getElementsByTagName("time")[0]?.textContent),
+    })).filter(valid);
+  }
+  return [];
+}
+
+function parseKML(doc) {
+  // gx:Track (timestamped) first
+  const whens = Array.from(doc.getElementsByTagName("when"));
+  const coords = Array.from(doc.getElementsByTagName("gx:coord"));
+  if (coords.length) {
+    return coords.map((c, i) => {
+      const [lon, lat] = c.textContent.trim().split(/\s+/).map(Number);
+      return { lat, lon, ts: tsOf(whens[i]?.textContent) };
+    }).filter(valid);
+  }
+  // Otherwise the longest LineString
+  let best = [];
+  for (const ls of Array.from(doc.getElementsByTagName("LineString"))) {
+    const text = ls.getElementsByTagName("coordinates")[0]?.textContent || "";
+    const pts = text.trim().split(/\s+/).map((tuple) => {
+      const [lon, lat] = tuple.split(",").map(Number);
+      return { lat, lon, ts: null };
+    }).filter(valid);
+    if (pts.length > best.length) best = pts;
+  }
+  return best;
+}
+
+function parseGeoJSON(js) {
+  const features = js.type === "FeatureCollection" ? js.features || []
+    : js.type === "Feature" ? [js]
+    : [{ type: "Feature", geometry: js, properties: {} }];
+
+  let best = [];
+  for (const f of features) {
+    const g = f?.geometry;
+    if (!g) continue;
+    const lines = g.type === "LineString" ? [g.coordinates]
+      : g.type === "MultiLineString" ? g.coordinates
+      : [];
+    const times = f.properties?.coordTimes;
+    for (const line of lines) {
+      const pts = (line || []).map(([lon, lat], i) => ({
+        lat: Number(lat),
+        lon: Number(lon),
+        ts: tsOf(Array.isArray(times) ? times[i] : null),
+      })).filter(valid);
+      if (pts.length > best.length) best = pts;
+    }
+  }
+  return best;
+}
+
+/**
+ * Parse track file text. `name` (file name) is used to pick the format,
+ * falling back to sniffing the content.
+ * Returns { format, points }; throws on unknown/empty input.
+ */
+export function parseTrackFile(text, name = "") {
+  const ext = (name.split(".").pop() || "").toLowerCase();
+  const trimmed = String(text || "").trim();
+
+  let format = ["gpx", "kml", "geojson", "json"].includes(ext) ? ext : null;
+  if (!format) {
+    if (trimmed.startsWith("{")) format = "geojson";
+    else if (/<gpx[\s>]/i.test(trimmed)) format = "gpx";
+    else if (/<kml[\s>]/i.test(trimmed)) format = "kml";
+  }
+  if (format === "json") format = "geojson";
+
+  let points = [];
+  if (format === "geojson") {
+    points = parseGeoJSON(JSON.parse(trimmed));
+  } else if (format === "gpx" || format === "kml") {
+    const doc = new DOMParser().parseFromString(trimmed, "application/xml");
+    if (doc.getElementsByTagName("parsererror").length) throw new Error(`Invalid ${format.toUpperCase()} file`);
+    points = format === "gpx" ? parseGPX(doc) : parseKML(doc);
+  } else {
+    throw new Error("Unsupported file type (use .gpx, .kml or .geojson)");
+  }
+
+  if (points.length < 2) throw new Error("No track line found in file");
+  return { format, points };
+}
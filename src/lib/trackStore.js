@@ -0,0 +1,53 @@
+// src/lib/trackStore.js
+// IndexedDB persistence for the in-progress track, so a reload or a killed
+// tab can resume (or at least finalize) it.
+
+const DB_NAME = "k9-tracker";
+const DB_VERSION = 1;
+const STORE = "activeTrack";
+const KEY = "current";
+
+let _db = null;
+function openDb() {
+  if (_db) return _db;
+  _db = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB unavailable"));
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  _db.catch(() => { _db = null; });
+  return _db;
+}
+
+async function tx(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(STORE, mode);
+    const req = fn(t.objectStore(STORE));
+    t.oncomplete = () => resolve(req?.result);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error);
+  });
+}
+
+/**
+ * Saved shape:
+ * { trackId, reportNo, share, startAt, topic, profile, deviceId, filterCfg, laidTrack,
+ *   points, rawPoints, distance, updatedAt }
+ */
+export function saveActiveTrack(state) {
+  return tx("readwrite", (s) => s.put({ ...state, updatedAt: Date.now() }, KEY));
+}
+
+export function loadActiveTrack() {
+  return tx("readonly", (s) => s.get(KEY)).then((v) => v || null);
+}
+
+export function clearActiveTrack() {
+  return tx("readwrite", (s) => s.delete(KEY));
+}
@@ -0,0 +1,44 @@
+// src/lib/waypoints.js
+// Timestamped waypoints dropped during a track (finds, indications, breaks, ...).
+//
+// Waypoint: { id, type, label, note, ts, lat, lon, source: "dog" | "handler",
+//             photoDataUrl?  (until finish uploads it), photo_url? }
+
+export const WAYPOINT_TYPES = {
+  article:    { label: "Article found", color: "#dc2626" },
+  indication: { label: "Indication",    color: "#7c3aed" },
+  scent_loss: { label: "Scent loss",    color: "#f59e0b" },
+  reward:     { label: "Reward",        color: "#16a34a" },
+  water:      { label: "Water break",   color: "#0284c7" },
+  custom:     { label: "Custom",        color: "#475569" },
+};
+
+export const waypointLabel = (w) => (w.type === "custom" && w.label ? w.label : WAYPOINT_TYPES[w.type]?.label || w.type);
+export const waypointColor = (w) => WAYPOINT_TYPES[w.type]?.color || WAYPOINT_TYPES.custom.color;
+
+export const newWaypointId = () => `w-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Downscale a photo File to a JPEG data URL (longest side <= maxSize),
+ * so waypoints stay small enough for IndexedDB and the finish request.
+ */
+export function readPhoto(file, maxSize = 1024, quality = 0.8) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      const k = Math.min(1, maxSize / Math.max(img.width, img.height));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(img.width * k);
+      canvas.height = Math.round(img.height * k);
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve(canvas.toDataURL("image/jpeg", quality));
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not read photo"));
+    };
+    img.src = url;
+  });
+}
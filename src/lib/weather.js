@@ -0,0 +1,50 @@
+// src/lib/weather.js
+// Current conditions for the live map and formatting for the weather record
+// written by /api/tracks/finish (see api/tracks/_weather.js).
+import { useEffect, useRef, useState } from "react";
+import { apiFetch } from "./api";
+import { compassPoint } from "./geo";
+
+const REFRESH_MS = 15 * 60 * 1000;
+
+/**
+ * Conditions at `pos`, refreshed every 15 minutes (and when the position
+ * moves to another ~10 km cell). Returns the /api/weather/now body or null.
+ */
+export function useCurrentWeather(pos) {
+  const [now, setNow] = useState(null);
+  const lastRef = useRef({ key: null, at: 0 });
+  const key = pos && Number.isFinite(pos.lat) ? `${pos.lat.toFixed(1)},${pos.lon.toFixed(1)}` : null;
+
+  useEffect(() => {
+    if (!key) return;
+    const load = () => {
+      lastRef.current = { key, at: Date.now() };
+      apiFetch(`/api/weather/now?lat=${pos.lat}&lon=${pos.lon}`)
+        .then((r) => (r.ok ? r.json() : null))
+        .then((js) => { if (js?.ok) setNow(js); })
+        .catch(() => {});
+    };
+    if (lastRef.current.key !== key || Date.now() - lastRef.current.at > REFRESH_MS) load();
+    const id = setInterval(load, REFRESH_MS);
+    return () => clearInterval(id);
+  }, [key]);
+
+  return now;
+}
+
+const n = (v, unit) => (v == null ? "—" : `${v}${unit}`);
+
+// "12°C, 70% RH, wind 10 km/h from W, 0.2 mm, 50% cloud"
+export function describeConditions(c) {
+  if (!c) return "—";
+  const speed = c.wind_speed ?? c.windspeed;
+  const dir = c.wind_dir ?? c.winddirection;
+  return [
+    n(c.temperature, "°C"),
+    c.humidity != null ? `${c.humidity}% RH` : null,
+    `wind ${n(speed, " km/h")}${dir != null ? ` from ${compassPoint(dir)}` : ""}`,
+    c.precipitation != null ? `${c.precipitation} mm` : null,
+    c.cloud_cover != null ? `${c.cloud_cover}% cloud` : null,
+  ].filter(Boolean).join(", ");
+}
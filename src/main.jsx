@@ -11,3 +11,10 @@ createRoot(document.getElementById("root")).render(
     </BrowserRouter>
   </React.StrictMode>
 );
+
+// App shell for offline starts (public/sw.js); dev builds stay uncached
+if ("serviceWorker" in navigator && import.meta.env.PROD) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((e) => console.error("service worker registration failed:", e));
+  });
+}
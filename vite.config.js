@@ -1,11 +1,40 @@
+import { createHash } from "node:crypto";
+import { readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
-export default defineConfig({
-  plugins: [react()],
-  resolve: {
+// Stamp dist/sw.js with a hash of the bundle names, so every deploy that
+// changes the app installs a new service worker and drops the old shell cache
+function swVersion() {
+  let outDir = "dist";
+  let names = [];
+  return {
+    name: "k9-sw-version",
+    apply: "build",
+    configResolved(config) { outDir = config.build.outDir; },
+    generateBundle(_, bundle) { names = Object.keys(bundle).sort(); },
+    writeBundle() {
+      const file = join(outDir, "sw.js");
+      const id = createHash("sha256").update(names.join("\n")).digest("hex").slice(0, 12);
+      writeFileSync(file, readFileSync(file, "utf8").replace("__BUILD_ID__", id));
+    },
+  };
+}
+
+export default defineConfig(({ isSsrBuild }) => ({
+  plugins: isSsrBuild ? [react()] : [react(), swVersion()],
+  // public/ (service worker, manifest, icons) belongs to the client build only
+  publicDir: isSsrBuild ? false : "public",
+  resolve: isSsrBuild ? {} : {
     alias: {
       mqtt: "mqtt/dist/mqtt.min.js", // use browser bundle
     },
   },
-});
+  // `vite build --ssr <entry>` bundles server-side renderers for the API routes
+  build: isSsrBuild ? {
+    outDir: "api/_ssr",
+    emptyOutDir: true,
+    rollupOptions: { output: { format: "es", entryFileNames: "[name].mjs" } },
+  } : {},
+}));